@@ -2,8 +2,55 @@
  * allliteration.js
  * Implements alliteration lookup functionality
  * Based on ALGORITHM 9 from pseudocode
+ * Also keys words on their sounds for alliteration, assonance and consonance
  */
 
+// Node.js: load dependencies (in the browser they are globals from earlier <script> tags)
+if (typeof module !== "undefined" && module.exports) {
+  var { searchHash } = require("./hashTable.js");
+  var { computePhoneticKey } = require("./utils.js");
+  var { isVowelPhoneme } = require("./pronunciation.js");
+  var { syllabify } = require("./syllables.js");
+  var { wordCount, meetsMinFrequency } = require("./frequency.js");
+}
+
+/**
+ * Sound lookups supported by findSoundMatches, each backed by its own table
+ * built by buildPoetryAssistant:
+ * - alliteration - same initial sound (soundTable)
+ * - assonance    - same stressed vowel (assonanceTable)
+ * - consonance   - same consonant skeleton (consonanceTable)
+ */
+var SOUND_DEVICES = ["alliteration", "assonance", "consonance"];
+
+/**
+ * ARPAbet symbols for the first letter of a phonetic key (see computePhoneticKey),
+ * so heuristic initial sounds line up with lexicon phonemes.
+ */
+const INITIAL_SOUNDS = {
+  b: "B",
+  c: "K",
+  d: "D",
+  f: "F",
+  g: "G",
+  h: "HH",
+  j: "JH",
+  k: "K",
+  l: "L",
+  m: "M",
+  n: "N",
+  p: "P",
+  q: "K",
+  r: "R",
+  s: "S",
+  t: "T",
+  v: "V",
+  w: "W",
+  x: "Z",
+  y: "Y",
+  z: "Z",
+};
+
 /**
  * Finds words that start with the same letter (alliteration).
  * Uses an array-based index where each position corresponds to a letter (a-z).
@@ -19,9 +66,14 @@
  * @param {Array<Array<string>>} AlliterationTable - Array of 26 word lists, one per letter
  * @param {string} letter - The letter to find words for (case-insensitive)
  * @param {number} maxResults - Maximum number of words to return
+ * @param {Object} [options] - Optional settings
+ * @param {FrequencyTable|null} [options.frequencies] - Word frequencies; when given the
+ *   most common words are returned instead of the first in file order
+ * @param {number|string} [options.minFrequency] - Leave out words rarer than this count,
+ *   or "common" for common words only (see meetsMinFrequency)
  * @returns {Array<string>} Array of words starting with the specified letter
  */
-function findAlliteration(AlliterationTable, letter, maxResults) {
+function findAlliteration(AlliterationTable, letter, maxResults, options = {}) {
   // Convert to lowercase for case-insensitive matching (pseudocode line 1)
   letter = letter.toLowerCase();
 
@@ -45,6 +97,16 @@ function findAlliteration(AlliterationTable, letter, maxResults) {
   // Collect up to maxResults words from the array (pseudocode lines 9-14)
   // In JavaScript arrays, we iterate directly rather than using linked list traversal
   const wordList = AlliterationTable[index];
+  const frequencies = options.frequencies || null;
+  if (frequencies) {
+    // Most common words first (the sort is stable, so ties keep file order)
+    return wordList
+      .filter((word) =>
+        meetsMinFrequency(frequencies, word, options.minFrequency),
+      )
+      .sort((a, b) => wordCount(frequencies, b) - wordCount(frequencies, a))
+      .slice(0, maxResults);
+  }
   const limit = Math.min(maxResults, wordList.length);
 
   for (let i = 0; i < limit; i++) {
@@ -53,3 +115,332 @@ function findAlliteration(AlliterationTable, letter, maxResults) {
 
   return results;
 }
+
+/**
+ * Returns the spelled vowel of a word's stressed syllable: the vowel group
+ * under the primary stress from syllabify, with "_e" added for a magic 'e'
+ * ("make" -> "a_e", "cat" -> "a", "dream" -> "ea").
+ * @param {string} word - The word (lowercase)
+ * @param {string} stress - Stress pattern from syllabify
+ * @returns {string} Spelled vowel key
+ */
+function spelledStressedVowel(word, stress) {
+  const vowels = "aeiou";
+  const groups = []; // [start, end) of each vowel group
+
+  for (let i = 0; i < word.length; i++) {
+    // 'y' is a vowel when not at the start or after another vowel
+    const isVowel =
+      vowels.includes(word[i]) ||
+      (word[i] === "y" && i > 0 && !vowels.includes(word[i - 1]));
+    if (!isVowel) {
+      continue;
+    }
+    if (groups.length > 0 && groups[groups.length - 1][1] === i) {
+      groups[groups.length - 1][1] = i + 1;
+    } else {
+      groups.push([i, i + 1]);
+    }
+  }
+  if (groups.length === 0) {
+    return word;
+  }
+
+  // Drop a silent final 'e' ("make" has one sounded vowel group)
+  const n = word.length;
+  const silentE =
+    groups.length > 1 &&
+    word[n - 1] === "e" &&
+    groups[groups.length - 1][0] === n - 1;
+  if (silentE) {
+    groups.pop();
+  }
+
+  const index = Math.min(Math.max(stress.indexOf("1"), 0), groups.length - 1);
+  const [start, end] = groups[index];
+  const vowel = word.slice(start, end);
+  // Magic 'e': single vowel, one consonant, then the silent 'e'
+  if (
+    silentE &&
+    index === groups.length - 1 &&
+    vowel.length === 1 &&
+    end === n - 2
+  ) {
+    return `${vowel}_e`;
+  }
+  return vowel;
+}
+
+/**
+ * Computes the sound keys a word is indexed under for alliteration,
+ * assonance and consonance. Words found in the lexicon are keyed on their
+ * first pronunciation (ARPAbet phonemes); other words use the spelling
+ * heuristics of computePhoneticKey.
+ *
+ * Examples without a lexicon:
+ *   "knight" -> { initial: "N", vowel: "i", skeleton: "nt" }
+ *   "phone"  -> { initial: "F", vowel: "o_e", skeleton: "fn" }
+ *
+ * @param {string} word - The word to key
+ * @param {Map|null} [lexicon] - Pronunciation lexicon (see parseCmuDict)
+ * @returns {Object} { initial, vowel, skeleton }
+ *   - initial: initial consonant sound ("vowel" for vowel-initial words, ""
+ *     when the spelling has no sound left, e.g. "gh")
+ *   - vowel: vowel of the stressed syllable
+ *   - skeleton: the word's consonant sounds in order
+ */
+function soundKeysFor(word, lexicon = null) {
+  word = word.toLowerCase();
+
+  const pronunciations = lexicon ? lexicon.get(word) : undefined;
+  if (pronunciations) {
+    const phonemes = pronunciations[0].map((phoneme) =>
+      phoneme.replace(/[012]$/, ""),
+    );
+    const vowelIndexes = [];
+    for (let i = 0; i < phonemes.length; i++) {
+      if (isVowelPhoneme(pronunciations[0][i])) {
+        vowelIndexes.push(i);
+      }
+    }
+    // Primary stress, else secondary, else the first vowel
+    const stressed =
+      vowelIndexes.find((i) => pronunciations[0][i].endsWith("1")) ??
+      vowelIndexes.find((i) => pronunciations[0][i].endsWith("2")) ??
+      vowelIndexes[0];
+    const first = phonemes[0];
+    return {
+      // Voiced and voiceless "th" alliterate ("the" / "thin")
+      initial: vowelIndexes[0] === 0 ? "vowel" : first === "DH" ? "TH" : first,
+      vowel: stressed !== undefined ? phonemes[stressed] : "",
+      skeleton: phonemes.filter((_, i) => !vowelIndexes.includes(i)).join(" "),
+    };
+  }
+
+  // Heuristic keys from the spelling
+  const key = computePhoneticKey(word);
+  let initial;
+  const digraph = word.slice(0, 2);
+  if (digraph === "ch" || digraph === "sh" || digraph === "th") {
+    initial = digraph.toUpperCase();
+  } else if (key === "") {
+    // Only silent letters ("gh"), so nothing alliterates with it
+    initial = "";
+  } else if (key[0] === "V" || key[0] === "O" || key[0] === "A") {
+    // Vowel group, "ough" or "augh" at the start
+    initial = "vowel";
+  } else {
+    initial = INITIAL_SOUNDS[key[0].toLowerCase()] || key[0].toUpperCase();
+  }
+
+  return {
+    initial,
+    vowel: spelledStressedVowel(word, syllabify(word).stress),
+    // Vowel markers and vowels from the pattern replacements are dropped
+    skeleton: key
+      .replace(/V/g, "")
+      .toLowerCase()
+      .replace(/[aeiouy]/g, ""),
+  };
+}
+
+/**
+ * Finds words that share a sound with the input word, looked up in the
+ * sound tables built by buildPoetryAssistant:
+ * - alliteration: same initial sound, so "knight" finds "night" and "phone" finds "fun"
+ * - assonance: same stressed vowel
+ * - consonance: same consonant skeleton
+ *
+ * Every matching word is considered, not only the first in file order.
+ * Results are ranked (default) or shuffled; ranking scores each candidate:
+ * - Up to 40 points for a similar syllable count (20 lost per syllable of difference)
+ * - Up to 20 points for a similar length (as in scoreRhyme)
+ * - Up to 40 points for the device: shared leading sounds for alliteration,
+ *   a different ending for assonance, a different stressed vowel for consonance
+ * Ties go to the more common word when tables.frequencies is loaded, then
+ * alphabetically. Candidates' syllable counts and keys come from
+ * tables.wordSounds, worked out when each word was indexed.
+ *
+ * Time Complexity: O(k · r) where k = words sharing the sound key, r = maxResults
+ *
+ * @param {Object} tables - Poetry assistant from buildPoetryAssistant
+ * @param {string} inputWord - The word to match
+ * @param {string} device - One of SOUND_DEVICES
+ * @param {number} maxResults - Maximum number of words to return
+ * @param {Object} [options] - Optional settings
+ * @param {string} [options.order="ranked"] - "ranked" or "random"
+ * @param {number|Array<number>} [options.syllables] - Syllable count, or [min, max], results must have
+ * @param {Function} [options.random=Math.random] - Random source for "random" order
+ * @param {number|string} [options.minFrequency] - Leave out words rarer than this count,
+ *   or "common" for common words only (needs tables.frequencies)
+ * @param {Map} [options.cache] - Remembers each candidate's sounds between
+ *   calls on the same tables, for tables without wordSounds
+ * @returns {Array<string>} Matching words, excluding the input word
+ * @throws {RangeError} If the device or order is unknown
+ */
+function findSoundMatches(tables, inputWord, device, maxResults, options = {}) {
+  if (!SOUND_DEVICES.includes(device)) {
+    throw new RangeError(
+      `Unknown sound device "${device}"; expected one of ${SOUND_DEVICES.join(", ")}`,
+    );
+  }
+  const order = options.order || "ranked";
+  if (order !== "ranked" && order !== "random") {
+    throw new RangeError(`Unknown order "${order}"; expected ranked or random`);
+  }
+
+  const word = inputWord.toLowerCase();
+  const lexicon = tables.lexicon || null;
+  const frequencies = tables.frequencies || null;
+  const keys = soundKeysFor(word, lexicon);
+  const lookup = {
+    alliteration: [tables.soundTable, keys.initial],
+    assonance: [tables.assonanceTable, keys.vowel],
+    consonance: [tables.consonanceTable, keys.skeleton],
+  }[device];
+  const candidates = lookup[1] ? searchHash(lookup[0], lookup[1]) : [];
+
+  // Syllable filter, as [min, max]
+  let range = null;
+  if (options.syllables !== undefined) {
+    range = Array.isArray(options.syllables)
+      ? options.syllables
+      : [options.syllables, options.syllables];
+  }
+  // Syllable count, phonetic key and stressed vowel: from the build, else
+  // each worked out when first needed
+  const cache = tables.wordSounds || options.cache || null;
+  const soundsOf = (w) => {
+    let sounds = cache ? cache.get(w) : undefined;
+    if (sounds === undefined) {
+      sounds = { syllables: -1, key: null, vowel: null };
+      if (cache) {
+        cache.set(w, sounds);
+      }
+    }
+    return sounds;
+  };
+  const syllableCount = (w) => {
+    const sounds = soundsOf(w);
+    if (sounds.syllables === -1) {
+      sounds.syllables = syllabify(w, lexicon).syllables;
+    }
+    return sounds.syllables;
+  };
+
+  const matches = [];
+  for (let i = 0; i < candidates.length; i++) {
+    if (
+      candidates[i] === word ||
+      !meetsMinFrequency(frequencies, candidates[i], options.minFrequency)
+    ) {
+      continue;
+    }
+    if (range !== null) {
+      const count = syllableCount(candidates[i]);
+      if (count < range[0] || count > range[1]) {
+        continue;
+      }
+    }
+    matches.push(candidates[i]);
+  }
+
+  if (order === "random") {
+    // Fisher-Yates shuffle of the first maxResults positions
+    const random = options.random || Math.random;
+    const limit = Math.min(maxResults, matches.length);
+    for (let i = 0; i < limit; i++) {
+      const j = i + Math.floor(random() * (matches.length - i));
+      [matches[i], matches[j]] = [matches[j], matches[i]];
+    }
+    return matches.slice(0, limit);
+  }
+
+  const inputSyllables = syllableCount(word);
+  const inputKey = computePhoneticKey(word).toLowerCase();
+  const ranksBefore = (a, b) =>
+    b.score - a.score ||
+    (frequencies
+      ? wordCount(frequencies, b.word) - wordCount(frequencies, a.word)
+      : 0) ||
+    (a.word < b.word ? -1 : 1);
+  if (maxResults < 1) {
+    return [];
+  }
+  // Only the best maxResults are kept, best first, rather than sorting
+  // thousands of candidates
+  const best = [];
+  for (let i = 0; i < matches.length; i++) {
+    const candidate = matches[i];
+    const lengthDiff = Math.abs(candidate.length - word.length);
+    let score = lengthDiff <= 2 ? 20 - 5 * lengthDiff : lengthDiff <= 4 ? 5 : 0;
+    // Skip candidates that cannot beat the worst kept even with full
+    // syllable and device points
+    if (
+      best.length === maxResults &&
+      score + 80 < best[best.length - 1].score
+    ) {
+      continue;
+    }
+
+    score += Math.max(
+      0,
+      40 - 20 * Math.abs(syllableCount(candidate) - inputSyllables),
+    );
+
+    if (device === "alliteration") {
+      // Shared leading sounds ("str" with "str")
+      const sounds = soundsOf(candidate);
+      if (sounds.key === null) {
+        sounds.key = computePhoneticKey(candidate).toLowerCase();
+      }
+      const key = sounds.key;
+      let shared = 0;
+      while (
+        shared < key.length &&
+        shared < inputKey.length &&
+        key[shared] === inputKey[shared]
+      ) {
+        shared++;
+      }
+      score += Math.min(shared * 10, 40);
+    } else if (device === "assonance") {
+      // Same vowel with different consonants, rather than a rhyme
+      score += candidate.slice(-2) !== word.slice(-2) ? 40 : 20;
+    } else {
+      // Same consonants around a different vowel
+      const sounds = soundsOf(candidate);
+      if (sounds.vowel === null) {
+        sounds.vowel = soundKeysFor(candidate, lexicon).vowel;
+      }
+      score += sounds.vowel !== keys.vowel ? 40 : 20;
+    }
+
+    const match = { word: candidate, score };
+    if (
+      best.length === maxResults &&
+      ranksBefore(match, best[best.length - 1]) >= 0
+    ) {
+      continue;
+    }
+    let position = best.length;
+    while (position > 0 && ranksBefore(match, best[position - 1]) < 0) {
+      position--;
+    }
+    best.splice(position, 0, match);
+    if (best.length > maxResults) {
+      best.pop();
+    }
+  }
+  return best.map((match) => match.word);
+}
+
+// Export for Node.js (CommonJS); in the browser these remain globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    SOUND_DEVICES,
+    findAlliteration,
+    soundKeysFor,
+    findSoundMatches,
+  };
+}
@@ -0,0 +1,89 @@
+/*
+ * benchmarks/collisionStrategies.js
+ * Compares every collision strategy and hash function on the word list:
+ * build time, lookup time, probe-length distribution and max cluster size
+ *
+ * Usage: node benchmarks/collisionStrategies.js [--suffix <n>] [--wordlist <path>] [--json]
+ */
+
+const {
+  COLLISION_STRATEGIES,
+  HASH_FUNCTIONS,
+  HashTable,
+  collisionStats,
+  extractSuffix,
+  insertHash,
+  searchHash,
+} = require("../main.js");
+const { DEFAULT_WORDLIST, readFlag, readWords } = require("./harness.js");
+
+/**
+ * Builds one table configuration and times inserts and lookups.
+ * @param {Array<string>} keys - Suffix key for each word (parallel to words)
+ * @param {Array<string>} words - The words to insert
+ * @param {string} strategy - Collision strategy
+ * @param {string} hashFunction - Hash function name
+ * @returns {Object} Timing and collision statistics for the configuration
+ */
+function benchmark(keys, words, strategy, hashFunction) {
+  const T = new HashTable(6577, { strategy, hashFunction });
+
+  let start = process.hrtime.bigint();
+  for (let i = 0; i < words.length; i++) {
+    insertHash(T, keys[i], words[i]);
+  }
+  const buildMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+  start = process.hrtime.bigint();
+  for (let i = 0; i < keys.length; i++) {
+    searchHash(T, keys[i]);
+  }
+  const lookupMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+  const stats = collisionStats(T);
+  return {
+    strategy,
+    hashFunction,
+    buildMs: Number(buildMs.toFixed(2)),
+    lookupMs: Number(lookupMs.toFixed(2)),
+    size: stats.size,
+    resizes: T.resizeCount,
+    loadFactor: Number(stats.loadFactor.toFixed(4)),
+    averageProbeLength: Number(stats.averageProbeLength.toFixed(4)),
+    maxProbeLength: stats.maxProbeLength,
+    maxClusterSize: stats.maxClusterSize,
+    probeLengths: stats.probeLengths,
+  };
+}
+
+function main() {
+  const suffixLength = Number(readFlag("--suffix", "3"));
+  const wordlistPath = readFlag("--wordlist", DEFAULT_WORDLIST);
+
+  const { words } = readWords(wordlistPath);
+  const keys = words.map((word) => extractSuffix(word, suffixLength));
+
+  const results = [];
+  for (const strategy of COLLISION_STRATEGIES) {
+    for (const hashFunction of HASH_FUNCTIONS) {
+      results.push(benchmark(keys, words, strategy, hashFunction));
+    }
+  }
+  results.sort((a, b) => a.buildMs + a.lookupMs - (b.buildMs + b.lookupMs));
+
+  if (process.argv.includes("--json")) {
+    console.log(
+      JSON.stringify({ suffixLength, words: words.length, results }, null, 2),
+    );
+    return;
+  }
+
+  console.log(
+    `${words.length} words, suffix length ${suffixLength} (fastest first)`,
+  );
+  console.table(
+    results.map(({ probeLengths, ...row }) => row), // histogram is JSON-only
+  );
+}
+
+main();
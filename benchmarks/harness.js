@@ -0,0 +1,112 @@
+/*
+ * benchmarks/harness.js
+ * Helpers shared by the benchmark and property-check scripts: command-line
+ * flags, a seeded random number generator, the word list and JSON reports
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { isAlphabetic } = require("../main.js");
+
+/** Bundled word list the scripts run on by default. */
+const DEFAULT_WORDLIST = path.join(__dirname, "..", "wordlist.txt");
+
+/** Directory the JSON reports are written to by default (not committed). */
+const RESULTS_DIR = path.join(__dirname, "results");
+
+/**
+ * Reads a simple --flag value from the command line.
+ * @param {string} flag - Flag name including dashes
+ * @param {string} fallback - Value when the flag is absent
+ * @returns {string} The flag value
+ */
+function readFlag(flag, fallback) {
+  const index = process.argv.indexOf(flag);
+  return index !== -1 && index + 1 < process.argv.length
+    ? process.argv[index + 1]
+    : fallback;
+}
+
+/**
+ * Reads a comma-separated list of positive integers from the command line.
+ * @param {string} flag - Flag name including dashes
+ * @param {string} fallback - Value when the flag is absent, e.g. "2,3,4"
+ * @returns {Array<number>} The integers
+ * @throws {RangeError} If an entry is not a positive integer
+ */
+function readIntegerList(flag, fallback) {
+  return readFlag(flag, fallback)
+    .split(",")
+    .map((entry) => {
+      const n = Number(entry);
+      if (!Number.isInteger(n) || n < 1) {
+        throw new RangeError(
+          `${flag} expects positive integers, got "${entry}"`,
+        );
+      }
+      return n;
+    });
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32), so a run
+ * can be repeated exactly from the seed in its report.
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Returns a number in [0, 1) on each call
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Returns a random integer in [min, max].
+ * @param {Function} random - Generator from createRandom
+ * @param {number} min - Smallest value
+ * @param {number} max - Largest value
+ * @returns {number} The integer
+ */
+function randomInt(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Reads the single words of a word list (phrases and other lines skipped).
+ * @param {string} wordlistPath - Path to the word list
+ * @returns {Object} { text, words } with the file text and its words
+ */
+function readWords(wordlistPath) {
+  const text = fs.readFileSync(wordlistPath, "utf8");
+  const words = text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((word) => word.length > 0 && isAlphabetic(word));
+  return { text, words };
+}
+
+/**
+ * Writes a report as indented JSON, creating its directory if needed.
+ * @param {string} reportPath - Where to write it
+ * @param {Object} report - The report
+ */
+function writeReport(reportPath, report) {
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, `${JSON.stringify(report, null, 2)}\n`);
+}
+
+module.exports = {
+  DEFAULT_WORDLIST,
+  RESULTS_DIR,
+  readFlag,
+  readIntegerList,
+  createRandom,
+  randomInt,
+  readWords,
+  writeReport,
+};
@@ -0,0 +1,491 @@
+/*
+ * benchmarks/properties.js
+ * Property-based checks of the data structures: every inserted word is found
+ * again by searchHash (through resizes and removals, for every collision
+ * strategy and hash function), scoreRhyme is symmetric and between 0 and 100,
+ * and countSyllables gives every word at least one syllable and the known
+ * count for words its spelling rules are easy to get wrong on. Inputs are
+ * random (from a seed, so a failing run can be repeated) and the whole word
+ * list; a failure is shrunk to a small counterexample. Writes a JSON report
+ * and exits with code 1 if any property fails.
+ *
+ * Usage: node benchmarks/properties.js [--runs <n>] [--seed <n>]
+ *        [--wordlist <path>] [--out <path>]
+ */
+
+const path = require("path");
+const {
+  COLLISION_STRATEGIES,
+  HASH_FUNCTIONS,
+  HashTable,
+  buildPoetryAssistant,
+  countSyllables,
+  extractSuffix,
+  insertHash,
+  phoneticKeysFor,
+  removeSuffix,
+  scoreRhyme,
+  searchHash,
+} = require("../main.js");
+const {
+  DEFAULT_WORDLIST,
+  RESULTS_DIR,
+  createRandom,
+  randomInt,
+  readFlag,
+  readWords,
+  writeReport,
+} = require("./harness.js");
+
+/** Most candidates tried while shrinking one counterexample. */
+const MAX_SHRINKS = 1000;
+
+/**
+ * Syllable counts countSyllables must get right: pronounced and silent
+ * "-ed" endings, syllabic "-le" and vowel pairs split across syllables.
+ */
+const KNOWN_SYLLABLES = {
+  jumped: 1,
+  wanted: 2,
+  hundred: 2,
+  sacred: 2,
+  naked: 2,
+  wicked: 2,
+  created: 3,
+  bottled: 2,
+  tickled: 2,
+  cradled: 2,
+  peopled: 2,
+  troubled: 2,
+  crumbled: 2,
+  smiled: 1,
+  called: 1,
+  fled: 1,
+  ruined: 2,
+  rained: 1,
+};
+
+/** Letters of random words, weighted towards common English ones. */
+const LETTERS = "aaabcdeeeefghiiijklmnooopqrstuuvwxyyz";
+
+/**
+ * Returns a random word: half the time one from the word list, else random
+ * letters (occasionally capitalised).
+ * @param {Function} random - Generator from createRandom
+ * @param {Array<string>} words - Word list words
+ * @returns {string} A non-empty alphabetic word
+ */
+function randomWord(random, words) {
+  if (random() < 0.5) {
+    return words[randomInt(random, 0, words.length - 1)];
+  }
+  let word = "";
+  const length = randomInt(random, 1, 12);
+  for (let i = 0; i < length; i++) {
+    word += LETTERS[randomInt(random, 0, LETTERS.length - 1)];
+  }
+  return random() < 0.1 ? word[0].toUpperCase() + word.slice(1) : word;
+}
+
+/**
+ * Shorter versions of a word, one letter left out of each.
+ * @param {string} word - The word
+ * @param {number} [minLength=1] - Shortest length to shrink to
+ * @returns {Array<string>} The candidates
+ */
+function shorterWords(word, minLength = 1) {
+  if (word.length <= minLength) {
+    return [];
+  }
+  const candidates = [];
+  for (let i = 0; i < word.length; i++) {
+    candidates.push(word.slice(0, i) + word.slice(i + 1));
+  }
+  return candidates;
+}
+
+/**
+ * Inserts words into a fresh table, removes some of their suffixes, then
+ * checks that searchHash finds every word whose suffix was kept, finds
+ * nothing for the removed suffixes and that the table counts the rest.
+ * @param {Object} input - { strategy, hashFunction, size, suffixLength, words, removed }
+ * @returns {string|null} What went wrong, or null if the property holds
+ */
+function checkSearchFindsInserted(input) {
+  const T = new HashTable(input.size, {
+    strategy: input.strategy,
+    hashFunction: input.hashFunction,
+  });
+  const suffixes = input.words.map((word) =>
+    extractSuffix(word, input.suffixLength),
+  );
+  for (let i = 0; i < input.words.length; i++) {
+    insertHash(T, suffixes[i], input.words[i]);
+  }
+  const removed = new Set(input.removed);
+  for (const suffix of removed) {
+    removeSuffix(T, suffix);
+  }
+
+  for (let i = 0; i < input.words.length; i++) {
+    if (removed.has(suffixes[i])) {
+      continue;
+    }
+    if (!searchHash(T, suffixes[i]).includes(input.words[i])) {
+      return `"${input.words[i]}" not found under "${suffixes[i]}"`;
+    }
+  }
+  for (const suffix of removed) {
+    if (searchHash(T, suffix).length > 0) {
+      return `removed suffix "${suffix}" still found`;
+    }
+  }
+  const kept = new Set(suffixes.filter((suffix) => !removed.has(suffix)));
+  if (T.count !== kept.size) {
+    return `count is ${T.count}, expected ${kept.size}`;
+  }
+  return null;
+}
+
+/**
+ * Checks that scoreRhyme gives the same whole-number score both ways round,
+ * between 0 and 100, and 0 for a word against itself.
+ * @param {Array<string>} pair - [word1, word2]
+ * @returns {string|null} What went wrong, or null if the property holds
+ */
+function checkScoreRhyme([word1, word2]) {
+  const forward = scoreRhyme(word1, word2);
+  const backward = scoreRhyme(word2, word1);
+  if (forward !== backward) {
+    return `scoreRhyme gives ${forward} one way and ${backward} the other`;
+  }
+  if (!Number.isInteger(forward) || forward < 0 || forward > 100) {
+    return `score ${forward} is not a whole number from 0 to 100`;
+  }
+  if (word1 === word2 && forward !== 0) {
+    return `a word scores ${forward} against itself`;
+  }
+  return null;
+}
+
+/**
+ * Checks that countSyllables gives a word a whole number of at least 1.
+ * @param {string} word - A non-empty word
+ * @returns {string|null} What went wrong, or null if the property holds
+ */
+function checkSyllables(word) {
+  const syllables = countSyllables(word);
+  if (!Number.isInteger(syllables) || syllables < 1) {
+    return `countSyllables("${word}") is ${syllables}`;
+  }
+  return null;
+}
+
+/**
+ * Checks that countSyllables gives a word of KNOWN_SYLLABLES its count.
+ * @param {string} word - A word of KNOWN_SYLLABLES
+ * @returns {string|null} What went wrong, or null if the property holds
+ */
+function checkKnownSyllables(word) {
+  const syllables = countSyllables(word);
+  if (syllables !== KNOWN_SYLLABLES[word]) {
+    return `countSyllables("${word}") is ${syllables}, expected ${KNOWN_SYLLABLES[word]}`;
+  }
+  return null;
+}
+
+/**
+ * The properties checked on random input. Each has a generator, a check and
+ * a shrinker giving simpler inputs to try when the check fails.
+ * @param {Array<string>} words - Word list words
+ * @returns {Array<Object>} { name, description, generate, check, shrink }
+ */
+function randomProperties(words) {
+  return [
+    {
+      name: "searchHash finds inserted words",
+      description:
+        "Words inserted into a table of any strategy, hash function and initial size are found by searchHash after resizes and after other suffixes are removed",
+      generate(random) {
+        const suffixLength = randomInt(random, 1, 5);
+        const tableWords = [];
+        const count = randomInt(random, 1, 150);
+        for (let i = 0; i < count; i++) {
+          tableWords.push(randomWord(random, words));
+        }
+        const removed = tableWords
+          .filter(() => random() < 0.2)
+          .map((word) => extractSuffix(word, suffixLength));
+        return {
+          strategy:
+            COLLISION_STRATEGIES[
+              randomInt(random, 0, COLLISION_STRATEGIES.length - 1)
+            ],
+          hashFunction:
+            HASH_FUNCTIONS[randomInt(random, 0, HASH_FUNCTIONS.length - 1)],
+          size: randomInt(random, 1, 40),
+          suffixLength,
+          words: tableWords,
+          removed: Array.from(new Set(removed)),
+        };
+      },
+      check: checkSearchFindsInserted,
+      shrink(input) {
+        const candidates = [];
+        const half = Math.floor(input.words.length / 2);
+        if (half > 0) {
+          candidates.push({ ...input, words: input.words.slice(0, half) });
+          candidates.push({ ...input, words: input.words.slice(half) });
+        }
+        for (let i = 0; i < input.words.length && input.words.length > 1; i++) {
+          candidates.push({
+            ...input,
+            words: input.words.filter((_, j) => j !== i),
+          });
+        }
+        for (let i = 0; i < input.removed.length; i++) {
+          candidates.push({
+            ...input,
+            removed: input.removed.filter((_, j) => j !== i),
+          });
+        }
+        return candidates;
+      },
+    },
+    {
+      name: "scoreRhyme is symmetric and bounded",
+      description:
+        "scoreRhyme(a, b) equals scoreRhyme(b, a), is a whole number from 0 to 100, and is 0 when a equals b",
+      generate(random) {
+        const word1 = randomWord(random, words);
+        const roll = random();
+        if (roll < 0.1) {
+          return [word1, word1];
+        }
+        if (roll < 0.4) {
+          // Share an ending, as candidate rhymes do
+          const tail = word1.slice(-randomInt(random, 1, word1.length));
+          return [word1, randomWord(random, words) + tail];
+        }
+        return [word1, randomWord(random, words)];
+      },
+      check: checkScoreRhyme,
+      shrink([word1, word2]) {
+        return [
+          ...shorterWords(word1).map((word) => [word, word2]),
+          ...shorterWords(word2).map((word) => [word1, word]),
+        ];
+      },
+    },
+    {
+      name: "countSyllables is at least 1",
+      description:
+        "countSyllables gives every non-empty word a whole number of syllables, at least 1",
+      generate: (random) => randomWord(random, words),
+      check: checkSyllables,
+      shrink: (word) => shorterWords(word),
+    },
+  ];
+}
+
+/**
+ * Shrinks a failing input: keeps taking the first simpler input that still
+ * fails until none does (or MAX_SHRINKS candidates have been tried).
+ * @param {Object} property - The property (see randomProperties)
+ * @param {*} input - A failing input
+ * @returns {Object} { input, message, shrinks } for the smallest failure found
+ */
+function shrinkFailure(property, input) {
+  let message = property.check(input);
+  let shrinks = 0;
+  let tried = 0;
+  let shrunk = true;
+  while (shrunk && tried < MAX_SHRINKS) {
+    shrunk = false;
+    const candidates = property.shrink(input);
+    for (let i = 0; i < candidates.length && tried < MAX_SHRINKS; i++) {
+      tried++;
+      const candidateMessage = property.check(candidates[i]);
+      if (candidateMessage !== null) {
+        input = candidates[i];
+        message = candidateMessage;
+        shrinks++;
+        shrunk = true;
+        break;
+      }
+    }
+  }
+  return { input, message, shrinks };
+}
+
+/**
+ * Runs a property on random inputs until it fails or the runs are used up.
+ * @param {Object} property - The property (see randomProperties)
+ * @param {Function} random - Generator from createRandom
+ * @param {number} runs - Number of random inputs
+ * @returns {Object} The property's report entry
+ */
+function runProperty(property, random, runs) {
+  const start = performance.now();
+  for (let run = 1; run <= runs; run++) {
+    const input = property.generate(random);
+    if (property.check(input) !== null) {
+      const failure = shrinkFailure(property, input);
+      return {
+        name: property.name,
+        description: property.description,
+        runs: run,
+        passed: false,
+        elapsedMs: Number((performance.now() - start).toFixed(2)),
+        failure: {
+          run,
+          message: failure.message,
+          counterexample: failure.input,
+          shrinks: failure.shrinks,
+        },
+      };
+    }
+  }
+  return {
+    name: property.name,
+    description: property.description,
+    runs,
+    passed: true,
+    elapsedMs: Number((performance.now() - start).toFixed(2)),
+  };
+}
+
+/**
+ * Checks a property on every word of the word list, reporting the first
+ * failures.
+ * @param {string} name - Property name
+ * @param {string} description - What is checked
+ * @param {Array<string>} words - Word list words
+ * @param {Function} check - (word) -> message or null
+ * @returns {Object} The property's report entry
+ */
+function runOnWordList(name, description, words, check) {
+  const start = performance.now();
+  const failures = [];
+  let failed = 0;
+  for (let i = 0; i < words.length; i++) {
+    const message = check(words[i]);
+    if (message !== null) {
+      failed++;
+      if (failures.length < 10) {
+        failures.push({ counterexample: words[i], message });
+      }
+    }
+  }
+  const entry = {
+    name,
+    description,
+    runs: words.length,
+    passed: failed === 0,
+    elapsedMs: Number((performance.now() - start).toFixed(2)),
+  };
+  if (failed > 0) {
+    entry.failed = failed;
+    entry.failures = failures;
+  }
+  return entry;
+}
+
+function main() {
+  const runs = Number(readFlag("--runs", "500"));
+  const seed = Number(readFlag("--seed", String(Date.now() % 2 ** 32)));
+  const wordlistPath = readFlag("--wordlist", DEFAULT_WORDLIST);
+  const reportPath = readFlag(
+    "--out",
+    path.join(RESULTS_DIR, "properties.json"),
+  );
+  if (!Number.isInteger(runs) || runs < 1) {
+    throw new RangeError("--runs expects a positive integer");
+  }
+
+  const { text, words } = readWords(wordlistPath);
+  const random = createRandom(seed);
+  const properties = randomProperties(words).map((property) =>
+    runProperty(property, random, runs),
+  );
+
+  // The real tables: every word list word is filed where lookups will look
+  // (a word repeated with other capitals is filed once, so compare lowercase)
+  const tables = buildPoetryAssistant(text, 3, { silent: true });
+  const buckets = new Map(); // Table and key -> lowercase words found
+  const indexed = (table, keys, word) =>
+    keys.some((key) => {
+      const id = `${table === tables.rhymeTable ? "r" : "p"}:${key}`;
+      if (!buckets.has(id)) {
+        buckets.set(
+          id,
+          new Set(searchHash(table, key).map((stored) => stored.toLowerCase())),
+        );
+      }
+      return buckets.get(id).has(word.toLowerCase());
+    });
+  properties.push(
+    runOnWordList(
+      "word list words are found in the built tables",
+      "buildPoetryAssistant files every word list word where searchHash finds it: in the rhyme table under its suffix and in the phonetic table under its phonetic keys",
+      words,
+      (word) => {
+        if (!indexed(tables.rhymeTable, [extractSuffix(word, 3)], word)) {
+          return `"${word}" not in the rhyme table`;
+        }
+        if (!indexed(tables.phoneticTable, phoneticKeysFor(word, 3), word)) {
+          return `"${word}" not in the phonetic table`;
+        }
+        return null;
+      },
+    ),
+    runOnWordList(
+      "word list words have at least 1 syllable",
+      "countSyllables gives every word list word a whole number of syllables, at least 1",
+      words,
+      checkSyllables,
+    ),
+    runOnWordList(
+      "known syllable counts",
+      "countSyllables gives the words of KNOWN_SYLLABLES their known counts",
+      Object.keys(KNOWN_SYLLABLES),
+      checkKnownSyllables,
+    ),
+  );
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    node: process.version,
+    seed,
+    runs,
+    wordlist: path.relative(process.cwd(), wordlistPath),
+    words: words.length,
+    passed: properties.every((property) => property.passed),
+    properties,
+  };
+  writeReport(reportPath, report);
+
+  console.log(`Seed ${seed}; ${runs} random runs per property`);
+  console.table(
+    properties.map(({ name, runs: checked, passed, elapsedMs }) => ({
+      name,
+      runs: checked,
+      passed,
+      elapsedMs,
+    })),
+  );
+  properties
+    .filter((property) => !property.passed)
+    .forEach((property) => {
+      const failure = property.failure || property.failures[0];
+      console.log(
+        `FAILED ${property.name}: ${failure.message}\n  counterexample: ${JSON.stringify(failure.counterexample)}`,
+      );
+    });
+  console.log(`Report written to ${reportPath}`);
+  if (!report.passed) {
+    process.exitCode = 1;
+  }
+}
+
+main();
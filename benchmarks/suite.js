@@ -0,0 +1,230 @@
+/*
+ * benchmarks/suite.js
+ * Benchmarks the poetry assistant across suffix lengths and initial table
+ * sizes: build time, heap memory, per-query latency percentiles of the
+ * lookups, and hash table probe steps split into those taken while building
+ * and those taken while querying. Writes a JSON report.
+ *
+ * Usage: node --expose-gc benchmarks/suite.js [--suffixes 2,3,4]
+ *        [--table-sizes 97,6577,65537] [--queries <n>] [--seed <n>]
+ *        [--wordlist <path>] [--out <path>]
+ * Without --expose-gc the memory figures include garbage not yet collected.
+ */
+
+const path = require("path");
+const {
+  buildPoetryAssistant,
+  extractSuffix,
+  findRhymes,
+  phoneticSearch,
+  query,
+  searchHash,
+} = require("../main.js");
+const {
+  DEFAULT_WORDLIST,
+  RESULTS_DIR,
+  createRandom,
+  randomInt,
+  readFlag,
+  readIntegerList,
+  readWords,
+  writeReport,
+} = require("./harness.js");
+
+/** Hash tables of a poetry assistant whose probe steps are reported. */
+const HASH_TABLES = [
+  "rhymeTable",
+  "phoneticTable",
+  "soundTable",
+  "assonanceTable",
+  "consonanceTable",
+  "phraseTable",
+];
+
+/** Lookups run before timing each operation, so JIT warm-up is not timed. */
+const WARMUP_QUERIES = 5;
+
+/**
+ * The timed operations: (tables, word, suffixLength) -> result.
+ * query is the full lookup the web page and CLI make; the others are its
+ * parts.
+ */
+const OPERATIONS = {
+  searchHash: (tables, word, suffixLength) =>
+    searchHash(tables.rhymeTable, extractSuffix(word, suffixLength)),
+  findRhymes: (tables, word, suffixLength) =>
+    findRhymes(tables.rhymeTable, word, suffixLength, 10),
+  phoneticSearch: (tables, word, suffixLength) =>
+    phoneticSearch(tables.phoneticTable, word, suffixLength, 10),
+  query: (tables, word, suffixLength) => query(tables, word, suffixLength),
+};
+
+/**
+ * Returns the heap in use, after a full collection when node runs with
+ * --expose-gc.
+ * @returns {number} Bytes
+ */
+function heapUsed() {
+  if (global.gc) {
+    global.gc();
+  }
+  return process.memoryUsage().heapUsed;
+}
+
+/**
+ * Summarises latencies by nearest-rank percentiles.
+ * @param {Array<number>} times - Latencies in milliseconds
+ * @returns {Object} { count, meanMs, p50Ms, p90Ms, p99Ms, maxMs }
+ */
+function latencySummary(times) {
+  const sorted = [...times].sort((a, b) => a - b);
+  const percentile = (p) =>
+    sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+  const round = (ms) => Number(ms.toFixed(4));
+  const total = sorted.reduce((sum, ms) => sum + ms, 0);
+  return {
+    count: sorted.length,
+    meanMs: round(total / sorted.length),
+    p50Ms: round(percentile(50)),
+    p90Ms: round(percentile(90)),
+    p99Ms: round(percentile(99)),
+    maxMs: round(sorted[sorted.length - 1]),
+  };
+}
+
+/**
+ * Reads the probe step counters of every hash table.
+ * @param {Object} tables - Poetry assistant
+ * @returns {Object} Table name -> probeSteps
+ */
+function probeSteps(tables) {
+  const steps = {};
+  HASH_TABLES.forEach((name) => {
+    steps[name] = tables[name].probeSteps;
+  });
+  return steps;
+}
+
+/**
+ * Builds the assistant for one configuration and times its lookups.
+ * @param {string} text - Word list text
+ * @param {number} suffixLength - Suffix length to build with
+ * @param {number} tableSize - Initial hash table size
+ * @param {Array<string>} sample - Words to look up
+ * @returns {Object} The configuration's report entry
+ */
+function benchmark(text, suffixLength, tableSize, sample) {
+  const heapBefore = heapUsed();
+  const start = performance.now();
+  const tables = buildPoetryAssistant(text, suffixLength, {
+    silent: true,
+    tableSize,
+  });
+  const buildMs = performance.now() - start;
+  const heapBytes = heapUsed() - heapBefore;
+
+  // probeSteps keeps counting after the build, so read it now and again
+  // after the lookups to tell the two apart
+  const buildSteps = probeSteps(tables);
+  const latency = {};
+  for (const [name, operation] of Object.entries(OPERATIONS)) {
+    for (let i = 0; i < Math.min(WARMUP_QUERIES, sample.length); i++) {
+      operation(tables, sample[i], suffixLength);
+    }
+    const times = [];
+    for (let i = 0; i < sample.length; i++) {
+      const opStart = process.hrtime.bigint();
+      operation(tables, sample[i], suffixLength);
+      times.push(Number(process.hrtime.bigint() - opStart) / 1e6);
+    }
+    latency[name] = latencySummary(times);
+  }
+  const afterSteps = probeSteps(tables);
+  const querySteps = {};
+  HASH_TABLES.forEach((name) => {
+    querySteps[name] = afterSteps[name] - buildSteps[name];
+  });
+
+  const { stats } = tables;
+  return {
+    suffixLength,
+    tableSize,
+    words: stats.wordCount,
+    buildMs: Number(buildMs.toFixed(2)),
+    trieBuildMs: Number(stats.trieBuildTimeMs.toFixed(2)),
+    heapBytes,
+    rhymeTable: {
+      keys: stats.rhymeTableCount,
+      size: stats.rhymeTableSize,
+      resizes: stats.rhymeTableResizes,
+      loadFactor: Number(stats.rhymeTableLoadFactor.toFixed(4)),
+    },
+    phoneticTable: {
+      keys: stats.phoneticTableCount,
+      size: stats.phoneticTableSize,
+      resizes: stats.phoneticTableResizes,
+    },
+    probeSteps: { build: buildSteps, query: querySteps },
+    latency,
+  };
+}
+
+function main() {
+  const suffixes = readIntegerList("--suffixes", "2,3,4");
+  const tableSizes = readIntegerList("--table-sizes", "97,6577,65537");
+  const queries = Number(readFlag("--queries", "50"));
+  const seed = Number(readFlag("--seed", String(Date.now() % 2 ** 32)));
+  const wordlistPath = readFlag("--wordlist", DEFAULT_WORDLIST);
+  const reportPath = readFlag("--out", path.join(RESULTS_DIR, "suite.json"));
+  if (!Number.isInteger(queries) || queries < 1) {
+    throw new RangeError("--queries expects a positive integer");
+  }
+
+  // Every configuration looks up the same words
+  const { text, words } = readWords(wordlistPath);
+  const random = createRandom(seed);
+  const sample = [];
+  for (let i = 0; i < queries; i++) {
+    sample.push(words[randomInt(random, 0, words.length - 1)].toLowerCase());
+  }
+
+  const results = [];
+  for (const suffixLength of suffixes) {
+    for (const tableSize of tableSizes) {
+      console.log(
+        `Suffix length ${suffixLength}, initial table size ${tableSize}...`,
+      );
+      results.push(benchmark(text, suffixLength, tableSize, sample));
+    }
+  }
+
+  writeReport(reportPath, {
+    generatedAt: new Date().toISOString(),
+    node: process.version,
+    gcExposed: Boolean(global.gc),
+    seed,
+    wordlist: path.relative(process.cwd(), wordlistPath),
+    queries,
+    results,
+  });
+
+  console.table(
+    results.map((result) => ({
+      suffix: result.suffixLength,
+      tableSize: result.tableSize,
+      buildMs: result.buildMs,
+      heapMB: Number((result.heapBytes / 2 ** 20).toFixed(1)),
+      resizes: result.rhymeTable.resizes,
+      "searchHash p99": result.latency.searchHash.p99Ms,
+      "findRhymes p50": result.latency.findRhymes.p50Ms,
+      "query p50": result.latency.query.p50Ms,
+      "query p99": result.latency.query.p99Ms,
+    })),
+  );
+  if (!global.gc) {
+    console.log("Run with node --expose-gc for accurate memory figures");
+  }
+  console.log(`Report written to ${reportPath}`);
+}
+
+main();
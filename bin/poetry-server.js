@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+/*
+ * bin/poetry-server.js
+ * Starts the Poetry Assistant HTTP JSON API (see server.js)
+ * Builds the tables once, then answers requests until stopped
+ */
+
+const path = require("path");
+const {
+  addWordList,
+  blockWords,
+  buildPoetryAssistantFromPath,
+  buildPoetryAssistantWithSnapshot,
+  createPoetryServer,
+  loadFrequenciesFromPath,
+  loadLexiconFromPath,
+  loadPosTagsFromPath,
+  loadWordGraphFromPath,
+  loadWordListFromPath,
+} = require("../main.js");
+
+const DEFAULT_WORDLIST = path.join(__dirname, "..", "wordlist.txt");
+
+const USAGE = `Usage: poetry-server [options]
+
+Options:
+  --port <n>            Port to listen on (default: 3000)
+  --host <address>      Address to listen on (default: 127.0.0.1)
+  --cache-size <n>      Responses to cache, 0 to disable (default: 1000)
+  --wordlist <path>     Word list file (default: bundled wordlist.txt)
+  --snapshot <path>     Restore the index from a snapshot file instead of
+                        building it (see poetry snapshot)
+  --add-wordlist <[label=]path>
+                        Merge another word list; repeat for several
+  --blocklist <path>    Words never to suggest, one per line
+  --lexicon <path>      Pronunciation lexicon in CMUdict format (optional)
+  --frequencies <path>  Word frequency list (optional)
+  --pos-tags <path>     Part-of-speech tags (optional)
+  --word-graph <path>   Related words (optional)
+  --suffix <n>          Suffix length of the rhyme and phonetic tables (default: 3)
+  -h, --help            Show this help`;
+
+/**
+ * Parses command-line arguments into server options.
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} The options
+ */
+function parseArgs(argv) {
+  const options = {
+    port: 3000,
+    host: "127.0.0.1",
+    cacheSize: 1000,
+    wordlist: DEFAULT_WORDLIST,
+    snapshot: null,
+    addWordlists: [],
+    blocklist: null,
+    lexicon: null,
+    frequencies: null,
+    posTags: null,
+    wordGraph: null,
+    suffix: 3,
+    help: false,
+  };
+  const names = {
+    "--host": "host",
+    "--wordlist": "wordlist",
+    "--snapshot": "snapshot",
+    "--blocklist": "blocklist",
+    "--lexicon": "lexicon",
+    "--frequencies": "frequencies",
+    "--pos-tags": "posTags",
+    "--word-graph": "wordGraph",
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    } else if (Object.prototype.hasOwnProperty.call(names, arg)) {
+      options[names[arg]] = requireValue(argv, ++i, arg);
+    } else if (arg === "--port" || arg === "--suffix") {
+      options[arg.slice(2)] = parseInteger(
+        requireValue(argv, ++i, arg),
+        arg,
+        1,
+      );
+    } else if (arg === "--cache-size") {
+      options.cacheSize = parseInteger(requireValue(argv, ++i, arg), arg, 0);
+    } else if (arg === "--add-wordlist") {
+      const value = requireValue(argv, ++i, arg);
+      const match = /^([^=/\\]+)=(.+)$/.exec(value);
+      options.addWordlists.push(
+        match
+          ? { label: match[1], path: match[2] }
+          : { label: path.basename(value, path.extname(value)), path: value },
+      );
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Returns the value following a flag, or throws if it is missing.
+ * @param {Array<string>} argv - Argument list
+ * @param {number} index - Position of the expected value
+ * @param {string} flag - Flag name (for the error message)
+ * @returns {string} The flag value
+ */
+function requireValue(argv, index, flag) {
+  if (index >= argv.length) {
+    throw new Error(`Missing value for ${flag}`);
+  }
+  return argv[index];
+}
+
+/**
+ * Parses an integer flag value.
+ * @param {string} value - Raw value
+ * @param {string} flag - Flag name (for the error message)
+ * @param {number} min - Smallest allowed value
+ * @returns {number} The parsed integer
+ */
+function parseInteger(value, flag, min) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) {
+    throw new Error(`${flag} must be an integer of at least ${min}`);
+  }
+  return n;
+}
+
+/**
+ * Builds the poetry assistant (or restores it from the --snapshot file)
+ * and merges the extra word lists and blocklist.
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object>} The poetry assistant data structures
+ */
+async function loadAssistant(options) {
+  const settings = {
+    silent: true,
+    source: path.basename(options.wordlist, path.extname(options.wordlist)),
+    lexicon: options.lexicon
+      ? await loadLexiconFromPath(options.lexicon)
+      : null,
+    frequencies: options.frequencies
+      ? await loadFrequenciesFromPath(options.frequencies)
+      : null,
+    posTags: options.posTags
+      ? await loadPosTagsFromPath(options.posTags)
+      : null,
+    wordGraph: options.wordGraph
+      ? await loadWordGraphFromPath(options.wordGraph)
+      : null,
+  };
+  const assistant = options.snapshot
+    ? await buildPoetryAssistantWithSnapshot(
+        options.wordlist,
+        options.snapshot,
+        options.suffix,
+        settings,
+      )
+    : await buildPoetryAssistantFromPath(
+        options.wordlist,
+        options.suffix,
+        settings,
+      );
+  if (!assistant) {
+    throw new Error(`Could not load word list ${options.wordlist}`);
+  }
+
+  for (let i = 0; i < options.addWordlists.length; i++) {
+    const { label, path: listPath } = options.addWordlists[i];
+    addWordList(
+      assistant,
+      await loadWordListFromPath(listPath),
+      label,
+      options.suffix,
+    );
+  }
+  if (options.blocklist) {
+    const blocklist = await loadWordListFromPath(options.blocklist);
+    blockWords(assistant, blocklist.entries, options.suffix);
+  }
+  return assistant;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`poetry-server: ${error.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  let assistant;
+  try {
+    console.log("Building word index...");
+    assistant = await loadAssistant(options);
+  } catch (error) {
+    console.error(`poetry-server: ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const server = createPoetryServer(assistant, options.suffix, {
+    cacheSize: options.cacheSize,
+  });
+  server.on("error", (error) => {
+    console.error(`poetry-server: ${error.message}`);
+    process.exitCode = 1;
+  });
+  server.listen(options.port, options.host, () => {
+    console.log(
+      `Indexed ${assistant.stats.wordCount.toLocaleString()} words; listening on http://${options.host}:${options.port}`,
+    );
+  });
+}
+
+main();
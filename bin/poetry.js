@@ -0,0 +1,750 @@
+#!/usr/bin/env node
+/*
+ * bin/poetry.js
+ * Command-line interface for the Poetry Assistant
+ * Reads the word list from disk and answers rhyme, syllable,
+ * alliteration, assonance, consonance, prefix and statistics queries
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const {
+  COLLISION_STRATEGIES,
+  HASH_FUNCTIONS,
+  RHYME_TYPES,
+  SCORING_PROFILES,
+  addWordList,
+  blockWords,
+  buildPoetryAssistant,
+  buildPoetryAssistantFromPath,
+  buildPoetryAssistantWithSnapshot,
+  countPrefix,
+  createSnapshot,
+  findOnsetAlliteration,
+  findSoundMatches,
+  isAlphabetic,
+  loadFrequenciesFromPath,
+  loadLexiconFromPath,
+  loadWordListFromPath,
+  loadPosTagsFromPath,
+  loadWordGraphFromPath,
+  query,
+  searchPrefix,
+  snapshotParams,
+  streamQueries,
+  streamQueriesFromPath,
+  syllabify,
+  wordSources,
+  writeSnapshotToPath,
+} = require("../main.js");
+
+const DEFAULT_WORDLIST = path.join(__dirname, "..", "wordlist.txt");
+
+const USAGE = `Usage: poetry <command> [words...] [options]
+
+Commands:
+  rhyme <words...>      Find rhyming words for a word or phrase, and
+                        two-word phrases that rhyme with it
+  syllables <words...>  Count syllables and stress in one or more words
+  alliterate <word>     Find words starting with the same sound
+  assonance <word>      Find words with the same stressed vowel
+  consonance <word>     Find words with the same consonant sounds
+  prefix <letters>      List words starting with the given letters
+  stats                 Show dictionary and hash table statistics
+  snapshot <path>       Build the index and save it as a snapshot file
+  batch <path|->        Rhymes, syllables and alliterations for every word
+                        of a text file (or standard input), line by line,
+                        with the throughput on standard error
+
+Options:
+  --wordlist <path>     Word list file (default: bundled wordlist.txt)
+  --snapshot <path>     Restore the index from a snapshot file instead of
+                        building it, rewriting the file when it is missing
+                        or was built from a different word list or settings
+  --add-wordlist <[label=]path>
+                        Merge another word list, one word or phrase per line;
+                        repeat for several (label defaults to the file name)
+  --blocklist <path>    Words never to suggest, one per line
+  --lexicon <path>      Pronunciation lexicon in CMUdict format (optional)
+  --frequencies <path>  Word frequency list, one "word<TAB>count" per line
+                        (optional); common words then rank first
+  --min-frequency <n|common>
+                        rhyme/alliterate/assonance/consonance: only words
+                        seen at least n times, or the common ones
+  --pos-tags <path>     Part-of-speech tags, one "word<TAB>noun,verb" per line
+  --word-graph <path>   Related words, one "word<TAB>related,words" per line
+  --pos <tag>           rhyme: only nouns, verbs, ... (needs --pos-tags)
+  --topic <word>        rhyme: rank rhymes related to the topic first
+                        (needs --word-graph)
+  --topic-only          rhyme: only rhymes related to the topic
+  --explain             rhyme: show where each rhyme came from: its table,
+                        the keys it matched with their probe lengths, and
+                        its score factor by factor
+  --suffix <n>          Suffix length of the rhyme and phonetic tables (default: 3)
+  --min-suffix <n>      rhyme: shortest shared ending to fall back to when
+                        longer endings give too few rhymes (default: 2)
+  --limit <n>           Maximum number of results (default: 10; batch: rhymes
+                        per word)
+  --types <list>        Comma-separated rhyme types to keep: perfect,
+                        multisyllabic, identical, slant, eye (default: all)
+  --profile <name>      Rhyme scoring profile: classic, strict, loose or
+                        children (default: classic)
+  --strategy <name>     Hash table collision strategy: linear, quadratic,
+                        double or chaining (default: linear)
+  --hash <name>         Hash function: polynomial or fnv1a (default: polynomial)
+  --order <name>        Order of alliterate/assonance/consonance results:
+                        ranked or random (default: ranked)
+  --syllables <n|a-b>   Only return words with n (or a to b) syllables
+  --onset               alliterate: match the whole onset cluster ("spr")
+                        by spelling instead of the initial sound
+  --json                Print results as JSON (batch: one object per line)
+  -h, --help            Show this help`;
+
+/**
+ * Parses command-line arguments into a command, its words and options.
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { command, words, options }
+ */
+function parseArgs(argv) {
+  const options = {
+    wordlist: DEFAULT_WORDLIST,
+    snapshot: null,
+    addWordlists: [],
+    blocklist: null,
+    lexicon: null,
+    frequencies: null,
+    minFrequency: undefined,
+    posTags: null,
+    wordGraph: null,
+    pos: undefined,
+    topic: undefined,
+    topicOnly: false,
+    explain: false,
+    suffix: 3,
+    minSuffix: 2,
+    limit: 10,
+    strategy: "linear",
+    hash: "polynomial",
+    types: null,
+    profile: "classic",
+    order: "ranked",
+    syllables: undefined,
+    onset: false,
+    json: false,
+    help: false,
+  };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--json") {
+      options.json = true;
+    } else if (arg === "--topic-only") {
+      options.topicOnly = true;
+    } else if (arg === "--explain") {
+      options.explain = true;
+    } else if (arg === "--pos-tags" || arg === "--word-graph") {
+      options[arg === "--pos-tags" ? "posTags" : "wordGraph"] = requireValue(
+        argv,
+        ++i,
+        arg,
+      );
+    } else if (arg === "--onset") {
+      options.onset = true;
+    } else if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    } else if (
+      arg === "--wordlist" ||
+      arg === "--snapshot" ||
+      arg === "--blocklist" ||
+      arg === "--lexicon" ||
+      arg === "--frequencies" ||
+      arg === "--strategy" ||
+      arg === "--hash" ||
+      arg === "--order" ||
+      arg === "--profile" ||
+      arg === "--pos" ||
+      arg === "--topic"
+    ) {
+      options[arg.slice(2)] = requireValue(argv, ++i, arg);
+    } else if (arg === "--suffix" || arg === "--limit") {
+      options[arg.slice(2)] = parsePositiveInt(
+        requireValue(argv, ++i, arg),
+        arg,
+      );
+    } else if (arg === "--add-wordlist") {
+      options.addWordlists.push(parseWordlistArg(requireValue(argv, ++i, arg)));
+    } else if (arg === "--min-frequency") {
+      const value = requireValue(argv, ++i, arg);
+      options.minFrequency =
+        value === "common" ? value : parsePositiveInt(value, arg);
+    } else if (arg === "--min-suffix") {
+      options.minSuffix = parsePositiveInt(requireValue(argv, ++i, arg), arg);
+    } else if (arg === "--syllables") {
+      options.syllables = parseSyllables(requireValue(argv, ++i, arg));
+    } else if (arg === "--types") {
+      options.types = requireValue(argv, ++i, arg).split(",");
+    } else if (arg.startsWith("-") && arg !== "-") {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  if (!COLLISION_STRATEGIES.includes(options.strategy)) {
+    throw new Error(
+      `--strategy must be one of ${COLLISION_STRATEGIES.join(", ")}`,
+    );
+  }
+  if (options.types) {
+    const unknown = options.types.filter((type) => !RHYME_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown rhyme type ${unknown.join(", ")} (expected ${RHYME_TYPES.join(", ")})`,
+      );
+    }
+  }
+  if (!HASH_FUNCTIONS.includes(options.hash)) {
+    throw new Error(`--hash must be one of ${HASH_FUNCTIONS.join(", ")}`);
+  }
+  if (
+    !Object.prototype.hasOwnProperty.call(SCORING_PROFILES, options.profile)
+  ) {
+    throw new Error(
+      `--profile must be one of ${Object.keys(SCORING_PROFILES).join(", ")}`,
+    );
+  }
+  if (options.minFrequency !== undefined && !options.frequencies) {
+    throw new Error("--min-frequency needs --frequencies");
+  }
+  if (options.pos !== undefined && !options.posTags) {
+    throw new Error("--pos needs --pos-tags");
+  }
+  if (
+    (options.topic !== undefined || options.topicOnly) &&
+    !options.wordGraph
+  ) {
+    throw new Error("--topic needs --word-graph");
+  }
+  if (options.topicOnly && options.topic === undefined) {
+    throw new Error("--topic-only needs --topic");
+  }
+  if (options.order !== "ranked" && options.order !== "random") {
+    throw new Error("--order must be ranked or random");
+  }
+
+  return { command: positional[0], words: positional.slice(1), options };
+}
+
+/**
+ * Parses an --add-wordlist value: "label=path", or a path labelled with its
+ * file name ("scifi.txt" -> "scifi").
+ * @param {string} value - The flag's value
+ * @returns {Object} { label, path }
+ */
+function parseWordlistArg(value) {
+  const match = /^([^=/\\]+)=(.+)$/.exec(value);
+  if (match) {
+    return { label: match[1], path: match[2] };
+  }
+  return { label: path.basename(value, path.extname(value)), path: value };
+}
+
+/**
+ * Returns the value following a flag, or throws if it is missing.
+ * @param {Array<string>} argv - Argument list
+ * @param {number} index - Position of the expected value
+ * @param {string} flag - Flag name (for the error message)
+ * @returns {string} The flag value
+ */
+function requireValue(argv, index, flag) {
+  if (index >= argv.length) {
+    throw new Error(`Missing value for ${flag}`);
+  }
+  return argv[index];
+}
+
+/**
+ * Parses a positive integer flag value.
+ * @param {string} value - Raw value
+ * @param {string} flag - Flag name (for the error message)
+ * @returns {number} The parsed integer
+ */
+function parsePositiveInt(value, flag) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) {
+    throw new Error(`${flag} must be a positive integer`);
+  }
+  return n;
+}
+
+/**
+ * Parses a --syllables value: a count ("2") or an inclusive range ("1-3").
+ * @param {string} value - Raw value
+ * @returns {Array<number>} [min, max]
+ */
+function parseSyllables(value) {
+  const parts = value.split("-");
+  if (parts.length > 2) {
+    throw new Error("--syllables must be a count or a range such as 1-3");
+  }
+  const min = parsePositiveInt(parts[0], "--syllables");
+  const max =
+    parts.length === 2 ? parsePositiveInt(parts[1], "--syllables") : min;
+  if (max < min) {
+    throw new Error("--syllables range must be low-high");
+  }
+  return [min, max];
+}
+
+/**
+ * Normalises and validates a single word argument.
+ * @param {Array<string>} words - Positional words after the command
+ * @param {string} command - Command name (for the error message)
+ * @returns {string} The lowercase word
+ */
+function singleWord(words, command) {
+  if (words.length !== 1) {
+    throw new Error(`${command} expects exactly one word`);
+  }
+  return validateWord(words[0]);
+}
+
+/**
+ * Lowercases a word and checks that it is alphabetic.
+ * @param {string} word - Raw word
+ * @returns {string} The lowercase word
+ */
+function validateWord(word) {
+  word = word.trim().toLowerCase();
+  if (!isAlphabetic(word)) {
+    throw new Error(`Not a valid word: "${word}" (letters a-z only)`);
+  }
+  return word;
+}
+
+/**
+ * Renders a result word, followed by its word lists when it does not come
+ * from the main word list alone.
+ * @param {Object} assistant - The poetry assistant
+ * @param {string} word - Result word
+ * @returns {string} Text such as "zorblax [scifi]"
+ */
+function withSources(assistant, word) {
+  const sources = wordSources(assistant, word);
+  return sources.length === 1 && sources[0] === assistant.source
+    ? word
+    : `${word} [${sources.join(", ")}]`;
+}
+
+/**
+ * Renders rhyme results grouped by rhyme type, one line per type.
+ * @param {Object} assistant - The poetry assistant
+ * @param {Array<Object>} rhymes - Results as { word, score, type }
+ * @returns {string} Text such as "  perfect: hat, mat"
+ */
+function formatByType(assistant, rhymes) {
+  return RHYME_TYPES.map((type) => {
+    const words = rhymes
+      .filter((rhyme) => rhyme.type === type)
+      .map((rhyme) => withSources(assistant, rhyme.word));
+    return words.length ? `  ${type}: ${words.join(", ")}` : null;
+  })
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Renders a query explanation (see query's explain option) as a trace:
+ * the input's keys, the phonetic fallback, then one line per result.
+ * @param {Object} explanation - The explanation
+ * @returns {string} Indented lines
+ */
+function formatExplanation(explanation) {
+  const keyList = (keys) =>
+    keys
+      .map(({ key, probeLength }) =>
+        probeLength === null ? key : `${key} (probe length ${probeLength})`,
+      )
+      .join(", ") || "none";
+  const factors = (entry) =>
+    Object.keys(entry.breakdown)
+      .map(
+        (name) =>
+          `${name} ${entry.breakdown[name].points}/${entry.breakdown[name].weight}`,
+      )
+      .join(", ");
+  const { fallback, sounds } = explanation;
+
+  const lines = [
+    `Why: "${explanation.word}" has suffix ${explanation.suffix}, phonetic key ${explanation.phoneticKey}`,
+    `  phonetic table keys: ${keyList(explanation.phoneticKeys)}`,
+    `  spelling rhymes from: ${explanation.spellingTable || "no table"}`,
+    `  phonetic fallback: ${fallback.used ? "used" : "not used"} (${fallback.reason})`,
+  ];
+  explanation.rhymes.forEach((rhyme) => {
+    lines.push(
+      `  ${rhyme.word}: ${rhyme.table} ${keyList(rhyme.keys)}; phonetic key ${rhyme.phoneticKey}; score ${rhyme.score} = ${factors(rhyme)}`,
+    );
+  });
+  explanation.phrases.forEach((phrase) => {
+    lines.push(
+      `  ${phrase.phrase}: ${phrase.table} ${keyList(phrase.keys)}; score ${phrase.score} = ${factors(phrase)}`,
+    );
+  });
+  Object.keys(sounds).forEach((device) => {
+    lines.push(
+      `  ${device} of "${sounds[device].word}": ${sounds[device].table} ${keyList(sounds[device].key ? [sounds[device]] : [])}`,
+    );
+  });
+  return lines.join("\n");
+}
+
+/**
+ * Loads the optional data files and collects the build settings.
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<Object>} Options for buildPoetryAssistant
+ */
+async function buildOptions(options) {
+  const lexicon = options.lexicon
+    ? await loadLexiconFromPath(options.lexicon)
+    : null;
+  const frequencies = options.frequencies
+    ? await loadFrequenciesFromPath(options.frequencies)
+    : null;
+  const posTags = options.posTags
+    ? await loadPosTagsFromPath(options.posTags)
+    : null;
+  const wordGraph = options.wordGraph
+    ? await loadWordGraphFromPath(options.wordGraph)
+    : null;
+  return {
+    silent: true,
+    source: path.basename(options.wordlist, path.extname(options.wordlist)),
+    strategy: options.strategy,
+    hashFunction: options.hash,
+    lexicon: lexicon,
+    frequencies: frequencies,
+    posTags: posTags,
+    wordGraph: wordGraph,
+  };
+}
+
+/**
+ * Builds the poetry assistant from the configured word list, or restores it
+ * from the --snapshot file.
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<Object>} The poetry assistant data structures
+ */
+async function loadAssistant(options) {
+  const settings = await buildOptions(options);
+  const assistant = options.snapshot
+    ? await buildPoetryAssistantWithSnapshot(
+        options.wordlist,
+        options.snapshot,
+        options.suffix,
+        settings,
+      )
+    : await buildPoetryAssistantFromPath(
+        options.wordlist,
+        options.suffix,
+        settings,
+      );
+  if (!assistant) {
+    throw new Error(`Could not load word list ${options.wordlist}`);
+  }
+
+  for (let i = 0; i < options.addWordlists.length; i++) {
+    const { label, path: listPath } = options.addWordlists[i];
+    const list = await loadWordListFromPath(listPath);
+    addWordList(assistant, list, label, options.suffix);
+  }
+  if (options.blocklist) {
+    const blocklist = await loadWordListFromPath(options.blocklist);
+    blockWords(assistant, blocklist.entries, options.suffix);
+  }
+  return assistant;
+}
+
+/**
+ * Runs the batch command: looks up every word of a text file, or standard
+ * input for "-", printing each line's results as soon as the line is read
+ * (see streamQueries) and the throughput at the end.
+ * @param {Array<string>} words - Positional words: the file path
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<void>} Resolves once the whole text is processed
+ */
+async function runBatch(words, options) {
+  if (words.length !== 1) {
+    throw new Error("batch expects exactly one file path (or - for stdin)");
+  }
+  const assistant = await loadAssistant(options);
+  const stats = {};
+  const streamOptions = {
+    stats,
+    types: options.types,
+    minSuffix: options.minSuffix,
+    profile: options.profile,
+    minFrequency: options.minFrequency,
+    pos: options.pos,
+    topic: options.topic,
+    topicOnly: options.topicOnly,
+  };
+  const lines =
+    words[0] === "-"
+      ? streamQueries(
+          assistant,
+          readline.createInterface({
+            input: process.stdin,
+            crlfDelay: Infinity,
+          }),
+          options.suffix,
+          streamOptions,
+        )
+      : streamQueriesFromPath(
+          assistant,
+          words[0],
+          options.suffix,
+          streamOptions,
+        );
+
+  for await (const line of lines) {
+    const results = line.results.map((entry) => ({
+      ...entry,
+      rhymes: entry.rhymes.slice(0, options.limit),
+    }));
+    if (options.json) {
+      console.log(
+        JSON.stringify({
+          lineNumber: line.lineNumber,
+          text: line.text,
+          results,
+        }),
+      );
+    } else if (results.length > 0) {
+      console.log(`${line.lineNumber}: ${line.text.trim()}`);
+      results.forEach((entry) => {
+        const rhymes = entry.rhymes.map((rhyme) =>
+          withSources(assistant, rhyme.word),
+        );
+        const alliterations = entry.alliterations.map((match) =>
+          withSources(assistant, match),
+        );
+        console.log(
+          `  ${entry.word} (${entry.syllables} syllable${entry.syllables !== 1 ? "s" : ""}, stress ${entry.stress}): rhymes ${rhymes.join(", ") || "none"}; alliterations ${alliterations.join(", ") || "none"}`,
+        );
+      });
+    }
+  }
+
+  console.error(
+    options.json
+      ? JSON.stringify({ stats })
+      : `Processed ${stats.words.toLocaleString()} words on ${stats.lines.toLocaleString()} lines (${stats.lookups.toLocaleString()} looked up) at ${stats.wordsPerSecond.toLocaleString()} words/second`,
+  );
+}
+
+/**
+ * Runs one CLI command and returns its result as a plain object,
+ * along with a human-readable rendering.
+ * @param {string} command - Command name
+ * @param {Array<string>} words - Positional words
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<Object>} { data, text }
+ */
+async function runCommand(command, words, options) {
+  if (command === "rhyme") {
+    // Several words (or one quoted argument with spaces) form a phrase
+    const phraseWords = words.join(" ").split(/\s+/).filter(Boolean);
+    if (phraseWords.length === 0) {
+      throw new Error("rhyme expects a word or phrase");
+    }
+    const word = phraseWords.map(validateWord).join(" ");
+    const assistant = await loadAssistant(options);
+    const result = query(assistant, word, options.suffix, {
+      types: options.types,
+      minSuffix: options.minSuffix,
+      profile: options.profile,
+      minFrequency: options.minFrequency,
+      pos: options.pos,
+      topic: options.topic,
+      topicOnly: options.topicOnly,
+      explain: options.explain,
+      maxResults: options.limit,
+    });
+    const rhymes = result.rhymes;
+    const phrases = result.phrases;
+    const phraseText = phrases.length
+      ? `\n  phrases: ${phrases
+          .map((phrase) =>
+            phrase.words.map((part) => withSources(assistant, part)).join(" "),
+          )
+          .join(", ")}`
+      : "";
+    const data = {
+      word,
+      profile: options.profile,
+      rhymes,
+      phrases,
+      sources: result.sources,
+    };
+    let explanationText = "";
+    if (result.explanation) {
+      data.explanation = result.explanation;
+      explanationText = `\n\n${formatExplanation(data.explanation)}`;
+    }
+    return {
+      data,
+      text:
+        (rhymes.length || phrases.length
+          ? `Rhymes for "${word}":\n${formatByType(assistant, rhymes)}${phraseText}`
+          : `No rhymes found for "${word}"`) + explanationText,
+    };
+  }
+
+  if (command === "syllables") {
+    if (words.length === 0) {
+      throw new Error("syllables expects at least one word");
+    }
+    // Only the lexicon is needed here, not the full word list build
+    const lexicon = options.lexicon
+      ? await loadLexiconFromPath(options.lexicon)
+      : null;
+    const data = words.map(validateWord).map((word) => ({
+      word,
+      ...syllabify(word, lexicon),
+    }));
+    return {
+      data,
+      text: data
+        .map(
+          (entry) =>
+            `${entry.word}: ${entry.syllables} syllable${entry.syllables !== 1 ? "s" : ""} (stress ${entry.stress})`,
+        )
+        .join("\n"),
+    };
+  }
+
+  // Sound lookups: alliterate, assonance, consonance
+  const devices = {
+    alliterate: ["alliteration", "Alliterations"],
+    assonance: ["assonance", "Assonances"],
+    consonance: ["consonance", "Consonances"],
+  };
+  if (Object.prototype.hasOwnProperty.call(devices, command)) {
+    const [device, label] = devices[command];
+    const word = singleWord(words, command);
+    const assistant = await loadAssistant(options);
+    const matches =
+      options.onset && device === "alliteration"
+        ? findOnsetAlliteration(assistant.prefixTrie, word, options.limit)
+        : findSoundMatches(assistant, word, device, options.limit, {
+            order: options.order,
+            syllables: options.syllables,
+            minFrequency: options.minFrequency,
+          });
+    const sources = {};
+    matches.forEach((match) => {
+      sources[match] = wordSources(assistant, match);
+    });
+    return {
+      data: { word, device, matches, sources },
+      text: matches.length
+        ? `${label} for "${word}": ${matches.map((match) => withSources(assistant, match)).join(", ")}`
+        : `No ${label.toLowerCase()} found for "${word}"`,
+    };
+  }
+
+  if (command === "prefix") {
+    const prefix = singleWord(words, command);
+    const { prefixTrie } = await loadAssistant(options);
+    const matches = searchPrefix(prefixTrie, prefix, options.limit);
+    const total = countPrefix(prefixTrie, prefix);
+    return {
+      data: { prefix, total, words: matches },
+      text: matches.length
+        ? `${total.toLocaleString()} words start with "${prefix}": ${matches.join(", ")}${total > matches.length ? ", ..." : ""}`
+        : `No words start with "${prefix}"`,
+    };
+  }
+
+  if (command === "stats") {
+    const { stats } = await loadAssistant(options);
+    return {
+      data: stats,
+      text: Object.keys(stats)
+        .map((key) => `${key}: ${stats[key].toLocaleString()}`)
+        .join("\n"),
+    };
+  }
+
+  if (command === "snapshot") {
+    if (words.length !== 1) {
+      throw new Error("snapshot expects exactly one file path");
+    }
+    const snapshotPath = words[0];
+    const wordlistText = fs.readFileSync(options.wordlist, "utf8");
+    const settings = await buildOptions(options);
+    const assistant = buildPoetryAssistant(
+      wordlistText,
+      options.suffix,
+      settings,
+    );
+    const snapshot = createSnapshot(
+      assistant,
+      snapshotParams(wordlistText, options.suffix, settings),
+    );
+    await writeSnapshotToPath(snapshot, snapshotPath);
+    const bytes = fs.statSync(snapshotPath).size;
+    return {
+      data: {
+        path: snapshotPath,
+        version: snapshot.version,
+        params: snapshot.params,
+        wordCount: snapshot.wordCount,
+        bytes,
+      },
+      text: `Wrote snapshot of ${snapshot.wordCount.toLocaleString()} words to ${snapshotPath} (${(bytes / 1048576).toFixed(1)} MB)`,
+    };
+  }
+
+  throw new Error(command ? `Unknown command: ${command}` : "No command given");
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`poetry: ${error.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const { command, words, options } = parsed;
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  try {
+    if (command === "batch") {
+      await runBatch(words, options);
+      return;
+    }
+    const result = await runCommand(command, words, options);
+    console.log(
+      options.json ? JSON.stringify(result.data, null, 2) : result.text,
+    );
+  } catch (error) {
+    if (options.json) {
+      console.error(JSON.stringify({ error: error.message }));
+    } else {
+      console.error(`poetry: ${error.message}`);
+    }
+    process.exitCode = 1;
+  }
+}
+
+main();
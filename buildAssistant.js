@@ -4,11 +4,48 @@
  * Based on ALGORITHM 7 from pseudocode
  */
 
+// Node.js: load dependencies (in the browser they are globals from earlier <script> tags)
+if (typeof module !== "undefined" && module.exports) {
+  var {
+    HashTable,
+    insertHash,
+    searchHash,
+    deleteHash,
+  } = require("./hashTable.js");
+  var {
+    extractSuffix,
+    isAlphabetic,
+    computePhoneticKey,
+  } = require("./utils.js");
+  var { phoneticKeysFor } = require("./pronunciation.js");
+  var { syllabify } = require("./syllables.js");
+  var { soundKeysFor } = require("./allliteration.js");
+  var {
+    Trie,
+    insertTrie,
+    deleteTrie,
+    reverseWord,
+    trieMemory,
+  } = require("./trie.js");
+  var { phraseTailKeys } = require("./phraseRhymes.js");
+}
+
 /**
- * Builds three data structures for the Poetry Assistant:
+ * Builds the data structures for the Poetry Assistant:
  * 1. RhymeTable - Hash table indexed by word suffixes for rhyme lookup
  * 2. PhoneticTable - Hash table indexed by phonetic suffixes for pronunciation-based rhymes
+ *    (or by true-rhyme phonemes for words found in the optional lexicon)
  * 3. AlliterationTable - Array of 26 word lists for first-letter lookup
+ * 4. SoundTable, AssonanceTable, ConsonanceTable - Hash tables indexed by
+ *    initial sound, stressed vowel and consonant skeleton (see soundKeysFor)
+ * 5. PrefixTrie - Trie over every word for prefix search and autocomplete
+ * 6. SuffixTrie - Trie over every word spelled backwards, for rhymes by
+ *    longest common suffix at any depth (see findRhymesBySuffix)
+ * 7. PhraseTable - Hash table indexed by rhyme tail sounds, for rhymes
+ *    across word boundaries (see findPhraseRhymes). Multi-word lines of the
+ *    word list ("door hinge") go into this table only.
+ * 8. WordSounds - Map of each word's syllable count, phonetic key and
+ *    stressed vowel, which findSoundMatches ranks candidates by
  *
  * Algorithm from pseudocode BUILD-POETRY-ASSISTANT (lines 1-41)
  * Time Complexity: Θ(w · m) where w = number of words, m = avg word length
@@ -16,15 +53,45 @@
  *
  * @param {string} wordlistText - The complete text content of the word list (one word per line)
  * @param {number} suffixLength - Number of characters to use for suffix matching
- * @returns {Object} Object containing { rhymeTable, phoneticTable, alliterationTable, stats }
+ * @param {Object} [options] - Optional build settings
+ * @param {boolean} [options.silent=false] - Skip printing statistics to the console
+ * @param {number} [options.tableSize=6577] - Initial hash table size (tables grow as needed)
+ * @param {number} [options.maxLoadFactor=0.7] - Load factor that triggers a resize
+ * @param {string} [options.strategy="linear"] - Collision strategy (see HashTable)
+ * @param {string} [options.hashFunction="polynomial"] - Primary hash function (see HashTable)
+ * @param {Map} [options.lexicon] - Pronunciation lexicon from parseCmuDict
+ * @param {FrequencyTable} [options.frequencies] - Word frequencies from parseFrequencyList,
+ *   used to rank common words first and to filter by minFrequency
+ * @param {Map} [options.posTags] - Part-of-speech tags from parsePosTags, for pos filters
+ * @param {Map} [options.wordGraph] - Related-word graph from parseWordGraph, for topic filters
+ * @param {Function} [options.onProgress] - Called with the fraction of the word list
+ *   processed (0 to 1), about once per percent
+ * @param {string} [options.source="main"] - Label of the word list, reported as the
+ *   source of its words (see wordSources)
+ * @returns {Object} Object containing { rhymeTable, phoneticTable, alliterationTable,
+ *   soundTable, assonanceTable, consonanceTable, prefixTrie, suffixTrie, phraseTable,
+ *   wordSounds, lexicon, frequencies, posTags, wordGraph, source, stats }
  */
-function buildPoetryAssistant(wordlistText, suffixLength) {
+function buildPoetryAssistant(wordlistText, suffixLength, options = {}) {
+  const buildStart = performance.now();
+
   // Initialize three data structures (pseudocode lines 1-6)
-  const tableSize = 6577; // Prime number for ~3290 suffixes (load factor ~0.5)
+  // Prime number for ~3290 suffixes (load factor ~0.5); only a starting point,
+  // the tables resize themselves for larger word lists or suffix lengths
+  const tableSize = options.tableSize || 6577;
+  const tableOptions = {
+    maxLoadFactor: options.maxLoadFactor,
+    strategy: options.strategy,
+    hashFunction: options.hashFunction,
+  };
 
   // Create hash tables for rhyme and phonetic matching
-  const rhymeTable = new HashTable(tableSize);
-  const phoneticTable = new HashTable(tableSize);
+  const rhymeTable = new HashTable(tableSize, tableOptions);
+  const phoneticTable = new HashTable(tableSize, tableOptions);
+  const lexicon = options.lexicon || null;
+  const frequencies = options.frequencies || null;
+  const posTags = options.posTags || null;
+  const wordGraph = options.wordGraph || null;
 
   // Create alliteration table - 26 arrays, one for each letter (a-z)
   // Note: Using 0-indexed (a=0, b=1, ..., z=25) instead of pseudocode's 1-indexed
@@ -33,78 +100,384 @@ function buildPoetryAssistant(wordlistText, suffixLength) {
     alliterationTable[i] = [];
   }
 
+  // Create hash tables for sound lookups; the initial sound and stressed
+  // vowel tables only hold a few dozen keys
+  const soundTable = new HashTable(97, tableOptions);
+  const assonanceTable = new HashTable(97, tableOptions);
+  const consonanceTable = new HashTable(tableSize, tableOptions);
+
+  // Create the hash table of rhyme tails, for words and phrases
+  const phraseTable = new HashTable(tableSize, tableOptions);
+  let phraseCount = 0;
+
+  // Each word's sounds, worked out once here rather than on every lookup
+  const wordSounds = new Map();
+
+  // Create the prefix and suffix tries; timed separately so their cost shows in the stats
+  const prefixTrie = new Trie();
+  const suffixTrie = new Trie();
+
+  // Gather all structures (pseudocode line 41) so each line can be indexed into them
+  const tables = {
+    rhymeTable: rhymeTable,
+    phoneticTable: phoneticTable,
+    alliterationTable: alliterationTable,
+    soundTable: soundTable,
+    assonanceTable: assonanceTable,
+    consonanceTable: consonanceTable,
+    prefixTrie: prefixTrie,
+    suffixTrie: suffixTrie,
+    phraseTable: phraseTable,
+    wordSounds: wordSounds,
+    lexicon: lexicon,
+    frequencies: frequencies,
+    posTags: posTags,
+    wordGraph: wordGraph,
+    source: options.source || "main",
+  };
+  const timings = { trieBuildTimeMs: 0 };
+
   // Process word list (pseudocode lines 7-32)
   // Split text into lines
   const lines = wordlistText.split("\n");
   let wordCount = 0;
+  const progressStep = Math.max(1, Math.ceil(lines.length / 100));
 
   // Process each line (pseudocode lines 13-31)
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
 
+    if (options.onProgress && i % progressStep === 0) {
+      options.onProgress(i / lines.length);
+    }
+
     // Handle empty lines (pseudocode line 15-16)
     if (!line) {
       continue;
     }
 
     // Remove whitespace (pseudocode line 17)
-    const word = line.trim();
+    const added = indexEntry(tables, line.trim(), suffixLength, timings);
+    if (added === "word") {
+      wordCount++;
+    } else if (added === "phrase") {
+      phraseCount++;
+    }
+  }
+  if (options.onProgress) {
+    options.onProgress(1);
+  }
+  const trieBuildTime = timings.trieBuildTimeMs;
 
-    // Validate word: non-empty and alphabetic only (pseudocode line 19)
-    if (word.length > 0 && isAlphabetic(word)) {
-      // Insert into rhyme hash table (pseudocode lines 20-22)
-      const suffix = extractSuffix(word, suffixLength);
-      insertHash(rhymeTable, suffix, word);
+  // Print statistics (pseudocode lines 33-39)
+  if (!options.silent) {
+    console.log(`Loaded ${wordCount} words`);
+    console.log(`Rhyme table - Unique suffixes: ${rhymeTable.count}`);
+    console.log(`Rhyme table - Probe steps: ${rhymeTable.probeSteps}`);
+    console.log(
+      `Rhyme table - Load factor: ${(rhymeTable.count / rhymeTable.size).toFixed(4)}`,
+    );
+    console.log(
+      `Rhyme table - Capacity: ${rhymeTable.size} (${rhymeTable.resizeCount} resizes)`,
+    );
+    console.log(`Phonetic table - Unique keys: ${phoneticTable.count}`);
+    console.log(`Phonetic table - Probe steps: ${phoneticTable.probeSteps}`);
+    console.log(
+      `Phonetic table - Capacity: ${phoneticTable.size} (${phoneticTable.resizeCount} resizes)`,
+    );
+    console.log(
+      `Sound tables - Initial sounds: ${soundTable.count}, stressed vowels: ${assonanceTable.count}, consonant skeletons: ${consonanceTable.count}`,
+    );
+    console.log(
+      `Prefix trie - Nodes: ${prefixTrie.nodeCount}, memory: ${(trieMemory(prefixTrie) / 1048576).toFixed(1)} MB`,
+    );
+    console.log(
+      `Suffix trie - Nodes: ${suffixTrie.nodeCount}, memory: ${(trieMemory(suffixTrie) / 1048576).toFixed(1)} MB`,
+    );
+    console.log(`Tries - Build time: ${trieBuildTime.toFixed(0)} ms`);
+    console.log(
+      `Phrase table - Rhyme tails: ${phraseTable.count}, multi-word entries: ${phraseCount}`,
+    );
+  }
 
-      // Insert into alliteration index (pseudocode lines 23-26)
-      const firstLetter = word[0].toLowerCase(); // Convert from 1-indexed to 0-indexed
-      const letterIndex = firstLetter.charCodeAt(0) - "a".charCodeAt(0);
-      alliterationTable[letterIndex].push(word);
+  tables.stats = collectStats(tables, wordCount, {
+    buildTimeMs: performance.now() - buildStart,
+    trieBuildTimeMs: trieBuildTime,
+    phraseCount: phraseCount,
+  });
 
-      // Insert into phonetic hash table (pseudocode lines 27-30)
-      const phoneticKey = computePhoneticKey(word);
-      const phoneticSuffix = extractSuffix(phoneticKey, suffixLength);
-      insertHash(phoneticTable, phoneticSuffix, word);
+  // Return all structures (pseudocode line 41)
+  return tables;
+}
 
-      wordCount++;
+/**
+ * Indexes one word-list entry in every structure of a poetry assistant.
+ * A multi-word entry ("door hinge") goes into the phrase table only.
+ * Entries are stored lowercase, as removeWord and the lookups expect.
+ * Entries that are already indexed, and lines that are neither a word nor
+ * a phrase, are skipped.
+ *
+ * Time Complexity: Θ(m) for a word of length m (amortised over table resizes)
+ *
+ * @param {Object} tables - Poetry assistant being built or extended
+ * @param {string} entry - A trimmed word-list line
+ * @param {number} suffixLength - Number of characters to use for suffix matching
+ * @param {Object} [timings] - Accumulates the time spent in the tries as trieBuildTimeMs
+ * @returns {string|null} "word" or "phrase" if the entry was added, else null
+ */
+function indexEntry(tables, entry, suffixLength, timings = {}) {
+  const lexicon = tables.lexicon;
+
+  // Multi-word entries are only indexed by their rhyme tail
+  if (/^[a-zA-Z]+(?:\s+[a-zA-Z]+)+$/.test(entry)) {
+    const phrase = entry.toLowerCase().split(/\s+/).join(" ");
+    const tailKeys = phraseTailKeys(phrase, lexicon);
+    if (
+      tailKeys.length === 0 ||
+      searchHash(tables.phraseTable, tailKeys[0]).includes(phrase)
+    ) {
+      return null;
+    }
+    for (let k = 0; k < tailKeys.length; k++) {
+      insertHash(tables.phraseTable, tailKeys[k], phrase);
     }
+    return "phrase";
   }
 
-  // Print statistics (pseudocode lines 33-39)
-  console.log(`Loaded ${wordCount} words`);
-  console.log(`Rhyme table - Unique suffixes: ${rhymeTable.count}`);
-  console.log(`Rhyme table - Probe steps: ${rhymeTable.probeSteps}`);
-  console.log(
-    `Rhyme table - Load factor: ${(rhymeTable.count / rhymeTable.size).toFixed(4)}`,
-  );
-  console.log(`Phonetic table - Unique keys: ${phoneticTable.count}`);
-  console.log(`Phonetic table - Probe steps: ${phoneticTable.probeSteps}`);
-
-  // Return all three structures (pseudocode line 41)
+  // Validate word: non-empty and alphabetic only (pseudocode line 19)
+  if (entry.length === 0 || !isAlphabetic(entry)) {
+    return null;
+  }
+  const word = entry.toLowerCase();
+
+  // Insert into the prefix trie, and backwards into the suffix trie; the
+  // prefix trie also tells whether the word is already indexed
+  const trieStart = performance.now();
+  const isNew = insertTrie(tables.prefixTrie, word);
+  if (isNew) {
+    insertTrie(tables.suffixTrie, reverseWord(word));
+  }
+  timings.trieBuildTimeMs =
+    (timings.trieBuildTimeMs || 0) + performance.now() - trieStart;
+  if (!isNew) {
+    return null;
+  }
+
+  // Insert into rhyme hash table (pseudocode lines 20-22)
+  const suffix = extractSuffix(word, suffixLength);
+  insertHash(tables.rhymeTable, suffix, word);
+
+  // Insert into alliteration index (pseudocode lines 23-26)
+  const firstLetter = word[0]; // Convert from 1-indexed to 0-indexed
+  const letterIndex = firstLetter.charCodeAt(0) - "a".charCodeAt(0);
+  tables.alliterationTable[letterIndex].push(word);
+
+  // Insert into phonetic hash table (pseudocode lines 27-30)
+  // Lexicon words may have several pronunciations, hence several keys
+  const phoneticKeys = phoneticKeysFor(word, suffixLength, lexicon);
+  for (let k = 0; k < phoneticKeys.length; k++) {
+    insertHash(tables.phoneticTable, phoneticKeys[k], word);
+  }
+
+  // Insert into the sound tables
+  const soundKeys = soundKeysFor(word, lexicon);
+  insertHash(tables.soundTable, soundKeys.initial, word);
+  insertHash(tables.assonanceTable, soundKeys.vowel, word);
+  insertHash(tables.consonanceTable, soundKeys.skeleton, word);
+  tables.wordSounds.set(word, {
+    syllables: syllabify(word, lexicon).syllables,
+    key: computePhoneticKey(word).toLowerCase(),
+    vowel: soundKeys.vowel,
+  });
+
+  // Insert into the phrase table under the word's rhyme tail
+  const tailKeys = phraseTailKeys(word, lexicon);
+  for (let k = 0; k < tailKeys.length; k++) {
+    insertHash(tables.phraseTable, tailKeys[k], word);
+  }
+
+  return "word";
+}
+
+/**
+ * Gathers the statistics reported for a built poetry assistant.
+ *
+ * @param {Object} tables - Object containing rhymeTable, phoneticTable, the sound tables,
+ *   the tries and lexicon
+ * @param {number} wordCount - Number of words currently indexed
+ * @param {Object} [timings] - { buildTimeMs, trieBuildTimeMs, phraseCount } measured by
+ *   buildPoetryAssistant
+ * @returns {Object} Statistics object
+ */
+function collectStats(tables, wordCount, timings = {}) {
+  const {
+    rhymeTable,
+    phoneticTable,
+    soundTable,
+    assonanceTable,
+    consonanceTable,
+    prefixTrie,
+    suffixTrie,
+    phraseTable,
+    lexicon,
+    frequencies,
+    posTags,
+    wordGraph,
+  } = tables;
   return {
-    rhymeTable: rhymeTable,
-    phoneticTable: phoneticTable,
-    alliterationTable: alliterationTable,
-    stats: {
-      wordCount: wordCount,
-      rhymeTableCount: rhymeTable.count,
-      rhymeTableProbeSteps: rhymeTable.probeSteps,
-      rhymeTableLoadFactor: rhymeTable.count / rhymeTable.size,
-      phoneticTableCount: phoneticTable.count,
-      phoneticTableProbeSteps: phoneticTable.probeSteps,
-    },
+    wordCount: wordCount,
+    rhymeTableCount: rhymeTable.count,
+    rhymeTableProbeSteps: rhymeTable.probeSteps,
+    rhymeTableLoadFactor: rhymeTable.count / rhymeTable.size,
+    rhymeTableSize: rhymeTable.size,
+    rhymeTableResizes: rhymeTable.resizeCount,
+    phoneticTableCount: phoneticTable.count,
+    phoneticTableProbeSteps: phoneticTable.probeSteps,
+    phoneticTableSize: phoneticTable.size,
+    phoneticTableResizes: phoneticTable.resizeCount,
+    initialSounds: soundTable.count,
+    stressedVowels: assonanceTable.count,
+    consonantSkeletons: consonanceTable.count,
+    trieNodes: prefixTrie.nodeCount,
+    trieMemoryBytes: trieMemory(prefixTrie),
+    suffixTrieNodes: suffixTrie.nodeCount,
+    suffixTrieMemoryBytes: trieMemory(suffixTrie),
+    trieBuildTimeMs: timings.trieBuildTimeMs || 0,
+    phraseTableCount: phraseTable.count,
+    phraseCount: timings.phraseCount || 0,
+    buildTimeMs: timings.buildTimeMs || 0,
+    lexiconWords: lexicon ? lexicon.size : 0,
+    frequencyWords: frequencies ? frequencies.counts.size : 0,
+    posTaggedWords: posTags ? posTags.size : 0,
+    wordGraphWords: wordGraph ? wordGraph.size : 0,
   };
 }
 
+/**
+ * Adds a word (or a multi-word phrase) to a built poetry assistant without
+ * a rebuild, indexing it in every table under the same keys
+ * buildPoetryAssistant derives. Tables grow as needed.
+ *
+ * Time Complexity: Θ(m) for a word of length m (amortised over table resizes)
+ *
+ * @param {Object} tables - Poetry assistant from buildPoetryAssistant
+ * @param {string} entry - The word or phrase to add (case-insensitive)
+ * @param {number} suffixLength - The suffix length the tables were built with
+ * @returns {string|null} "word" or "phrase" if it was added, null if it was
+ *   already indexed or is not alphabetic
+ */
+function addWord(tables, entry, suffixLength) {
+  const added = indexEntry(tables, entry.trim().toLowerCase(), suffixLength);
+  if (added && tables.stats) {
+    // Keep the reported statistics in step with the tables
+    tables.stats = collectStats(
+      tables,
+      tables.stats.wordCount + (added === "word" ? 1 : 0),
+      {
+        ...tables.stats,
+        phraseCount: tables.stats.phraseCount + (added === "phrase" ? 1 : 0),
+      },
+    );
+  }
+  return added;
+}
+
+/**
+ * Removes a word from a built poetry assistant, e.g. to take offensive words
+ * out of a loaded dictionary. The word is deleted from the rhyme table,
+ * the phonetic table, the alliteration table, the sound tables, both tries and the phrase
+ * table, using the same keys
+ * buildPoetryAssistant derived for it. Emptied suffix buckets are turned
+ * into tombstones so lookups for other suffixes keep working.
+ *
+ * Time Complexity: O(b + a) where b = bucket sizes, a = words with the same first letter
+ *
+ * @param {Object} tables - Poetry assistant from buildPoetryAssistant
+ * @param {string} word - The word to remove (case-insensitive)
+ * @param {number} suffixLength - The suffix length the tables were built with
+ * @returns {boolean} True if the word was found in any of the tables
+ */
+function removeWord(tables, word, suffixLength) {
+  word = word.trim().toLowerCase();
+  if (!isAlphabetic(word)) {
+    return false;
+  }
+
+  // Remove from rhyme hash table
+  const suffix = extractSuffix(word, suffixLength);
+  const inRhymeTable = deleteHash(tables.rhymeTable, suffix, word);
+
+  // Remove from phonetic hash table (under every key it was inserted with)
+  const phoneticKeys = phoneticKeysFor(word, suffixLength, tables.lexicon);
+  let inPhoneticTable = false;
+  for (let k = 0; k < phoneticKeys.length; k++) {
+    if (deleteHash(tables.phoneticTable, phoneticKeys[k], word)) {
+      inPhoneticTable = true;
+    }
+  }
+
+  // Remove from the phrase table
+  const tailKeys = phraseTailKeys(word, tables.lexicon);
+  for (let k = 0; k < tailKeys.length; k++) {
+    deleteHash(tables.phraseTable, tailKeys[k], word);
+  }
+
+  // Remove from the prefix and suffix tries
+  const inTrie = deleteTrie(tables.prefixTrie, word);
+  deleteTrie(tables.suffixTrie, reverseWord(word));
+
+  // Remove from the sound tables
+  const soundKeys = soundKeysFor(word, tables.lexicon);
+  const inSoundTables = [
+    deleteHash(tables.soundTable, soundKeys.initial, word),
+    deleteHash(tables.assonanceTable, soundKeys.vowel, word),
+    deleteHash(tables.consonanceTable, soundKeys.skeleton, word),
+  ].some(Boolean);
+  tables.wordSounds.delete(word);
+
+  // Remove from alliteration index
+  const letterIndex = word.charCodeAt(0) - "a".charCodeAt(0);
+  const letterWords = tables.alliterationTable[letterIndex];
+  const remaining = letterWords.filter((w) => w !== word);
+  const inAlliterationTable = remaining.length !== letterWords.length;
+  tables.alliterationTable[letterIndex] = remaining;
+
+  // Forget which added word lists it came from (see addWordList)
+  if (tables.sources) {
+    tables.sources.delete(word);
+  }
+
+  const removed =
+    inRhymeTable ||
+    inPhoneticTable ||
+    inAlliterationTable ||
+    inSoundTables ||
+    inTrie;
+  if (removed && tables.stats) {
+    // Keep the reported statistics in step with the tables
+    tables.stats = collectStats(
+      tables,
+      tables.stats.wordCount - (letterWords.length - remaining.length),
+      tables.stats,
+    );
+  }
+  return removed;
+}
+
 /**
  * Helper function to load word list from a file URL (for use in browser).
  * Uses fetch API to load the word list file, then calls buildPoetryAssistant.
  *
  * @param {string} wordlistUrl - URL or path to the word list file
  * @param {number} suffixLength - Number of characters to use for suffix matching
+ * @param {Object} [options] - Optional build settings (see buildPoetryAssistant)
  * @returns {Promise<Object>} Promise that resolves to the poetry assistant data structures
  */
-async function buildPoetryAssistantFromFile(wordlistUrl, suffixLength) {
+async function buildPoetryAssistantFromFile(
+  wordlistUrl,
+  suffixLength,
+  options = {},
+) {
   try {
     // Fetch the word list file
     const response = await fetch(wordlistUrl);
@@ -118,9 +491,50 @@ async function buildPoetryAssistantFromFile(wordlistUrl, suffixLength) {
     const wordlistText = await response.text();
 
     // Build and return the poetry assistant
-    return buildPoetryAssistant(wordlistText, suffixLength);
+    return buildPoetryAssistant(wordlistText, suffixLength, options);
   } catch (error) {
     console.error(`Error loading word list: ${error.message}`);
     return null;
   }
 }
+
+/**
+ * Helper function to load word list from disk (for use in Node.js).
+ * Reads the file with the fs module, then calls buildPoetryAssistant.
+ *
+ * @param {string} wordlistPath - Filesystem path to the word list file
+ * @param {number} suffixLength - Number of characters to use for suffix matching
+ * @param {Object} [options] - Optional build settings (see buildPoetryAssistant)
+ * @returns {Promise<Object>} Promise that resolves to the poetry assistant data structures
+ */
+async function buildPoetryAssistantFromPath(
+  wordlistPath,
+  suffixLength,
+  options = {},
+) {
+  try {
+    // Required lazily so this file still loads as a browser <script>
+    const fs = require("fs");
+
+    // Read file content as text
+    const wordlistText = await fs.promises.readFile(wordlistPath, "utf8");
+
+    // Build and return the poetry assistant
+    return buildPoetryAssistant(wordlistText, suffixLength, options);
+  } catch (error) {
+    console.error(`Error loading word list: ${error.message}`);
+    return null;
+  }
+}
+
+// Export for Node.js (CommonJS); in the browser these remain globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    buildPoetryAssistant,
+    collectStats,
+    addWord,
+    removeWord,
+    buildPoetryAssistantFromFile,
+    buildPoetryAssistantFromPath,
+  };
+}
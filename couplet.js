@@ -0,0 +1,194 @@
+/*
+ * couplet.js
+ * Couplet completion: suggests end words for the second line of a couplet
+ * that rhyme with the first line and bring the second line to the first
+ * line's length
+ */
+
+// Node.js: load dependencies (in the browser they are globals from earlier <script> tags)
+if (typeof module !== "undefined" && module.exports) {
+  var { syllabify } = require("./syllables.js");
+  var { tokenizeLine } = require("./scansion.js");
+  var { phoneticSearch } = require("./rhymeScorer.js");
+  var { wordSources } = require("./dictionaries.js");
+  var { suffixRhymes } = require("./index.js");
+}
+
+/**
+ * Default weights of rhyme quality and meter fit in a suggestion's score.
+ * A caller's weights are scaled to sum to 1.
+ */
+var COUPLET_WEIGHTS = { rhyme: 0.6, meter: 0.4 };
+
+/** Meter-fit points a suggestion loses per syllable the line is off by. */
+const SYLLABLE_PENALTY = 25;
+
+/** Rhymes taken from each finder before ranking by meter fit. */
+const COUPLET_CANDIDATES = 100;
+
+/**
+ * Counts the syllables of a line's words (see syllabify).
+ * @param {Array<string>} words - Lowercase words
+ * @param {Map|null} lexicon - Pronunciation lexicon (see parseCmuDict)
+ * @returns {number} Total syllables
+ */
+function countLineSyllables(words, lexicon) {
+  let syllables = 0;
+  for (let i = 0; i < words.length; i++) {
+    syllables += syllabify(words[i], lexicon).syllables;
+  }
+  return syllables;
+}
+
+/**
+ * Suggests end words for the second line of a couplet. Candidates rhyme
+ * with the last word of the first line (found by spelling as query finds
+ * them, see suffixRhymes, and by phoneticSearch, the better score kept for
+ * words both find) and are ranked by a weighted
+ * sum of their rhyme score and their meter fit: 100 when the completed
+ * second line has as many syllables as the first, less SYLLABLE_PENALTY per
+ * syllable over or under. Syllables come from syllabify: the lexicon when
+ * loaded, else countSyllables.
+ *
+ * Time Complexity: O(k log k) where k = rhyme candidates (see findRhymesBySuffix)
+ *
+ * @param {Object} tables - Poetry assistant from buildPoetryAssistant
+ * @param {string} firstLine - The first line of the couplet
+ * @param {string} partialLine - The second line so far, without its end word
+ *   (may be empty, but not just punctuation or digits)
+ * @param {number} suffixLength - Suffix length the tables were built with
+ * @param {Object} [options] - Optional settings
+ * @param {number} [options.maxResults=10] - Maximum number of suggestions
+ * @param {Object} [options.weights=COUPLET_WEIGHTS] - { rhyme, meter } weights
+ * @param {Array<string>} [options.types] - Only suggest these RHYME_TYPES (default: all)
+ * @param {number} [options.minSuffix=2] - Shortest shared suffix for suffix-trie rhymes
+ * @param {string|Object} [options.profile="classic"] - Rhyme scoring profile (see SCORING_PROFILES)
+ * @param {number|string} [options.minFrequency] - Only words at least this frequent, or
+ *   "common" (needs tables.frequencies)
+ * @param {string|Array<string>} [options.pos] - Only words with this part of speech
+ *   (needs tables.posTags)
+ * @param {string} [options.topic] - Rank words related to this topic first
+ *   (needs tables.wordGraph)
+ * @param {boolean} [options.topicOnly=false] - Only words related to the topic
+ * @returns {Object} { rhymeWord, targetSyllables, partialSyllables, suggestions,
+ *   sources } where suggestions are { word, line, score, rhymeScore, type,
+ *   syllables, lineSyllables, syllableDifference, meterScore }, best first,
+ *   with syllableDifference the completed line's syllables less the first
+ *   line's; sources maps each suggested word to its word lists (see wordSources)
+ * @throws {RangeError} If the first line has no words, the partial line has
+ *   text but no words, or the weights are negative or both 0
+ */
+function completeCouplet(
+  tables,
+  firstLine,
+  partialLine,
+  suffixLength,
+  options = {},
+) {
+  const firstWords = tokenizeLine(firstLine);
+  if (firstWords.length === 0) {
+    throw new RangeError("The first line of a couplet needs at least one word");
+  }
+  const weights = { ...COUPLET_WEIGHTS, ...options.weights };
+  const totalWeight = weights.rhyme + weights.meter;
+  if (!(weights.rhyme >= 0 && weights.meter >= 0 && totalWeight > 0)) {
+    throw new RangeError("Couplet weights must be non-negative, not both 0");
+  }
+
+  const rhymeWord = firstWords[firstWords.length - 1];
+  const targetSyllables = countLineSyllables(firstWords, tables.lexicon);
+  const partial = partialLine.trim();
+  const partialWords = tokenizeLine(partial);
+  if (partial && partialWords.length === 0) {
+    throw new RangeError(`Not a partial line: "${partialLine}"`);
+  }
+  const partialSyllables = countLineSyllables(partialWords, tables.lexicon);
+
+  const rhymeOptions = {
+    types: options.types,
+    lexicon: tables.lexicon,
+    profile: options.profile,
+    frequencies: tables.frequencies || null,
+    minFrequency: options.minFrequency,
+    posTags: tables.posTags || null,
+    pos: options.pos,
+    wordGraph: tables.wordGraph || null,
+    topic: options.topic,
+    topicOnly: options.topicOnly,
+  };
+  const candidates = new Map();
+  const rhymes = [
+    ...suffixRhymes(
+      tables,
+      rhymeWord,
+      suffixLength,
+      { ...rhymeOptions, minSuffix: options.minSuffix },
+      COUPLET_CANDIDATES,
+    ),
+    ...phoneticSearch(
+      tables.phoneticTable,
+      rhymeWord,
+      suffixLength,
+      COUPLET_CANDIDATES,
+      rhymeOptions,
+    ),
+  ];
+  for (let i = 0; i < rhymes.length; i++) {
+    const known = candidates.get(rhymes[i].word);
+    if (!known || rhymes[i].score > known.score) {
+      candidates.set(rhymes[i].word, rhymes[i]);
+    }
+  }
+
+  const suggestions = [];
+  for (const rhyme of candidates.values()) {
+    const syllables = syllabify(rhyme.word, tables.lexicon).syllables;
+    const syllableDifference = partialSyllables + syllables - targetSyllables;
+    const meterScore = Math.max(
+      0,
+      100 - SYLLABLE_PENALTY * Math.abs(syllableDifference),
+    );
+    suggestions.push({
+      word: rhyme.word,
+      line: partial ? `${partial} ${rhyme.word}` : rhyme.word,
+      score: Math.round(
+        (weights.rhyme * rhyme.score + weights.meter * meterScore) /
+          totalWeight,
+      ),
+      rhymeScore: rhyme.score,
+      type: rhyme.type,
+      syllables,
+      lineSyllables: partialSyllables + syllables,
+      syllableDifference,
+      meterScore,
+    });
+  }
+
+  // Ties go to the better rhyme, then to the finders' own order
+  suggestions.sort((a, b) => b.score - a.score || b.rhymeScore - a.rhymeScore);
+  const best = suggestions.slice(
+    0,
+    options.maxResults === undefined ? 10 : options.maxResults,
+  );
+
+  const sources = {};
+  best.forEach((suggestion) => {
+    sources[suggestion.word] = wordSources(tables, suggestion.word);
+  });
+
+  return {
+    rhymeWord,
+    targetSyllables,
+    partialSyllables,
+    suggestions: best,
+    sources,
+  };
+}
+
+// Export for Node.js (CommonJS); in the browser these remain globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    COUPLET_WEIGHTS,
+    completeCouplet,
+  };
+}
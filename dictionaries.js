@@ -0,0 +1,245 @@
+/*
+ * dictionaries.js
+ * Custom word lists and a blocklist for a built Poetry Assistant
+ * Merges labelled vocabularies into the tables without a rebuild and
+ * remembers which list each word came from
+ */
+
+// Node.js: load dependencies (in the browser they are globals from earlier <script> tags)
+if (typeof module !== "undefined" && module.exports) {
+  var { isAlphabetic } = require("./utils.js");
+  var { findTrieNode } = require("./trie.js");
+  var { addWord, removeWord } = require("./buildAssistant.js");
+}
+
+/**
+ * Parses a word list: one word or phrase per line. Lines starting with "#"
+ * are comments; other lines that are neither a word nor a phrase of
+ * letters are counted as skipped.
+ *
+ * Time Complexity: Θ(n) where n = length of the text
+ *
+ * @param {string} listText - The complete text of the word list
+ * @returns {Object} { entries: Array<string>, skipped } with lowercase entries,
+ *   phrases single-spaced
+ */
+function parseWordList(listText) {
+  const entries = [];
+  let skipped = 0;
+  const lines = listText.split("\n");
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith("#")) {
+      continue;
+    }
+
+    const words = line.toLowerCase().split(/\s+/);
+    if (words.every(isAlphabetic)) {
+      entries.push(words.join(" "));
+    } else {
+      skipped++;
+    }
+  }
+
+  return { entries, skipped };
+}
+
+/**
+ * Checks whether a single word is indexed in a poetry assistant.
+ * @param {Object} tables - Poetry assistant
+ * @param {string} word - Lowercase word
+ * @returns {boolean} True if the prefix trie holds the word
+ */
+function isIndexed(tables, word) {
+  const node = findTrieNode(tables.prefixTrie, word);
+  return node !== -1 && tables.prefixTrie.isWord[node] === 1;
+}
+
+/**
+ * The word lists a word came from. Words that no added list contains come
+ * from the list the assistant was built from (tables.source).
+ * @param {Object} tables - Poetry assistant
+ * @param {string} word - Lowercase word or phrase
+ * @returns {Array<string>} Source labels, the build's own list first
+ */
+function wordSources(tables, word) {
+  return (
+    (tables.sources && tables.sources.get(word)) || [tables.source || "main"]
+  );
+}
+
+/**
+ * Merges a labelled word list into a built poetry assistant, without a
+ * rebuild (see addWord). New words are indexed in every table and
+ * remembered as coming from this list; words already indexed gain the
+ * label as an extra source. Blocked words are not added (see blockWords).
+ * Adding another list under the same label adds to that list.
+ *
+ * Time Complexity: Θ(n · m) where n = entries in the list, m = avg word length
+ *
+ * @param {Object} tables - Poetry assistant from buildPoetryAssistant
+ * @param {Object} list - Word list from parseWordList
+ * @param {string} label - Name of the list, shown as the source of its words
+ * @param {number} suffixLength - The suffix length the tables were built with
+ * @returns {Object} { label, words, phrases, duplicates, blocked, skipped } counts
+ *   for this list
+ * @throws {RangeError} If the label is empty
+ */
+function addWordList(tables, list, label, suffixLength) {
+  label = label.trim();
+  if (!label) {
+    throw new RangeError("A word list needs a label");
+  }
+  if (!tables.sources) {
+    tables.sources = new Map();
+  }
+  if (!tables.wordLists) {
+    tables.wordLists = [];
+  }
+
+  let summary = tables.wordLists.find((entry) => entry.label === label);
+  if (!summary) {
+    summary = {
+      label,
+      words: 0,
+      phrases: 0,
+      duplicates: 0,
+      blocked: 0,
+      skipped: 0,
+    };
+    tables.wordLists.push(summary);
+  }
+  summary.skipped += list.skipped;
+
+  for (let i = 0; i < list.entries.length; i++) {
+    const entry = list.entries[i];
+
+    // Remember the list, so unblocking the word restores it
+    if (tables.blocklist && tables.blocklist.has(entry)) {
+      const labels = tables.blocklist.get(entry);
+      if (!labels.includes(label)) {
+        labels.push(label);
+      }
+      summary.blocked++;
+      continue;
+    }
+
+    const added = addWord(tables, entry, suffixLength);
+    if (added) {
+      tables.sources.set(entry, [label]);
+      summary[added === "word" ? "words" : "phrases"]++;
+      continue;
+    }
+
+    const sources = wordSources(tables, entry);
+    if (!sources.includes(label)) {
+      tables.sources.set(entry, [...sources, label]);
+    }
+    summary.duplicates++;
+  }
+
+  return summary;
+}
+
+/**
+ * Blocks words: removes them from every table (see removeWord) and keeps
+ * them out of word lists added later. The lists a word came from are kept,
+ * so unblockWord can put it back.
+ *
+ * Time Complexity: O(k · (b + a)) for k words (see removeWord)
+ *
+ * @param {Object} tables - Poetry assistant from buildPoetryAssistant
+ * @param {Array<string>} words - Words to block (case-insensitive)
+ * @param {number} suffixLength - The suffix length the tables were built with
+ * @returns {Array<string>} The words newly blocked; words already blocked
+ *   or not alphabetic are left out
+ */
+function blockWords(tables, words, suffixLength) {
+  if (!tables.blocklist) {
+    tables.blocklist = new Map();
+  }
+
+  const blocked = [];
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i].trim().toLowerCase();
+    if (!isAlphabetic(word) || tables.blocklist.has(word)) {
+      continue;
+    }
+    const labels = isIndexed(tables, word) ? wordSources(tables, word) : [];
+    removeWord(tables, word, suffixLength);
+    tables.blocklist.set(word, labels.slice());
+    blocked.push(word);
+  }
+  return blocked;
+}
+
+/**
+ * Unblocks a word, adding it back if one of the loaded word lists has it.
+ *
+ * @param {Object} tables - Poetry assistant from buildPoetryAssistant
+ * @param {string} word - The word to unblock (case-insensitive)
+ * @param {number} suffixLength - The suffix length the tables were built with
+ * @returns {boolean} True if the word was blocked
+ */
+function unblockWord(tables, word, suffixLength) {
+  word = word.trim().toLowerCase();
+  if (!tables.blocklist || !tables.blocklist.has(word)) {
+    return false;
+  }
+
+  const labels = tables.blocklist.get(word);
+  tables.blocklist.delete(word);
+  if (labels.length > 0 && addWord(tables, word, suffixLength)) {
+    // Words from the build's own list need no entry
+    if (labels.length > 1 || labels[0] !== (tables.source || "main")) {
+      if (!tables.sources) {
+        tables.sources = new Map();
+      }
+      tables.sources.set(word, labels);
+    }
+  }
+  return true;
+}
+
+/**
+ * Helper function to load a word list from a file URL (for use in browser).
+ * A missing file gives null; the caller decides whether to mention it.
+ *
+ * @param {string} listUrl - URL or path to the word list file
+ * @returns {Promise<Object|null>} Promise that resolves to the list from
+ *   parseWordList, or null if there is no file at the URL
+ * @throws {TypeError} If the file cannot be fetched
+ */
+async function loadWordListFromFile(listUrl) {
+  const response = await fetch(listUrl);
+  if (!response.ok) {
+    return null;
+  }
+  return parseWordList(await response.text());
+}
+
+/**
+ * Helper function to load a word list from disk (for use in Node.js).
+ *
+ * @param {string} listPath - Filesystem path to the word list file
+ * @returns {Promise<Object>} Promise that resolves to the list from parseWordList
+ */
+async function loadWordListFromPath(listPath) {
+  // Required lazily so this file still loads as a browser <script>
+  const fs = require("fs");
+  return parseWordList(await fs.promises.readFile(listPath, "utf8"));
+}
+
+// Export for Node.js (CommonJS); in the browser these remain globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    parseWordList,
+    wordSources,
+    addWordList,
+    blockWords,
+    unblockWord,
+    loadWordListFromFile,
+    loadWordListFromPath,
+  };
+}
@@ -0,0 +1,333 @@
+/*
+ * formValidator.js
+ * Fixed-form poem validation (haiku, limerick, sonnet, villanelle)
+ * Checks line counts, syllable counts, rhyme pairs and refrains against
+ * declarative form definitions and suggests replacement words
+ */
+
+// Node.js: load dependencies (in the browser they are globals from earlier <script> tags)
+if (typeof module !== "undefined" && module.exports) {
+  var { syllabify } = require("./syllables.js");
+  var { tokenizeLine } = require("./scansion.js");
+  var { findRhymes } = require("./rhymeScorer.js");
+  var { parseScheme, rhymeConfidence } = require("./rhymeScheme.js");
+}
+
+/**
+ * Form definitions. Every field except lines is optional:
+ * - lines: required number of lines
+ * - syllables: syllable rule for every line
+ * - lineSyllables: syllable rules line by line (overrides syllables)
+ *   A rule is an exact count or a [min, max] range
+ * - schemes: accepted rhyme schemes (see parseScheme); the closest one is used
+ * - refrains: groups of 0-based line indexes that must repeat the same words
+ *
+ * Add entries here (or pass a definition to validateForm) to check other forms.
+ */
+var POEM_FORMS = {
+  haiku: {
+    lines: 3,
+    lineSyllables: [5, 7, 5],
+  },
+  limerick: {
+    lines: 5,
+    lineSyllables: [
+      [7, 10],
+      [7, 10],
+      [4, 7],
+      [4, 7],
+      [7, 10],
+    ],
+    schemes: ["AABBA"],
+  },
+  sonnet: {
+    lines: 14,
+    syllables: [10, 11],
+    schemes: [
+      "ABAB CDCD EFEF GG",
+      "ABBAABBA CDECDE",
+      "ABBAABBA CDCDCD",
+      "ABAB BCBC CDCD EE",
+    ],
+  },
+  villanelle: {
+    lines: 19,
+    schemes: ["ABA ABA ABA ABA ABA ABAA"],
+    refrains: [
+      [0, 5, 11, 17],
+      [2, 8, 14, 18],
+    ],
+  },
+};
+
+/**
+ * Returns the syllable rule for one line of a form as [min, max],
+ * or null if the form does not constrain syllables.
+ * @param {Object} form - Form definition
+ * @param {number} index - 0-based line index
+ * @returns {Array<number>|null} [min, max]
+ */
+function syllableRange(form, index) {
+  const rule = form.lineSyllables ? form.lineSyllables[index] : form.syllables;
+  if (rule === undefined) {
+    return null;
+  }
+  return Array.isArray(rule) ? rule : [rule, rule];
+}
+
+/**
+ * Describes a [min, max] syllable range for messages ("5" or "10-11").
+ * @param {Array<number>} range - [min, max]
+ * @returns {string} Description
+ */
+function describeRange(range) {
+  return range[0] === range[1] ? `${range[0]}` : `${range[0]}-${range[1]}`;
+}
+
+/**
+ * Suggests words to end a line with: rhymes of targetWord from findRhymes
+ * whose syllable count fits the line.
+ * @param {Object|null} tables - Assistant tables (no suggestions without them)
+ * @param {string} targetWord - Word the replacement must rhyme with
+ * @param {Array<number>|null} range - [min, max] syllables the replacement may have
+ * @param {Array<string>} exclude - Words not to suggest
+ * @param {Object} options - { suffixLength, maxSuggestions }
+ * @returns {Array<string>} Suggested words, best first
+ */
+function suggestReplacements(tables, targetWord, range, exclude, options) {
+  if (!tables || (range !== null && range[1] < 1)) {
+    return [];
+  }
+
+  const rhymes = findRhymes(
+    tables.rhymeTable,
+    targetWord,
+    options.suffixLength,
+    100,
+    {
+      types: ["perfect", "multisyllabic", "identical"],
+      lexicon: tables.lexicon,
+      frequencies: tables.frequencies || null,
+    },
+  );
+
+  const suggestions = [];
+  for (
+    let i = 0;
+    i < rhymes.length && suggestions.length < options.maxSuggestions;
+    i++
+  ) {
+    const word = rhymes[i].word;
+    if (exclude.includes(word)) {
+      continue;
+    }
+    const { syllables } = syllabify(word, tables.lexicon);
+    if (range === null || (syllables >= range[0] && syllables <= range[1])) {
+      suggestions.push(word);
+    }
+  }
+  return suggestions;
+}
+
+/**
+ * Validates a poem against a fixed form and reports every violation.
+ * Violations are objects with a type, a message and, where relevant, the
+ * 0-based line index:
+ * - lines:     wrong number of lines ({ expected, actual })
+ * - syllables: a line has the wrong syllable count ({ line, expected, actual, suggestions })
+ * - rhyme:     a line does not rhyme with its scheme partner ({ line, rhymesWith, confidence, suggestions })
+ * - refrain:   a refrain line does not repeat its first occurrence ({ line, refrainOf })
+ * Suggestions are replacements for the line's last word that fit both the
+ * line's syllable count and its rhyme.
+ *
+ * @param {string} poemText - Multi-line text (blank lines are ignored)
+ * @param {string|Object} form - Name of a POEM_FORMS entry, or a form definition
+ * @param {Object|null} [tables] - Assistant tables, used for suggestions and the lexicon
+ * @param {Object} [options] - Optional settings
+ * @param {number} [options.suffixLength] - Suffix length the tables use (default: 3)
+ * @param {number} [options.threshold] - Minimum rhyme confidence (default: 0.5)
+ * @param {number} [options.maxSuggestions] - Suggestions per violation (default: 5)
+ * @returns {Object} { form, valid, scheme, violations }
+ * @throws {RangeError} If the form name is unknown
+ */
+function validateForm(poemText, form, tables = null, options = {}) {
+  const formName = typeof form === "string" ? form : form.name || "custom";
+  if (typeof form === "string") {
+    if (!Object.prototype.hasOwnProperty.call(POEM_FORMS, form)) {
+      throw new RangeError(
+        `Unknown form "${form}"; expected one of ${Object.keys(POEM_FORMS).join(", ")}`,
+      );
+    }
+    form = POEM_FORMS[form];
+  }
+  const settings = {
+    suffixLength: options.suffixLength || 3,
+    threshold: options.threshold !== undefined ? options.threshold : 0.5,
+    maxSuggestions: options.maxSuggestions || 5,
+  };
+  const lexicon = tables ? tables.lexicon || null : null;
+
+  // Analyse each non-blank line: its words, last word and syllable count
+  const lines = [];
+  const rawLines = poemText.split(/\r?\n/);
+  for (let r = 0; r < rawLines.length; r++) {
+    const words = tokenizeLine(rawLines[r]);
+    if (words.length === 0) {
+      continue;
+    }
+    const counts = words.map((word) => syllabify(word, lexicon).syllables);
+    lines.push({
+      words,
+      lastWord: words[words.length - 1],
+      lastSyllables: counts[counts.length - 1],
+      syllables: counts.reduce((sum, count) => sum + count, 0),
+    });
+  }
+
+  const violations = [];
+  if (lines.length !== form.lines) {
+    violations.push({
+      type: "lines",
+      expected: form.lines,
+      actual: lines.length,
+      message: `Expected ${form.lines} lines, found ${lines.length}`,
+    });
+  }
+  const checked = Math.min(lines.length, form.lines);
+
+  // Pick the accepted scheme with the fewest unrhymed lines
+  let scheme = null;
+  let partners = []; // partners[i] = index of the line that line i must rhyme with
+  if (form.schemes && form.schemes.length > 0) {
+    let fewestMisses = Infinity;
+    for (let s = 0; s < form.schemes.length; s++) {
+      const labels = parseScheme(form.schemes[s]);
+      const anchors = {};
+      const candidate = [];
+      let misses = 0;
+      for (let i = 0; i < checked && i < labels.length; i++) {
+        if (anchors[labels[i]] === undefined) {
+          anchors[labels[i]] = i;
+          candidate.push(null);
+          continue;
+        }
+        const anchor = anchors[labels[i]];
+        candidate.push(anchor);
+        const confidence = rhymeConfidence(
+          lines[anchor].lastWord,
+          lines[i].lastWord,
+          tables,
+          settings.suffixLength,
+        );
+        if (confidence < settings.threshold) {
+          misses++;
+        }
+      }
+      if (misses < fewestMisses) {
+        fewestMisses = misses;
+        scheme = form.schemes[s];
+        partners = candidate;
+      }
+    }
+  }
+
+  // Word each line should rhyme with when its last word is replaced
+  const rhymeTarget = (i) =>
+    partners[i] !== null && partners[i] !== undefined
+      ? lines[partners[i]].lastWord
+      : lines[i].lastWord;
+  // Syllables the last word may have for the line to fit the form
+  const lastWordRange = (i, range) =>
+    range === null
+      ? [lines[i].lastSyllables, lines[i].lastSyllables]
+      : [
+          range[0] - (lines[i].syllables - lines[i].lastSyllables),
+          range[1] - (lines[i].syllables - lines[i].lastSyllables),
+        ];
+
+  for (let i = 0; i < checked; i++) {
+    const range = syllableRange(form, i);
+    const syllablesFit =
+      range === null ||
+      (lines[i].syllables >= range[0] && lines[i].syllables <= range[1]);
+
+    if (!syllablesFit) {
+      violations.push({
+        type: "syllables",
+        line: i,
+        expected: describeRange(range),
+        actual: lines[i].syllables,
+        message: `Line ${i + 1} has ${lines[i].syllables} syllables, expected ${describeRange(range)}`,
+        suggestions: suggestReplacements(
+          tables,
+          rhymeTarget(i),
+          lastWordRange(i, range),
+          [lines[i].lastWord],
+          settings,
+        ),
+      });
+    }
+
+    const partner = partners[i];
+    if (partner !== null && partner !== undefined) {
+      const confidence = rhymeConfidence(
+        lines[partner].lastWord,
+        lines[i].lastWord,
+        tables,
+        settings.suffixLength,
+      );
+      if (confidence < settings.threshold) {
+        violations.push({
+          type: "rhyme",
+          line: i,
+          rhymesWith: partner,
+          confidence,
+          message: `Line ${i + 1} ("${lines[i].lastWord}") should rhyme with line ${partner + 1} ("${lines[partner].lastWord}")`,
+          suggestions: suggestReplacements(
+            tables,
+            lines[partner].lastWord,
+            lastWordRange(i, range),
+            [lines[i].lastWord, lines[partner].lastWord],
+            settings,
+          ),
+        });
+      }
+    }
+  }
+
+  // Refrains must repeat the words of their first occurrence
+  const refrains = form.refrains || [];
+  for (let r = 0; r < refrains.length; r++) {
+    const first = refrains[r][0];
+    if (first >= checked) {
+      continue;
+    }
+    const expected = lines[first].words.join(" ");
+    for (let k = 1; k < refrains[r].length; k++) {
+      const i = refrains[r][k];
+      if (i < checked && lines[i].words.join(" ") !== expected) {
+        violations.push({
+          type: "refrain",
+          line: i,
+          refrainOf: first,
+          message: `Line ${i + 1} should repeat line ${first + 1}`,
+        });
+      }
+    }
+  }
+
+  return {
+    form: formName,
+    valid: violations.length === 0,
+    scheme,
+    violations,
+  };
+}
+
+// Export for Node.js (CommonJS); in the browser these remain globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    POEM_FORMS,
+    validateForm,
+  };
+}
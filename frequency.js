@@ -0,0 +1,178 @@
+/*
+ * frequency.js
+ * Optional word-frequency data (word<TAB>count lists)
+ * Ranks common words above obscure ones and filters by minimum frequency
+ */
+
+// Node.js: load dependencies (in the browser they are globals from earlier <script> tags)
+if (typeof module !== "undefined" && module.exports) {
+  var { isAlphabetic } = require("./utils.js");
+}
+
+/** Number of most frequent words that count as "common" (minFrequency: "common"). */
+var COMMON_WORD_LIMIT = 20000;
+
+/**
+ * Word counts from a frequency list, with the figures needed to rank and
+ * filter by them:
+ * - counts: lowercase word -> number of occurrences
+ * - maxCount: highest count, for scaling (see wordFrequency)
+ * - commonCount: count of the COMMON_WORD_LIMIT-th most frequent word
+ *
+ * Bound with var rather than a class declaration so the Node.js require blocks
+ * in the other files can re-declare it without clashing in the browser.
+ */
+var FrequencyTable = class FrequencyTable {
+  /**
+   * Creates an empty frequency table.
+   */
+  constructor() {
+    this.counts = new Map();
+    this.maxCount = 0;
+    this.commonCount = 0;
+  }
+};
+
+/**
+ * Parses a word frequency list into a FrequencyTable.
+ * Accepted line format: a word, a tab (or other whitespace) and a count:
+ *   the	23135851162
+ *   rhyme	5820413
+ * Lines starting with "#" are comments. Counts for the same word in
+ * different cases are added together; entries that are not purely
+ * alphabetic are skipped since the word list never contains them.
+ *
+ * Time Complexity: Θ(n + u log u) where n = length of the text, u = distinct words
+ *
+ * @param {string} frequencyText - The complete text of the frequency file
+ * @param {Object} [options] - Optional settings
+ * @param {number} [options.commonWords=COMMON_WORD_LIMIT] - How many of the most frequent words are "common"
+ * @returns {FrequencyTable} The parsed table
+ */
+function parseFrequencyList(frequencyText, options = {}) {
+  const F = new FrequencyTable();
+  const lines = frequencyText.split("\n");
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith("#")) {
+      continue;
+    }
+
+    const tokens = line.split(/\s+/);
+    const word = tokens[0].toLowerCase();
+    const count = Number(tokens[1]);
+    if (tokens.length < 2 || !isAlphabetic(word) || !(count >= 0)) {
+      continue;
+    }
+
+    const total = (F.counts.get(word) || 0) + count;
+    F.counts.set(word, total);
+    if (total > F.maxCount) {
+      F.maxCount = total;
+    }
+  }
+
+  // The cut-off for "common" is the count at rank commonWords
+  const commonWords = options.commonWords || COMMON_WORD_LIMIT;
+  const sorted = Array.from(F.counts.values()).sort((a, b) => b - a);
+  F.commonCount =
+    sorted.length === 0 ? 0 : sorted[Math.min(commonWords, sorted.length) - 1];
+
+  return F;
+}
+
+/**
+ * Returns how many times a word occurs in the frequency data.
+ * @param {FrequencyTable} F - The frequency table
+ * @param {string} word - Lowercase word
+ * @returns {number} The count (0 for unlisted words)
+ */
+function wordCount(F, word) {
+  return F.counts.get(word) || 0;
+}
+
+/**
+ * Returns a word's relative frequency from 0 (unlisted) to 1 (the most
+ * frequent word). Counts are log-scaled, since word frequencies fall off
+ * steeply (Zipf's law) and a linear scale would put nearly every word near 0.
+ * @param {FrequencyTable} F - The frequency table
+ * @param {string} word - Lowercase word
+ * @returns {number} Relative frequency between 0 and 1
+ */
+function wordFrequency(F, word) {
+  const count = F.counts.get(word) || 0;
+  if (count === 0 || F.maxCount === 0) {
+    return 0;
+  }
+  return Math.log(count + 1) / Math.log(F.maxCount + 1);
+}
+
+/**
+ * Checks a word against a minimum frequency. Without frequency data or a
+ * minimum every word passes.
+ * @param {FrequencyTable|null} F - The frequency table
+ * @param {string} word - Lowercase word
+ * @param {number|string} [minFrequency] - Minimum count, or "common" for the
+ *   COMMON_WORD_LIMIT most frequent words
+ * @returns {boolean} True if the word is frequent enough
+ * @throws {RangeError} If minFrequency is neither a number nor "common"
+ */
+function meetsMinFrequency(F, word, minFrequency) {
+  if (!F || minFrequency === undefined || minFrequency === null) {
+    return true;
+  }
+  if (minFrequency === "common") {
+    return wordCount(F, word) >= Math.max(1, F.commonCount);
+  }
+  if (typeof minFrequency !== "number") {
+    throw new RangeError(
+      `minFrequency must be a number or "common", got "${minFrequency}"`,
+    );
+  }
+  return wordCount(F, word) >= minFrequency;
+}
+
+/**
+ * Helper function to load frequency data from a file URL (for use in browser).
+ * Frequency data is optional, so a missing file gives null; the caller decides
+ * whether to mention it.
+ *
+ * @param {string} frequencyUrl - URL or path to the word<TAB>count file
+ * @returns {Promise<FrequencyTable|null>} Promise that resolves to the table, or null if
+ *   there is no file at the URL
+ * @throws {TypeError} If the file cannot be fetched
+ */
+async function loadFrequenciesFromFile(frequencyUrl) {
+  const response = await fetch(frequencyUrl);
+  if (!response.ok) {
+    return null;
+  }
+  return parseFrequencyList(await response.text());
+}
+
+/**
+ * Helper function to load frequency data from disk (for use in Node.js).
+ *
+ * @param {string} frequencyPath - Filesystem path to the word<TAB>count file
+ * @returns {Promise<FrequencyTable>} Promise that resolves to the table
+ */
+async function loadFrequenciesFromPath(frequencyPath) {
+  // Required lazily so this file still loads as a browser <script>
+  const fs = require("fs");
+  return parseFrequencyList(await fs.promises.readFile(frequencyPath, "utf8"));
+}
+
+// Export for Node.js (CommonJS); in the browser these remain globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    COMMON_WORD_LIMIT,
+    FrequencyTable,
+    parseFrequencyList,
+    wordCount,
+    wordFrequency,
+    meetsMinFrequency,
+    loadFrequenciesFromFile,
+    loadFrequenciesFromPath,
+  };
+}
@@ -1,18 +1,173 @@
 /**
- * Hash table implementation using linear probing for collision resolution.
+ * Hash table implementation with pluggable collision resolution.
  * Each bucket stores a suffix and an array of words associated with that suffix.
+ * The table grows to the next prime size and rehashes its entries whenever
+ * inserting a new suffix would push the load factor past maxLoadFactor.
+ *
+ * Collision strategies:
+ * - "linear"    - open addressing, probe h, h+1, h+2, ... (default)
+ * - "quadratic" - open addressing, probe h, h+1, h+4, h+9, ...
+ * - "double"    - open addressing, probe h, h+s, h+2s, ... with s from a second hash
+ * - "chaining"  - separate chaining, each slot holds an array of entries
+ *
+ * Bound with var rather than a class declaration so the Node.js require blocks
+ * in the other files can re-declare it without clashing in the browser.
  */
-class HashTable {
+var HashTable = class HashTable {
   /**
    * Creates a new hash table.
-   * @param {number} size - The size of the hash table
+   * @param {number} size - The initial size of the hash table
+   * @param {Object} [options] - Optional settings
+   * @param {number} [options.maxLoadFactor=0.7] - Load factor above which the table resizes
+   *   (at most 1 for open addressing; chaining may go higher)
+   * @param {string} [options.strategy="linear"] - One of COLLISION_STRATEGIES
+   * @param {string} [options.hashFunction="polynomial"] - One of HASH_FUNCTIONS
    */
-  constructor(size) {
+  constructor(size, options = {}) {
+    const strategy = options.strategy || "linear";
+    const hashFunction = options.hashFunction || "polynomial";
+    const maxLoadFactor =
+      options.maxLoadFactor === undefined ? 0.7 : options.maxLoadFactor;
+
+    if (!COLLISION_STRATEGIES.includes(strategy)) {
+      throw new RangeError(
+        `Unknown collision strategy "${strategy}" (expected ${COLLISION_STRATEGIES.join(", ")})`,
+      );
+    }
+    if (!HASH_FUNCTIONS.includes(hashFunction)) {
+      throw new RangeError(
+        `Unknown hash function "${hashFunction}" (expected ${HASH_FUNCTIONS.join(", ")})`,
+      );
+    }
+    if (
+      !(maxLoadFactor > 0) ||
+      (strategy !== "chaining" && maxLoadFactor > 1)
+    ) {
+      throw new RangeError(
+        "maxLoadFactor must be in the range (0, 1] for open addressing",
+      );
+    }
+
     this.size = size;
     this.table = Array(size).fill(null); // Initialize table with null values
     this.count = 0; // Number of unique suffixes stored
     this.probeSteps = 0; // Counter for tracking collision resolution steps
+    this.maxLoadFactor = maxLoadFactor; // Resize threshold
+    this.resizeCount = 0; // Number of times the table has grown
+    this.deletedCount = 0; // Number of DELETED tombstone slots
+    this.strategy = strategy; // Collision resolution strategy
+    this.hashFunction = hashFunction; // Primary hash function name
   }
+};
+
+/** Supported collision resolution strategies. */
+var COLLISION_STRATEGIES = ["linear", "quadratic", "double", "chaining"];
+
+/** Supported primary hash functions. */
+var HASH_FUNCTIONS = ["polynomial", "fnv1a"];
+
+/**
+ * Tombstone marking a slot whose suffix was removed (open addressing only;
+ * chained tables simply splice the entry out of its chain).
+ * Searches probe past it (its suffix never matches) while inserts may reuse it.
+ * Like HashTable, bound with var so other files can re-declare it.
+ */
+var DELETED = Object.freeze({ suffix: null, words: Object.freeze([]) });
+
+/**
+ * Checks whether a number is prime using trial division.
+ * @param {number} n - The number to test
+ * @returns {boolean} True if n is prime
+ */
+function isPrime(n) {
+  if (n < 2) {
+    return false;
+  }
+  if (n % 2 === 0) {
+    return n === 2;
+  }
+  for (let d = 3; d * d <= n; d += 2) {
+    if (n % d === 0) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Finds the smallest prime greater than or equal to n.
+ * Prime table sizes spread polynomial hash values more evenly.
+ * @param {number} n - Lower bound
+ * @returns {number} The next prime
+ */
+function nextPrime(n) {
+  let candidate = Math.max(2, Math.ceil(n));
+  while (!isPrime(candidate)) {
+    candidate++;
+  }
+  return candidate;
+}
+
+/**
+ * Rebuilds the hash table at a new size and reinserts every entry.
+ * Hash values depend on the table size, so every bucket must be re-placed.
+ * Tombstones are dropped along the way.
+ * Time Complexity: Θ(size + newSize)
+ * @param {HashTable} T - The hash table to resize
+ * @param {number} newSize - The new table size (should be prime)
+ */
+function resizeHash(T, newSize) {
+  const entries = tableEntries(T);
+  const oldSize = T.size;
+
+  while (!placeEntries(T, entries, newSize)) {
+    // Quadratic probing only reaches about half the slots - retry larger
+    newSize = nextPrime(newSize * 2);
+  }
+
+  T.deletedCount = 0;
+  if (newSize > oldSize) {
+    T.resizeCount++;
+  }
+}
+
+/**
+ * Lays entries out in a fresh table of the given size.
+ * @param {HashTable} T - The hash table to fill
+ * @param {Array<Object>} entries - The { suffix, words } entries to place
+ * @param {number} size - The new table size
+ * @returns {boolean} False if some entry found no reachable free slot
+ */
+function placeEntries(T, entries, size) {
+  T.size = size;
+  T.table = Array(size).fill(null);
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    const home = hashKey(T, entry.suffix);
+
+    if (T.strategy === "chaining") {
+      if (T.table[home] === null) {
+        T.table[home] = [];
+      }
+      T.table[home].push(entry);
+      continue;
+    }
+
+    // Probe for a free slot; suffixes are unique so no merging is needed
+    const step = probeStep(T, entry.suffix);
+    let attempt = 0;
+    let index = home;
+    while (T.table[index] !== null) {
+      attempt++;
+      if (attempt === size) {
+        return false;
+      }
+      index = probeIndex(T, home, step, attempt);
+    }
+    T.table[index] = entry;
+  }
+  return true;
 }
 
 /**
@@ -30,48 +185,223 @@ function computeHash(string, tableSize) {
   return hash;
 }
 
+/**
+ * Computes a hash value using 32-bit FNV-1a (xor each character in, then
+ * multiply by the FNV prime). An alternative to the polynomial hash that
+ * mixes bits more thoroughly for short keys.
+ * @param {string} string - The string to hash
+ * @param {number} tableSize - The size of the hash table (for modulo operation)
+ * @returns {number} Hash value in range [0, tableSize-1]
+ */
+function computeFnv1aHash(string, tableSize) {
+  let hash = 0x811c9dc5; // FNV offset basis
+  for (let i = 0; i < string.length; i++) {
+    hash ^= string.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0; // FNV prime, kept unsigned
+  }
+  return hash % tableSize;
+}
+
+/**
+ * Computes a key's home slot with the table's primary hash function.
+ * @param {HashTable} T - The hash table
+ * @param {string} key - The suffix key
+ * @returns {number} Slot index in range [0, T.size-1]
+ */
+function hashKey(T, key) {
+  if (T.hashFunction === "fnv1a") {
+    return computeFnv1aHash(key, T.size);
+  }
+  return computeHash(key, T.size);
+}
+
+/**
+ * Computes the probe step for a key. Double hashing uses
+ * h2(k) = 1 + (k mod (m - 1)), which is never 0 and, with a prime table
+ * size m, visits every slot. Other strategies step by 1.
+ * @param {HashTable} T - The hash table
+ * @param {string} key - The suffix key
+ * @returns {number} Step size in range [1, T.size-1]
+ */
+function probeStep(T, key) {
+  if (T.strategy !== "double" || T.size < 3) {
+    return 1;
+  }
+  if (T.hashFunction === "fnv1a") {
+    return 1 + computeFnv1aHash(key, T.size - 1);
+  }
+  return 1 + computeHash(key, T.size - 1);
+}
+
+/**
+ * Returns the slot examined on a given probe attempt.
+ * @param {HashTable} T - The hash table
+ * @param {number} home - The key's home slot (attempt 0)
+ * @param {number} step - The key's probe step (see probeStep)
+ * @param {number} attempt - Probe attempt number, starting at 0
+ * @returns {number} Slot index in range [0, T.size-1]
+ */
+function probeIndex(T, home, step, attempt) {
+  if (T.strategy === "quadratic") {
+    return (home + attempt * attempt) % T.size;
+  }
+  return (home + attempt * step) % T.size;
+}
+
+/**
+ * Collects every live entry in the table, in slot order.
+ * @param {HashTable} T - The hash table
+ * @returns {Array<Object>} Array of { suffix, words } entries
+ */
+function tableEntries(T) {
+  const entries = [];
+  for (let i = 0; i < T.table.length; i++) {
+    const slot = T.table[i];
+    if (slot === null || slot === DELETED) {
+      continue;
+    }
+    if (T.strategy === "chaining") {
+      entries.push(...slot);
+    } else {
+      entries.push(slot);
+    }
+  }
+  return entries;
+}
+
 /**
  * Inserts a word with its associated suffix into the hash table.
- * Uses linear probing to handle collisions.
+ * Open addressing probes with the table's strategy, and a new suffix reuses
+ * the first DELETED slot on its probe path; chaining appends to the home
+ * slot's chain. If adding a new suffix would exceed the table's maxLoadFactor
+ * (tombstones included), the table is first rehashed: grown to the next prime
+ * at least twice its size, or rebuilt at the same size when clearing
+ * tombstones is enough.
  * @param {HashTable} T - The hash table to insert into
  * @param {string} suffix - The suffix key
  * @param {string} word - The word to associate with the suffix
- * @returns {boolean} True if insertion successful, false if table is full
+ * @returns {boolean} True once the word is stored (the table grows instead of filling up)
  */
 function insertHash(T, suffix, word) {
-  let index = computeHash(suffix, T.size);
+  if (T.strategy === "chaining") {
+    return insertChained(T, suffix, word);
+  }
+
+  const home = hashKey(T, suffix);
+  const step = probeStep(T, suffix);
+  let index = home;
   let attempts = 0;
+  let freeIndex = -1; // First DELETED slot seen on the probe path
 
   while (attempts < T.size) {
     if (T.table[index] === null) {
-      // Empty slot found - insert new entry
-      T.table[index] = { suffix, words: [word] };
-      T.count++;
-      return true;
+      break;
+    } else if (T.table[index] === DELETED) {
+      // Tombstone - remember it, but the suffix may still exist further on
+      if (freeIndex === -1) {
+        freeIndex = index;
+      }
     } else if (T.table[index].suffix === suffix) {
       // Suffix already exists - add word to existing entry
       T.table[index].words.push(word);
       return true;
-    } else {
-      // Collision - probe next slot (linear probing)
-      index = (index + 1) % T.size;
-      attempts++;
+    }
+    // Collision - probe next slot in the sequence
+    attempts++;
+    index = probeIndex(T, home, step, attempts);
+  }
+
+  if (freeIndex !== -1) {
+    // Reuse a tombstone - occupied slot count does not change
+    T.table[freeIndex] = { suffix, words: [word] };
+    T.count++;
+    T.deletedCount--;
+    return true;
+  }
+
+  if (
+    attempts === T.size ||
+    (T.count + T.deletedCount + 1) / T.size > T.maxLoadFactor
+  ) {
+    // New suffix would cross the load factor threshold (or no free slot was
+    // reachable). Grow if live entries need the room, otherwise just clear
+    // tombstones
+    const newSize =
+      attempts === T.size || (T.count + 1) / T.size > T.maxLoadFactor
+        ? nextPrime(T.size * 2)
+        : T.size;
+    resizeHash(T, newSize);
+    return insertHash(T, suffix, word);
+  }
+
+  // Empty slot found - insert new entry
+  T.table[index] = { suffix, words: [word] };
+  T.count++;
+  return true;
+}
+
+/**
+ * Separate-chaining insert: appends to the home slot's chain.
+ * @param {HashTable} T - The hash table to insert into
+ * @param {string} suffix - The suffix key
+ * @param {string} word - The word to associate with the suffix
+ * @returns {boolean} Always true
+ */
+function insertChained(T, suffix, word) {
+  const chain = T.table[hashKey(T, suffix)];
+  if (chain !== null) {
+    for (let i = 0; i < chain.length; i++) {
+      if (chain[i].suffix === suffix) {
+        // Suffix already exists - add word to existing entry
+        chain[i].words.push(word);
+        return true;
+      }
     }
   }
 
-  // Table is full
-  return false;
+  if ((T.count + 1) / T.size > T.maxLoadFactor) {
+    // New suffix would cross the load factor threshold - grow and retry
+    resizeHash(T, nextPrime(T.size * 2));
+    return insertChained(T, suffix, word);
+  }
+
+  const home = hashKey(T, suffix);
+  if (T.table[home] === null) {
+    T.table[home] = [];
+  }
+  T.table[home].push({ suffix, words: [word] });
+  T.count++;
+  return true;
 }
 
 /**
  * Searches for a suffix in the hash table and returns associated words.
- * Uses linear probing to resolve collisions during search.
+ * Follows the table's probe sequence (or chain) to resolve collisions.
+ * DELETED slots are probed past, so entries stored beyond a removed suffix
+ * stay reachable.
  * @param {HashTable} T - The hash table to search in
  * @param {string} suffix - The suffix key to search for
  * @returns {Array<string>} Array of words associated with the suffix, or empty array if not found
  */
 function searchHash(T, suffix) {
-  let index = computeHash(suffix, T.size);
+  if (T.strategy === "chaining") {
+    const chain = T.table[hashKey(T, suffix)];
+    if (chain === null) {
+      return [];
+    }
+    for (let i = 0; i < chain.length; i++) {
+      if (chain[i].suffix === suffix) {
+        return chain[i].words;
+      }
+      // Collision - move along the chain
+      T.probeSteps++;
+    }
+    return [];
+  }
+
+  const home = hashKey(T, suffix);
+  const step = probeStep(T, suffix);
+  let index = home;
   let attempts = 0;
 
   while (attempts < T.size) {
@@ -82,13 +412,234 @@ function searchHash(T, suffix) {
       // Suffix found - return associated words
       return T.table[index].words;
     } else {
-      // Collision - continue probing
+      // Collision or tombstone - continue probing
       T.probeSteps++;
-      index = (index + 1) % T.size;
       attempts++;
+      index = probeIndex(T, home, step, attempts);
     }
   }
 
   // Searched entire table without finding suffix
   return [];
 }
+
+/**
+ * Counts the probes needed to find a suffix, without touching probeSteps.
+ * For open addressing this is the number of slots passed before the match;
+ * for chaining, the number of chain entries passed.
+ * @param {HashTable} T - The hash table to search in
+ * @param {string} suffix - The suffix key to find
+ * @returns {number} Probe length, or -1 if the suffix is not stored
+ */
+function probeLength(T, suffix) {
+  if (T.strategy === "chaining") {
+    const chain = T.table[hashKey(T, suffix)];
+    if (chain === null) {
+      return -1;
+    }
+    return chain.findIndex((entry) => entry.suffix === suffix);
+  }
+
+  const index = findSlot(T, suffix);
+  if (index === -1) {
+    return -1;
+  }
+  const home = hashKey(T, suffix);
+  const step = probeStep(T, suffix);
+  let attempt = 0;
+  while (probeIndex(T, home, step, attempt) !== index) {
+    attempt++;
+  }
+  return attempt;
+}
+
+/**
+ * Finds the slot index holding a suffix, without touching probeSteps.
+ * Open addressing only; chained tables locate entries through their chain.
+ * @param {HashTable} T - The hash table to search in
+ * @param {string} suffix - The suffix key to find
+ * @returns {number} Slot index, or -1 if the suffix is not stored
+ */
+function findSlot(T, suffix) {
+  const home = hashKey(T, suffix);
+  const step = probeStep(T, suffix);
+  let index = home;
+  let attempts = 0;
+
+  while (attempts < T.size && T.table[index] !== null) {
+    if (T.table[index].suffix === suffix) {
+      return index;
+    }
+    attempts++;
+    index = probeIndex(T, home, step, attempts);
+  }
+  return -1;
+}
+
+/**
+ * Finds the stored entry for a suffix, whatever the strategy.
+ * @param {HashTable} T - The hash table to search in
+ * @param {string} suffix - The suffix key to find
+ * @returns {Object|null} The { suffix, words } entry, or null if not stored
+ */
+function findEntry(T, suffix) {
+  if (T.strategy === "chaining") {
+    const chain = T.table[hashKey(T, suffix)];
+    if (chain === null) {
+      return null;
+    }
+    return chain.find((entry) => entry.suffix === suffix) || null;
+  }
+
+  const index = findSlot(T, suffix);
+  return index === -1 ? null : T.table[index];
+}
+
+/**
+ * Removes one word from the bucket for a suffix.
+ * If the bucket becomes empty the whole suffix is removed (see removeSuffix),
+ * keeping probe chains through that slot intact for later searches.
+ * @param {HashTable} T - The hash table to delete from
+ * @param {string} suffix - The suffix key the word is stored under
+ * @param {string} word - The word to remove (every copy is removed)
+ * @returns {boolean} True if the word was found and removed
+ */
+function deleteHash(T, suffix, word) {
+  const entry = findEntry(T, suffix);
+  if (entry === null) {
+    return false;
+  }
+
+  const remaining = entry.words.filter((w) => w !== word);
+  if (remaining.length === entry.words.length) {
+    return false;
+  }
+
+  if (remaining.length === 0) {
+    // Last word gone - drop the whole bucket
+    removeSuffix(T, suffix);
+  } else {
+    entry.words = remaining;
+  }
+  return true;
+}
+
+/**
+ * Removes a whole suffix bucket from the hash table.
+ * With open addressing the slot becomes a DELETED tombstone rather than null
+ * so that searches for suffixes that probed past it still find them. With
+ * chaining the entry is spliced out of its chain.
+ * @param {HashTable} T - The hash table to delete from
+ * @param {string} suffix - The suffix key to remove
+ * @returns {Array<string>} The words that were stored under the suffix (empty if not found)
+ */
+function removeSuffix(T, suffix) {
+  if (T.strategy === "chaining") {
+    const home = hashKey(T, suffix);
+    const chain = T.table[home];
+    const position =
+      chain === null ? -1 : chain.findIndex((entry) => entry.suffix === suffix);
+    if (position === -1) {
+      return [];
+    }
+    const [entry] = chain.splice(position, 1);
+    if (chain.length === 0) {
+      T.table[home] = null;
+    }
+    T.count--;
+    return entry.words;
+  }
+
+  const index = findSlot(T, suffix);
+  if (index === -1) {
+    return [];
+  }
+
+  const words = T.table[index].words;
+  T.table[index] = DELETED;
+  T.count--;
+  T.deletedCount++;
+  return words;
+}
+
+/**
+ * Reports how well the table's strategy and hash function spread its keys.
+ * - probeLengths: histogram of successful-search probe lengths, i.e. how many
+ *   slots (or chain entries) are passed before each stored suffix is found
+ * - maxClusterSize: longest run of consecutive non-empty slots (wrapping
+ *   around the end), or the longest chain for separate chaining
+ * Time Complexity: O(size + count · probe length)
+ * @param {HashTable} T - The hash table to analyse
+ * @returns {Object} Collision statistics
+ */
+function collisionStats(T) {
+  const probeLengths = {};
+  let totalProbes = 0;
+  let maxProbeLength = 0;
+
+  const entries = tableEntries(T);
+  for (let i = 0; i < entries.length; i++) {
+    const length = probeLength(T, entries[i].suffix);
+    probeLengths[length] = (probeLengths[length] || 0) + 1;
+    totalProbes += length;
+    if (length > maxProbeLength) {
+      maxProbeLength = length;
+    }
+  }
+
+  let maxClusterSize = 0;
+  if (T.strategy === "chaining") {
+    for (let i = 0; i < T.size; i++) {
+      if (T.table[i] !== null && T.table[i].length > maxClusterSize) {
+        maxClusterSize = T.table[i].length;
+      }
+    }
+  } else {
+    // Start scanning just after an empty slot so wrapped runs are counted whole
+    const start = T.table.indexOf(null);
+    let run = 0;
+    for (let i = 0; i < T.size; i++) {
+      if (T.table[(start + 1 + i) % T.size] === null) {
+        run = 0;
+      } else {
+        run++;
+        if (run > maxClusterSize) {
+          maxClusterSize = run;
+        }
+      }
+    }
+  }
+
+  return {
+    strategy: T.strategy,
+    hashFunction: T.hashFunction,
+    size: T.size,
+    count: T.count,
+    loadFactor: T.count / T.size,
+    probeLengths: probeLengths,
+    averageProbeLength: entries.length > 0 ? totalProbes / entries.length : 0,
+    maxProbeLength: maxProbeLength,
+    maxClusterSize: maxClusterSize,
+  };
+}
+
+// Export for Node.js (CommonJS); in the browser these remain globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    HashTable,
+    COLLISION_STRATEGIES,
+    HASH_FUNCTIONS,
+    DELETED,
+    isPrime,
+    nextPrime,
+    resizeHash,
+    computeHash,
+    computeFnv1aHash,
+    insertHash,
+    searchHash,
+    probeLength,
+    deleteHash,
+    removeSuffix,
+    collisionStats,
+  };
+}
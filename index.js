@@ -1,28 +1,646 @@
-function query(tables, inputWord, suffixLength) {
-  let rhymes = findRhymes(tables.rhymeTable, inputWord, suffixLength, 10);
-  let syllables = countSyllables(inputWord);
-
-  let firstLetter = inputWord[0];
-  let alliterations = findAlliteration(
-    tables.alliterationTable,
-    firstLetter,
+// Node.js: load dependencies (in the browser they are globals from earlier <script> tags)
+if (typeof module !== "undefined" && module.exports) {
+  var {
+    cacheGet,
+    cacheSet,
+    computePhoneticKey,
+    extractSuffix,
+  } = require("./utils.js");
+  var { probeLength } = require("./hashTable.js");
+  var { phoneticKeysFor } = require("./pronunciation.js");
+  var { syllabify } = require("./syllables.js");
+  var { findSoundMatches, soundKeysFor } = require("./allliteration.js");
+  var {
+    findRhymes,
+    findRhymesBySuffix,
+    phoneticSearch,
+  } = require("./rhymeScorer.js");
+  var {
+    findPhraseRhymes,
+    findTwoWordRhymes,
+    phraseTailKeys,
+  } = require("./phraseRhymes.js");
+  var { tokenizeLine, wordStress } = require("./scansion.js");
+  var { wordSources } = require("./dictionaries.js");
+}
+
+/**
+ * Main query processor: rhymes, syllable count and sound matches for a word.
+ * Rhymes come from the suffix trie by longest common suffix (falling back to
+ * the fixed-length rhyme table for tables built without one), and phonetic
+ * search fills in when fewer than 3 suffix rhymes are found.
+ * Alliterations, assonances and consonances are ranked by findSoundMatches.
+ *
+ * A phrase is rhymed from its last stressed syllable on: by its last word
+ * when the rhyme starts there ("door hinge"), topped up with rhymes across
+ * word boundaries ("show me" -> "homey", see findPhraseRhymes). Its
+ * alliterations follow the first word and its assonances and consonances
+ * the last. Two-word phrase rhymes ("orange" -> "door hinge") are found for
+ * words and phrases alike when the lexicon knows them (see findTwoWordRhymes).
+ *
+ * @param {Object} tables - Poetry assistant from buildPoetryAssistant
+ * @param {string} inputWord - The word or phrase to look up
+ * @param {number} suffixLength - Suffix length the tables were built with
+ * @param {Object} [options] - Optional settings
+ * @param {Array<string>} [options.types] - Only return these RHYME_TYPES (default: all)
+ * @param {string} [options.order="ranked"] - Order of sound matches: "ranked" or "random"
+ * @param {number} [options.minSuffix=2] - Shortest shared suffix for suffix-trie rhymes
+ * @param {string|Object} [options.profile="classic"] - Rhyme scoring profile (see SCORING_PROFILES)
+ * @param {number|string} [options.minFrequency] - Only words at least this frequent, or
+ *   "common" (needs tables.frequencies; see meetsMinFrequency)
+ * @param {string|Array<string>} [options.pos] - Only rhymes with this part of speech
+ *   (needs tables.posTags)
+ * @param {string} [options.topic] - Rank rhymes related to this topic first
+ *   (needs tables.wordGraph)
+ * @param {boolean} [options.topicOnly=false] - Only rhymes related to the topic
+ * @param {boolean} [options.explain=false] - Also return an explanation of
+ *   where each result came from (see explainQuery)
+ * @param {number} [options.maxResults=10] - Maximum number of rhymes
+ * @returns {Object} { rhymes: Array<{ word, score, type, breakdown }>, phrases, sources, syllables,
+ *   stress, alliterations, assonances, consonances } where phrases holds up to 5
+ *   two-word rhymes as { phrase, words, score, type, breakdown }, stress is a
+ *   pattern such as "01" (see syllabify) and the sound matches are arrays of
+ *   up to 5 words. sources maps every word and phrase in the results to the
+ *   word lists it came from (see wordSources). With options.explain there is
+ *   an explanation too.
+ * @throws {RangeError} If the input has no letters to look up
+ */
+function query(tables, inputWord, suffixLength, options = {}) {
+  const rhymeOptions = queryRhymeOptions(tables, options);
+  const maxResults = options.maxResults === undefined ? 10 : options.maxResults;
+  // A phrase is rhymed as a whole; rhymes for its last word only fit when
+  // the rhyme starts inside that word ("door hinge", not "show me")
+  const words = tokenizeLine(inputWord);
+  if (words.length === 0) {
+    throw new RangeError(`Not a word or phrase: "${inputWord}"`);
+  }
+  const isPhrase = words.length > 1;
+  // Single words are normalised like phrases ("Cat", " cat" -> "cat")
+  const lastWord = words[words.length - 1];
+  const firstWord = words[0];
+  const wordRhymes =
+    !isPhrase || wordStress(lastWord, tables.lexicon).stress.includes("1");
+
+  let rhymes = [];
+  if (wordRhymes) {
+    rhymes = suffixRhymes(
+      tables,
+      lastWord,
+      suffixLength,
+      { ...rhymeOptions, minSuffix: options.minSuffix },
+      maxResults,
+    );
+  }
+  const spellingRhymes = rhymes.length;
+  if (isPhrase && tables.phraseTable) {
+    const phraseRhymes = findPhraseRhymes(
+      tables,
+      inputWord,
+      maxResults,
+      rhymeOptions,
+    );
+    for (
+      let i = 0;
+      i < phraseRhymes.length && rhymes.length < maxResults;
+      i++
+    ) {
+      if (!rhymes.some((rhyme) => rhyme.word === phraseRhymes[i].word)) {
+        rhymes.push(phraseRhymes[i]);
+      }
+    }
+  }
+  // Two-word rhymes need pronunciations, which spoken keys cannot stand in for
+  const phrases =
+    tables.phraseTable && tables.lexicon
+      ? findTwoWordRhymes(tables, inputWord, 5, rhymeOptions)
+      : [];
+
+  let syllables = 0;
+  let stress = "";
+  for (let i = 0; i < words.length; i++) {
+    const sounds = syllabify(words[i], tables.lexicon);
+    syllables += sounds.syllables;
+    stress += sounds.stress;
+  }
+
+  const soundOptions = {
+    order: options.order,
+    minFrequency: options.minFrequency,
+  };
+  let alliterations = findSoundMatches(
+    tables,
+    firstWord,
+    "alliteration",
+    5,
+    soundOptions,
+  );
+  let assonances = findSoundMatches(
+    tables,
+    lastWord,
+    "assonance",
+    5,
+    soundOptions,
+  );
+  let consonances = findSoundMatches(
+    tables,
+    lastWord,
+    "consonance",
     5,
+    soundOptions,
   );
 
-  if (rhymes.length < 3) {
-    let phoneticRhymes = phoneticSearch(
-      tables.phoneticTable,
-      inputWord,
+  const fallbackFrom = rhymes.length;
+  if (wordRhymes) {
+    addPhoneticRhymes(
+      tables,
+      rhymes,
+      lastWord,
       suffixLength,
-      7,
+      rhymeOptions,
+      maxResults,
     );
+  }
 
-    for (let i = 0; i < phoneticRhymes.length; i++) {
-      if (!rhymes.includes(phoneticRhymes[i])) {
-        rhymes.push(phoneticRhymes[i]);
-      }
+  const sources = {};
+  const resultWords = [
+    ...rhymes.map((rhyme) => rhyme.word),
+    ...phrases.flatMap((phrase) => phrase.words),
+    ...alliterations,
+    ...assonances,
+    ...consonances,
+  ];
+  for (let i = 0; i < resultWords.length; i++) {
+    sources[resultWords[i]] = wordSources(tables, resultWords[i]);
+  }
+
+  const result = {
+    rhymes,
+    phrases,
+    sources,
+    syllables,
+    stress,
+    alliterations,
+    assonances,
+    consonances,
+  };
+  if (options.explain) {
+    result.explanation = explainQuery(tables, result, suffixLength, {
+      text: words.join(" "),
+      firstWord,
+      lastWord,
+      wordRhymes,
+      spellingRhymes,
+      fallbackFrom,
+    });
+  }
+  return result;
+}
+
+/** Words a batch or stream remembers the results of, by default. */
+var DEFAULT_MEMO_SIZE = 10000;
+
+/**
+ * Looks up rhymes, syllables and alliterations for every distinct word of a
+ * text or word list in one pass. Each word is looked up once however often
+ * it appears, and results are memoised so words already looked up by an
+ * earlier call sharing options.memo cost nothing.
+ *
+ * Single words only: phrases are split into their words. Rhymes are found
+ * as for a single word in query (suffix rhymes with a phonetic fallback);
+ * two-word phrase rhymes, assonances and consonances are left out.
+ *
+ * Time Complexity: O(n + u · k log k) for n words of which u are distinct
+ * (see query)
+ *
+ * @param {Object} tables - Poetry assistant from buildPoetryAssistant
+ * @param {string|Array<string>} input - A text, or a list of words
+ * @param {number} suffixLength - Suffix length the tables were built with
+ * @param {Object} [options] - The rhyme options of query (types, minSuffix,
+ *   profile, minFrequency, pos, topic, topicOnly), plus:
+ * @param {Map} [options.memo] - Results to reuse and add to; share it only
+ *   between calls with the same tables and options
+ * @param {number} [options.memoSize=DEFAULT_MEMO_SIZE] - Most results the memo
+ *   keeps, least recently used dropped first
+ * @returns {Object} { results, stats } where results holds one
+ *   { word, count, rhymes, syllables, stress, alliterations, sources } per
+ *   distinct word in order of first appearance, and stats is { words,
+ *   uniqueWords, lookups, elapsedMs, wordsPerSecond } with lookups the words
+ *   not found in the memo
+ */
+function queryBatch(tables, input, suffixLength, options = {}) {
+  const start = performance.now();
+  const words = Array.isArray(input)
+    ? input.flatMap(tokenizeLine)
+    : tokenizeLine(input);
+  const counts = new Map();
+  for (let i = 0; i < words.length; i++) {
+    counts.set(words[i], (counts.get(words[i]) || 0) + 1);
+  }
+
+  const state = {
+    memo: options.memo || new Map(),
+    stats: { words: words.length, uniqueWords: counts.size, lookups: 0 },
+  };
+  const results = [];
+  for (const [word, count] of counts) {
+    results.push({
+      ...memoisedEntry(tables, word, suffixLength, options, state),
+      count,
+    });
+  }
+
+  return {
+    results,
+    stats: withThroughput(state.stats, performance.now() - start),
+  };
+}
+
+/**
+ * Looks up the words of a text line by line as the lines arrive, so a
+ * manuscript of any length can be processed without holding its results:
+ * each line's results are yielded and then forgotten, and only the memo of
+ * recently seen words and the sounds of alliteration candidates (at most one
+ * entry per dictionary word) are kept (see queryBatch).
+ *
+ * Time Complexity: O(n + u · k log k) for n words of which u are looked up
+ *
+ * @param {Object} tables - Poetry assistant from buildPoetryAssistant
+ * @param {Iterable<string>|AsyncIterable<string>} lines - Lines of text, e.g.
+ *   a readline interface
+ * @param {number} suffixLength - Suffix length the tables were built with
+ * @param {Object} [options] - As for queryBatch, plus:
+ * @param {Object} [options.stats] - Object kept up to date with { lines, words,
+ *   lookups, elapsedMs, wordsPerSecond }, where elapsedMs is the time spent
+ *   looking words up (not reading lines or handling results)
+ * @yields {Object} { lineNumber, text, results } with one result per word of
+ *   the line, in order, as { word, rhymes, syllables, stress, alliterations,
+ *   sources }; results are shared with the memo, so treat them as read-only
+ */
+async function* streamQueries(tables, lines, suffixLength, options = {}) {
+  const stats = Object.assign(options.stats || {}, {
+    lines: 0,
+    words: 0,
+    lookups: 0,
+    elapsedMs: 0,
+    wordsPerSecond: 0,
+  });
+  const state = {
+    memo: options.memo || new Map(),
+    stats,
+  };
+
+  for await (const text of lines) {
+    const start = performance.now();
+    const words = tokenizeLine(text);
+    const results = words.map((word) =>
+      memoisedEntry(tables, word, suffixLength, options, state),
+    );
+    stats.lines++;
+    stats.words += words.length;
+    withThroughput(stats, stats.elapsedMs + performance.now() - start);
+    yield { lineNumber: stats.lines, text, results };
+  }
+}
+
+/**
+ * Streams the lines of a text file through streamQueries (for use in
+ * Node.js).
+ *
+ * @param {Object} tables - Poetry assistant from buildPoetryAssistant
+ * @param {string} textPath - Filesystem path to the text
+ * @param {number} suffixLength - Suffix length the tables were built with
+ * @param {Object} [options] - As for streamQueries
+ * @returns {AsyncGenerator<Object>} The line results (see streamQueries)
+ */
+function streamQueriesFromPath(tables, textPath, suffixLength, options = {}) {
+  // Required lazily so this file still loads as a browser <script>
+  const fs = require("fs");
+  const readline = require("readline");
+  const lines = readline.createInterface({
+    input: fs.createReadStream(textPath, { encoding: "utf8" }),
+    crlfDelay: Infinity,
+  });
+  return streamQueries(tables, lines, suffixLength, options);
+}
+
+/**
+ * Returns a word's batch result from the memo, or looks it up and
+ * memoises it.
+ * @param {Object} tables - Poetry assistant
+ * @param {string} word - Lowercase word
+ * @param {number} suffixLength - Suffix length the tables were built with
+ * @param {Object} options - Batch options (see queryBatch)
+ * @param {Object} state - { memo, stats } shared by the words of a batch or
+ *   stream: the results by word and the counters, whose lookups counts misses
+ * @returns {Object} { word, rhymes, syllables, stress, alliterations, sources }
+ */
+function memoisedEntry(tables, word, suffixLength, options, state) {
+  const memoised = cacheGet(state.memo, word);
+  if (memoised) {
+    return memoised;
+  }
+
+  state.stats.lookups++;
+  const rhymeOptions = {
+    ...queryRhymeOptions(tables, options),
+    minSuffix: options.minSuffix,
+  };
+  const rhymes = suffixRhymes(tables, word, suffixLength, rhymeOptions);
+  addPhoneticRhymes(tables, rhymes, word, suffixLength, rhymeOptions);
+  const { syllables, stress } = syllabify(word, tables.lexicon);
+  const alliterations = findSoundMatches(tables, word, "alliteration", 5, {
+    minFrequency: options.minFrequency,
+  });
+
+  const sources = {};
+  const resultWords = [...rhymes.map((rhyme) => rhyme.word), ...alliterations];
+  for (let i = 0; i < resultWords.length; i++) {
+    sources[resultWords[i]] = wordSources(tables, resultWords[i]);
+  }
+
+  const entry = { word, rhymes, syllables, stress, alliterations, sources };
+  cacheSet(
+    state.memo,
+    word,
+    entry,
+    options.memoSize === undefined ? DEFAULT_MEMO_SIZE : options.memoSize,
+  );
+  return entry;
+}
+
+/**
+ * Records the elapsed time in batch stats and the throughput it gives.
+ * @param {Object} stats - Stats with a words count; updated in place
+ * @param {number} elapsedMs - Time taken so far
+ * @returns {Object} The stats, with elapsedMs and wordsPerSecond
+ */
+function withThroughput(stats, elapsedMs) {
+  stats.elapsedMs = elapsedMs;
+  stats.wordsPerSecond =
+    elapsedMs > 0 ? Math.round((stats.words * 1000) / elapsedMs) : 0;
+  return stats;
+}
+
+/**
+ * Collects the options for the rhyme finders from a query's options and
+ * the optional data loaded into the tables.
+ * @param {Object} tables - Poetry assistant
+ * @param {Object} options - Query options (see query)
+ * @returns {Object} Options for findRhymes, findRhymesBySuffix and phoneticSearch
+ */
+function queryRhymeOptions(tables, options) {
+  return {
+    types: options.types,
+    lexicon: tables.lexicon,
+    profile: options.profile,
+    frequencies: tables.frequencies || null,
+    minFrequency: options.minFrequency,
+    posTags: tables.posTags || null,
+    pos: options.pos,
+    wordGraph: tables.wordGraph || null,
+    topic: options.topic,
+    topicOnly: options.topicOnly,
+  };
+}
+
+/**
+ * Finds rhymes for a word by spelling, as query does: from the suffix trie
+ * by longest common suffix, or the fixed-length rhyme table for tables
+ * built without one.
+ * @param {Object} tables - Poetry assistant
+ * @param {string} word - Lowercase word
+ * @param {number} suffixLength - Suffix length the tables were built with
+ * @param {Object} rhymeOptions - Options for findRhymesBySuffix and findRhymes
+ *   (types, lexicon, profile, minSuffix, ...)
+ * @param {number} [maxResults=10] - Maximum number of rhymes
+ * @returns {Array<Object>} Rhymes, best first
+ */
+function suffixRhymes(
+  tables,
+  word,
+  suffixLength,
+  rhymeOptions,
+  maxResults = 10,
+) {
+  return tables.suffixTrie
+    ? findRhymesBySuffix(tables.suffixTrie, word, maxResults, rhymeOptions)
+    : findRhymes(
+        tables.rhymeTable,
+        word,
+        suffixLength,
+        maxResults,
+        rhymeOptions,
+      );
+}
+
+/**
+ * Tops up a short list of rhymes (fewer than 3) with phonetic rhymes that
+ * are not already in it, up to maxResults in all.
+ * @param {Object} tables - Poetry assistant
+ * @param {Array<Object>} rhymes - Rhymes found so far; extended in place
+ * @param {string} word - Lowercase word
+ * @param {number} suffixLength - Suffix length the tables were built with
+ * @param {Object} rhymeOptions - Options from queryRhymeOptions
+ * @param {number} [maxResults=10] - Maximum number of rhymes in the list
+ */
+function addPhoneticRhymes(
+  tables,
+  rhymes,
+  word,
+  suffixLength,
+  rhymeOptions,
+  maxResults = 10,
+) {
+  if (rhymes.length >= 3) {
+    return;
+  }
+  const phoneticRhymes = phoneticSearch(
+    tables.phoneticTable,
+    word,
+    suffixLength,
+    maxResults - rhymes.length,
+    rhymeOptions,
+  );
+  for (let i = 0; i < phoneticRhymes.length; i++) {
+    if (!rhymes.some((rhyme) => rhyme.word === phoneticRhymes[i].word)) {
+      rhymes.push(phoneticRhymes[i]);
+    }
+  }
+}
+
+/**
+ * Explains where a query's results came from, for debugging odd rhymes: the
+ * keys worked out for the input, whether the phonetic fallback ran and why,
+ * and for every result the table it was found in, the keys it matched there
+ * with their probe lengths (see probeLength) and its score breakdown.
+ *
+ * Rhymes are attributed by position, as query adds them in turn: first the
+ * spelling rhymes (suffix trie or rhyme table), then phrase-tail rhymes,
+ * then the phonetic fallback's. A result's keys are those it shares with
+ * the input, so a phonetic rhyme shows which pronunciation matched.
+ *
+ * @param {Object} tables - Poetry assistant
+ * @param {Object} result - The query result being explained
+ * @param {number} suffixLength - Suffix length the tables were built with
+ * @param {Object} lookup - How query looked the input up: { text, firstWord,
+ *   lastWord, wordRhymes, spellingRhymes, fallbackFrom } where text is the
+ *   normalised input, wordRhymes whether the last word was rhymed on its own,
+ *   spellingRhymes how many rhymes the spelling lookup gave and fallbackFrom
+ *   how many rhymes there were before the phonetic fallback
+ * @returns {Object} { word, suffix, phoneticKey, phoneticKeys, spellingTable,
+ *   fallback: { used, reason }, rhymes, phrases, sounds } where word is the
+ *   word rhymed, suffix its rhyme table key, phoneticKey its
+ *   computePhoneticKey and phoneticKeys its phonetic table keys; rhymes and
+ *   phrases hold one { word or phrase, table, keys, score, breakdown } per
+ *   result, in order, with keys as { key, probeLength } (probeLength null for
+ *   the suffix trie, which is walked rather than probed, and -1 for a key not
+ *   stored) and rhymes also giving each word's phoneticKey; sounds maps
+ *   "alliteration", "assonance" and "consonance" to { word, table, key,
+ *   probeLength }
+ */
+function explainQuery(tables, result, suffixLength, lookup) {
+  const lexicon = tables.lexicon || null;
+  const word = lookup.lastWord;
+  const suffix = extractSuffix(word, suffixLength);
+  const phoneticKeys = phoneticKeysFor(word, suffixLength, lexicon);
+  const tailKeys = tables.phraseTable
+    ? phraseTailKeys(lookup.text, lexicon)
+    : [];
+  let spellingTable = null;
+  if (lookup.wordRhymes) {
+    spellingTable = tables.suffixTrie ? "suffixTrie" : "rhymeTable";
+  }
+
+  const rhymes = result.rhymes.map((rhyme, i) => {
+    let table;
+    let keys;
+    if (i < lookup.spellingRhymes) {
+      table = spellingTable;
+      keys =
+        table === "suffixTrie"
+          ? [
+              {
+                key: rhyme.word.toLowerCase().slice(-rhyme.suffixLength),
+                probeLength: null,
+              },
+            ]
+          : probedKeys(tables.rhymeTable, [suffix]);
+    } else if (i < lookup.fallbackFrom) {
+      table = "phraseTable";
+      const candidateKeys = phraseTailKeys(rhyme.word, lexicon);
+      keys = probedKeys(
+        tables.phraseTable,
+        tailKeys.filter((key) => candidateKeys.includes(key)),
+      );
+    } else {
+      table = "phoneticTable";
+      const candidateKeys = phoneticKeysFor(rhyme.word, suffixLength, lexicon);
+      keys = probedKeys(
+        tables.phoneticTable,
+        phoneticKeys.filter((key) => candidateKeys.includes(key)),
+      );
     }
+    return {
+      word: rhyme.word,
+      table,
+      keys,
+      phoneticKey: computePhoneticKey(rhyme.word),
+      score: rhyme.score,
+      breakdown: rhyme.breakdown,
+    };
+  });
+
+  // Two-word rhymes are put together from words filed under their own tails
+  const phrases = result.phrases.map((phrase) => ({
+    phrase: phrase.phrase,
+    table: "phraseTable",
+    keys: probedKeys(
+      tables.phraseTable,
+      phrase.words.flatMap((part) => phraseTailKeys(part, lexicon)),
+    ),
+    score: phrase.score,
+    breakdown: phrase.breakdown,
+  }));
+
+  const firstKeys = soundKeysFor(lookup.firstWord, lexicon);
+  const lastKeys = soundKeysFor(word, lexicon);
+  const sounds = {
+    alliteration: soundLookup(
+      tables,
+      "soundTable",
+      lookup.firstWord,
+      firstKeys.initial,
+    ),
+    assonance: soundLookup(tables, "assonanceTable", word, lastKeys.vowel),
+    consonance: soundLookup(tables, "consonanceTable", word, lastKeys.skeleton),
+  };
+
+  let reason;
+  const found = `${lookup.fallbackFrom} rhyme${lookup.fallbackFrom !== 1 ? "s" : ""} found before the fallback`;
+  if (!lookup.wordRhymes) {
+    reason = `"${word}" is unstressed, so the phrase is rhymed from an earlier word`;
+  } else if (lookup.fallbackFrom < 3) {
+    reason = `${found}, fewer than 3`;
+  } else {
+    reason = `${found}, at least 3`;
   }
 
-  return { rhymes, syllables, alliterations };
+  return {
+    word,
+    suffix,
+    phoneticKey: computePhoneticKey(word),
+    phoneticKeys: probedKeys(tables.phoneticTable, phoneticKeys),
+    spellingTable,
+    fallback: {
+      used: lookup.wordRhymes && lookup.fallbackFrom < 3,
+      reason,
+    },
+    rhymes,
+    phrases,
+    sounds,
+  };
+}
+
+/**
+ * Pairs each key with its probe length in a table (see probeLength).
+ * @param {HashTable} table - The table the keys were looked up in
+ * @param {Array<string>} keys - Keys
+ * @returns {Array<Object>} { key, probeLength } per distinct key
+ */
+function probedKeys(table, keys) {
+  return Array.from(new Set(keys), (key) => ({
+    key,
+    probeLength: probeLength(table, key),
+  }));
+}
+
+/**
+ * Describes the sound table lookup behind one kind of sound match.
+ * @param {Object} tables - Poetry assistant
+ * @param {string} table - Table name: "soundTable", "assonanceTable" or
+ *   "consonanceTable"
+ * @param {string} word - Lowercase word looked up
+ * @param {string} key - Its key in the table ("" when it has none, and
+ *   findSoundMatches looks nothing up)
+ * @returns {Object} { word, table, key, probeLength }
+ */
+function soundLookup(tables, table, word, key) {
+  return {
+    word,
+    table,
+    key,
+    probeLength: key ? probeLength(tables[table], key) : null,
+  };
+}
+
+// Export for Node.js (CommonJS); in the browser these remain globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    query,
+    suffixRhymes,
+    DEFAULT_MEMO_SIZE,
+    queryBatch,
+    streamQueries,
+    streamQueriesFromPath,
+  };
 }
@@ -0,0 +1,28 @@
+/*
+ * main.js
+ * Node.js entry point for the Poetry Assistant (CommonJS)
+ * Re-exports every module so it can be loaded with a single require()
+ */
+
+module.exports = {
+  ...require("./hashTable.js"),
+  ...require("./utils.js"),
+  ...require("./pronunciation.js"),
+  ...require("./frequency.js"),
+  ...require("./semantics.js"),
+  ...require("./syllables.js"),
+  ...require("./allliteration.js"),
+  ...require("./trie.js"),
+  ...require("./scansion.js"),
+  ...require("./rhymeScorer.js"),
+  ...require("./phraseRhymes.js"),
+  ...require("./rhymeScheme.js"),
+  ...require("./formValidator.js"),
+  ...require("./couplet.js"),
+  ...require("./buildAssistant.js"),
+  ...require("./snapshot.js"),
+  ...require("./dictionaries.js"),
+  ...require("./index.js"),
+  ...require("./server.js"),
+  ...require("./workerClient.js"),
+};
@@ -0,0 +1,151 @@
+/*
+ * main.mjs
+ * Node.js entry point for the Poetry Assistant (ES modules)
+ * Wraps the CommonJS build so `import` and `require` share one implementation
+ */
+
+import poetry from "./main.js";
+
+export const {
+  HashTable,
+  COLLISION_STRATEGIES,
+  HASH_FUNCTIONS,
+  DELETED,
+  isPrime,
+  nextPrime,
+  resizeHash,
+  computeHash,
+  computeFnv1aHash,
+  insertHash,
+  searchHash,
+  probeLength,
+  deleteHash,
+  removeSuffix,
+  collisionStats,
+  extractSuffix,
+  countSyllables,
+  computePhoneticKey,
+  isAlphabetic,
+  cacheGet,
+  cacheSet,
+  listLength,
+  parseCmuDict,
+  isVowelPhoneme,
+  rhymingPart,
+  phoneticKeysFor,
+  loadLexiconFromFile,
+  loadLexiconFromPath,
+  COMMON_WORD_LIMIT,
+  FrequencyTable,
+  parseFrequencyList,
+  wordCount,
+  wordFrequency,
+  meetsMinFrequency,
+  loadFrequenciesFromFile,
+  loadFrequenciesFromPath,
+  POS_TAGS,
+  normalizePos,
+  parsePosTags,
+  hasPos,
+  parseWordGraph,
+  relatedWords,
+  loadPosTagsFromFile,
+  loadPosTagsFromPath,
+  loadWordGraphFromFile,
+  loadWordGraphFromPath,
+  stressFromPhonemes,
+  guessStress,
+  syllabify,
+  SOUND_DEVICES,
+  findAlliteration,
+  soundKeysFor,
+  findSoundMatches,
+  Trie,
+  insertTrie,
+  findTrieNode,
+  deleteTrie,
+  countPrefix,
+  searchPrefix,
+  collectWords,
+  onsetCluster,
+  findOnsetAlliteration,
+  reverseWord,
+  findLongestSuffixMatches,
+  trieMemory,
+  METRICAL_FEET,
+  tokenizeLine,
+  wordStress,
+  meterTemplates,
+  scanLine,
+  scanPoem,
+  RHYME_TYPES,
+  RHYME_FACTORS,
+  SCORING_PROFILES,
+  scoreRhyme,
+  resolveProfile,
+  scoreWithProfile,
+  spellingRime,
+  classifyRhyme,
+  findRhymes,
+  phoneticSearch,
+  findRhymesBySuffix,
+  phraseSounds,
+  phraseTailKeys,
+  scorePhraseRhyme,
+  findPhraseRhymes,
+  findTwoWordRhymes,
+  RHYME_SCHEME_FORMS,
+  schemeLabel,
+  parseScheme,
+  rhymeConfidence,
+  detectRhymeScheme,
+  POEM_FORMS,
+  validateForm,
+  COUPLET_WEIGHTS,
+  completeCouplet,
+  buildPoetryAssistant,
+  collectStats,
+  addWord,
+  removeWord,
+  buildPoetryAssistantFromFile,
+  buildPoetryAssistantFromPath,
+  SNAPSHOT_FORMAT,
+  SNAPSHOT_VERSION,
+  checksumText,
+  snapshotParams,
+  createSnapshot,
+  snapshotMismatch,
+  restoreSnapshot,
+  snapshotToJSON,
+  snapshotFromJSON,
+  writeSnapshotToPath,
+  loadSnapshotFromPath,
+  buildPoetryAssistantWithSnapshot,
+  readCachedSnapshot,
+  writeCachedSnapshot,
+  buildPoetryAssistantCached,
+  parseWordList,
+  wordSources,
+  addWordList,
+  blockWords,
+  unblockWord,
+  loadWordListFromFile,
+  loadWordListFromPath,
+  query,
+  suffixRhymes,
+  DEFAULT_MEMO_SIZE,
+  queryBatch,
+  streamQueries,
+  streamQueriesFromPath,
+  MAX_BATCH_REQUESTS,
+  ResponseCache,
+  handleApiRequest,
+  cachedApiRequest,
+  createPoetryServer,
+  PoetryWorker,
+  callWorker,
+  buildInWorker,
+  terminateWorker,
+} = poetry;
+
+export default poetry;
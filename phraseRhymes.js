@@ -0,0 +1,653 @@
+/*
+ * phraseRhymes.js
+ * Rhymes across word boundaries: phrases as input ("show me" -> "homey")
+ * and two-word phrases as output ("orange" -> "door hinge")
+ * Compares sounds from the last stressed syllable of a phrase to its end
+ */
+
+// Node.js: load dependencies (in the browser they are globals from earlier <script> tags)
+if (typeof module !== "undefined" && module.exports) {
+  var { computePhoneticKey } = require("./utils.js");
+  var { searchHash } = require("./hashTable.js");
+  var { wordFrequency, meetsMinFrequency } = require("./frequency.js");
+  var { hasPos } = require("./semantics.js");
+  var { tokenizeLine, wordStress } = require("./scansion.js");
+}
+
+/** ARPAbet vowels, tried in turn where a reduced vowel may be any vowel. */
+const ARPABET_VOWELS = [
+  "AA",
+  "AE",
+  "AH",
+  "AO",
+  "AW",
+  "AY",
+  "EH",
+  "ER",
+  "EY",
+  "IH",
+  "IY",
+  "OW",
+  "OY",
+  "UH",
+  "UW",
+];
+
+/** Words tried for each half of a two-word rhyme (see findTwoWordRhymes). */
+const PHRASE_PART_LIMIT = 20;
+
+/**
+ * Spoken form of a word without a lexicon: computePhoneticKey with its
+ * spelling patterns turned back into sounds and each vowel group written as
+ * its first vowel letter. A silent final "e" is dropped ("hinge" -> "hing"),
+ * a "y" that is not followed by a vowel is an "i" ("happy" -> "hapi") and
+ * "w"/"y" glides after a vowel merge into it ("show" -> "sho").
+ * @param {string} word - Lowercase word
+ * @param {number} syllables - Syllable count of the word (see syllabify)
+ * @returns {string} One character per sound; vowels are a, e, i, o or u
+ */
+function spokenKey(word, syllables) {
+  // A silent final 'e' adds a vowel group but no syllable
+  if (
+    word.length > 2 &&
+    word.endsWith("e") &&
+    (word.match(/[aeiouy]+/g) || []).length > syllables
+  ) {
+    word = word.slice(0, -1);
+  }
+
+  // The vowel groups left after computePhoneticKey's spelling patterns,
+  // one for each "V" in the key
+  const groups =
+    word
+      .replaceAll("ough", "O")
+      .replaceAll("augh", "AF")
+      .replaceAll("tion", "SHUN")
+      .replaceAll("sion", "ZHUN")
+      .replaceAll("gh", "")
+      .match(/[aeiou]+/g) || [];
+  let group = 0;
+
+  return computePhoneticKey(word)
+    .replace(/V/g, () => groups[group++][0])
+    .replace(/[A-Z]/g, (c) => c.toLowerCase())
+    .replace(/([aeiou])[wy](?![aeiouy])/g, "$1")
+    .replace(/y(?![aeiou])/g, "i")
+    .replace(/([aeiou])[aeiou]+/g, "$1")
+    .replace(/([^aeiou])\1+/g, "$1");
+}
+
+/**
+ * Sound units of one word, with the stress of each vowel (see phraseSounds).
+ * @param {string} word - Lowercase word
+ * @param {Map|null} lexicon - Lexicon that knows the word, or null for spokenKey
+ * @returns {Object} { units, stress }
+ */
+function wordUnits(word, lexicon) {
+  const pattern = wordStress(word, lexicon).stress;
+  const units = lexicon
+    ? lexicon.get(word)[0].map((phoneme) => phoneme.replace(/[012]$/, ""))
+    : spokenKey(word, pattern.length).split("");
+  const isVowel = lexicon
+    ? (unit) => ARPABET_VOWELS.includes(unit)
+    : (unit) => "aeiou".includes(unit);
+
+  // Vowels take the word's stress pattern, aligned from the last syllable
+  const stress = new Array(units.length).fill("");
+  let syllable = pattern.length;
+  for (let i = units.length - 1; i >= 0; i--) {
+    if (isVowel(units[i])) {
+      syllable--;
+      stress[i] = syllable >= 0 ? pattern[syllable] : "0";
+    }
+  }
+  return { units, stress };
+}
+
+/**
+ * Breaks a phrase into sound units with the stress of each vowel.
+ * With a lexicon that knows every word, units are ARPAbet phonemes without
+ * stress digits ("door hinge" -> D AO R HH IH N JH); otherwise they are the
+ * characters of spokenKey ("dorhing"). Vowels take the scansion stress of
+ * their word (see wordStress), so monosyllabic function words are unstressed.
+ * A consonant shared across a word boundary is heard once ("door range").
+ *
+ * The rhyme tail starts at the last primary-stressed vowel (else the last
+ * secondary-stressed vowel, else the last vowel), so it can span several
+ * words: "show me" rhymes from the "o" of "show" on.
+ *
+ * Time Complexity: O(n) where n = length of the phrase
+ *
+ * @param {string} text - Word or phrase
+ * @param {Map|null} [lexicon] - Pronunciation lexicon (see parseCmuDict)
+ * @param {Map} [cache] - Remembers each word's units between calls
+ * @returns {Object} { words, units, stress, lexical, tailStart } where
+ *   stress[i] is "0", "1" or "2" for vowels and "" for consonants
+ */
+function phraseSounds(text, lexicon = null, cache = null) {
+  const words = tokenizeLine(text);
+  const lexical =
+    lexicon !== null &&
+    words.length > 0 &&
+    words.every((word) => lexicon.has(word));
+
+  const units = [];
+  const stress = [];
+  for (let w = 0; w < words.length; w++) {
+    const cacheKey = lexical ? `/${words[w]}` : words[w];
+    let sounds = cache ? cache.get(cacheKey) : undefined;
+    if (sounds === undefined) {
+      sounds = wordUnits(words[w], lexical ? lexicon : null);
+      if (cache) {
+        cache.set(cacheKey, sounds);
+      }
+    }
+
+    // A consonant ending one word and starting the next is heard once
+    const first =
+      units.length > 0 &&
+      sounds.units.length > 0 &&
+      sounds.stress[0] === "" &&
+      units[units.length - 1] === sounds.units[0]
+        ? 1
+        : 0;
+    for (let i = first; i < sounds.units.length; i++) {
+      units.push(sounds.units[i]);
+      stress.push(sounds.stress[i]);
+    }
+  }
+
+  let tailStart = -1;
+  for (const level of ["1", "2", "0"]) {
+    tailStart = stress.lastIndexOf(level);
+    if (tailStart !== -1) {
+      break;
+    }
+  }
+
+  return { words, units, stress, lexical, tailStart: Math.max(0, tailStart) };
+}
+
+/**
+ * Hash table key for a run of sound units. Unstressed vowels are written
+ * "V", since they are usually reduced to a schwa whatever their spelling.
+ * Phoneme keys are wrapped in slashes, as in the phonetic table, so they
+ * never collide with spoken keys.
+ * @param {Array<string>} units - Sound units (see phraseSounds)
+ * @param {Array<string>} stress - Stress of each unit
+ * @param {boolean} lexical - Whether the units are phonemes
+ * @returns {string} The key
+ */
+function unitsKey(units, stress, lexical) {
+  const written = units.map((unit, i) => (stress[i] === "0" ? "V" : unit));
+  return lexical ? `/${written.join(" ")}/` : written.join("");
+}
+
+/**
+ * Returns the phrase table keys for a word or phrase: its rhyme tail as
+ * spoken-key sounds, plus as phonemes when the lexicon knows every word.
+ * buildPoetryAssistant files every word list entry under these keys.
+ * @param {string} text - Word or phrase
+ * @param {Map|null} [lexicon] - Pronunciation lexicon (see parseCmuDict)
+ * @returns {Array<string>} Distinct non-empty keys
+ */
+function phraseTailKeys(text, lexicon = null) {
+  const keys = [];
+  const modes = [phraseSounds(text, null)];
+  if (lexicon) {
+    modes.push(phraseSounds(text, lexicon));
+  }
+  for (let m = 0; m < modes.length; m++) {
+    const { units, stress, lexical, tailStart } = modes[m];
+    const key = unitsKey(
+      units.slice(tailStart),
+      stress.slice(tailStart),
+      lexical,
+    );
+    if (units.length > 0 && (lexical || m === 0) && !keys.includes(key)) {
+      keys.push(key);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Whether two sound units match. An unstressed vowel matches any vowel (see
+ * unitsKey).
+ * @param {Object} sounds1 - First phraseSounds result
+ * @param {number} i - Unit index in sounds1
+ * @param {Object} sounds2 - Second phraseSounds result
+ * @param {number} j - Unit index in sounds2
+ * @returns {boolean} True if the units sound alike
+ */
+function unitsMatch(sounds1, i, sounds2, j) {
+  if (sounds1.units[i] === sounds2.units[j]) {
+    return true;
+  }
+  return (
+    sounds1.stress[i] !== "" &&
+    sounds2.stress[j] !== "" &&
+    (sounds1.stress[i] === "0" || sounds2.stress[j] === "0")
+  );
+}
+
+/**
+ * Scores a phrase rhyme the way scoreRhyme scores words, over sounds
+ * instead of letters. Maximum possible score is 100 points:
+ * - Up to 60 points for the share of the input's rhyme tail that the
+ *   candidate ends with
+ * - 20 points if the first letters differ (avoids alliteration)
+ * - Up to 20 points for a similar number of syllables
+ * @param {Object} input - phraseSounds of the input
+ * @param {Object} candidate - phraseSounds of the candidate, in the same units
+ * @param {string} inputText - The input, words separated by single spaces
+ * @param {string} candidateText - The candidate, likewise
+ * @returns {Object} { score, breakdown, shared } where breakdown has the same
+ *   { weight, value, points } entries as scoreWithProfile and shared is the
+ *   number of tail units matched
+ */
+function scorePhraseRhyme(input, candidate, inputText, candidateText) {
+  const tail = input.units.length - input.tailStart;
+  let shared = 0;
+  if (inputText !== candidateText) {
+    while (
+      shared < tail &&
+      shared < candidate.units.length &&
+      unitsMatch(
+        input,
+        input.units.length - 1 - shared,
+        candidate,
+        candidate.units.length - 1 - shared,
+      )
+    ) {
+      shared++;
+    }
+  }
+
+  const vowels = (sounds) => sounds.stress.filter((s) => s !== "").length;
+  const syllableDiff = Math.abs(vowels(input) - vowels(candidate));
+  const values = {
+    ending: tail > 0 ? shared / tail : 0,
+    alliteration: inputText[0] !== candidateText[0] ? 1 : 0,
+    syllables:
+      syllableDiff === 0
+        ? 1
+        : syllableDiff === 1
+          ? 0.75
+          : syllableDiff === 2
+            ? 0.5
+            : syllableDiff <= 4
+              ? 0.25
+              : 0,
+  };
+  const weights = { ending: 60, alliteration: 20, syllables: 20 };
+
+  // Nothing of the tail in common is not a rhyme
+  const breakdown = {};
+  let score = 0;
+  for (const name of Object.keys(weights)) {
+    const points = shared > 0 ? values[name] * weights[name] : 0;
+    breakdown[name] = {
+      weight: weights[name],
+      value: Number(values[name].toFixed(2)),
+      points: Number(points.toFixed(1)),
+    };
+    score += points;
+  }
+  return { score: Math.round(score), breakdown, shared };
+}
+
+/**
+ * Rhyme type of a phrase rhyme (see RHYME_TYPES): the whole tail matched is
+ * perfect, or multisyllabic over two or more vowels, or identical when the
+ * sound before the tail matches too; a partial match is slant.
+ * @param {Object} input - phraseSounds of the input
+ * @param {Object} candidate - phraseSounds of the candidate
+ * @param {number} shared - Tail units matched (see scorePhraseRhyme)
+ * @returns {string} The rhyme type
+ */
+function phraseRhymeType(input, candidate, shared) {
+  const tail = input.units.length - input.tailStart;
+  if (shared < tail) {
+    return "slant";
+  }
+  const onset1 = input.units[input.tailStart - 1];
+  const onset2 = candidate.units[candidate.units.length - 1 - tail];
+  if (onset1 === onset2) {
+    return "identical";
+  }
+  const tailVowels = input.stress
+    .slice(input.tailStart)
+    .filter((s) => s !== "").length;
+  return tailVowels >= 2 ? "multisyllabic" : "perfect";
+}
+
+/**
+ * Whether a word list entry passes the frequency and part-of-speech
+ * filters. Every word must be frequent enough; the last word, which
+ * carries the rhyme, must have the part of speech.
+ * @param {string} entry - Word or phrase
+ * @param {Object} options - { frequencies, minFrequency, posTags, pos }
+ * @returns {boolean} True if the entry passes
+ */
+function entryPasses(entry, options) {
+  const words = entry.split(" ");
+  return (
+    words.every((word) =>
+      meetsMinFrequency(
+        options.frequencies || null,
+        word,
+        options.minFrequency,
+      ),
+    ) && hasPos(options.posTags || null, words[words.length - 1], options.pos)
+  );
+}
+
+/**
+ * Relative frequency of an entry: that of its rarest word.
+ * @param {FrequencyTable|null} frequencies - Word frequencies
+ * @param {string} entry - Word or phrase
+ * @returns {number} Relative frequency between 0 and 1 (0 without data)
+ */
+function entryFrequency(frequencies, entry) {
+  if (!frequencies) {
+    return 0;
+  }
+  return Math.min(
+    ...entry.split(" ").map((word) => wordFrequency(frequencies, word)),
+  );
+}
+
+/**
+ * Finds rhymes for a word or phrase among the word list entries whose rhyme
+ * tail sounds the same, across word boundaries: "show me" finds "homey",
+ * and multi-word entries in the word list can be found too. The input and
+ * its own words are left out.
+ *
+ * Time Complexity: O(k · n) + O(k log k) where k = candidates, n = phrase length
+ *
+ * @param {Object} tables - Poetry assistant from buildPoetryAssistant (needs phraseTable)
+ * @param {string} phrase - Word or phrase to rhyme
+ * @param {number} maxResults - Maximum number of results to return
+ * @param {Object} [options] - Optional settings
+ * @param {Array<string>} [options.types] - Only return these RHYME_TYPES (default: all)
+ * @param {Map|null} [options.lexicon] - Pronunciation lexicon, for phoneme tails
+ * @param {FrequencyTable|null} [options.frequencies] - Word frequencies, to rank
+ *   common words first on ties
+ * @param {number|string} [options.minFrequency] - Leave out entries with a word rarer
+ *   than this (see meetsMinFrequency)
+ * @param {Map|null} [options.posTags] - Part-of-speech tags (see parsePosTags)
+ * @param {string|Array<string>} [options.pos] - Only entries whose last word has this tag
+ * @returns {Array<Object>} Rhymes as { word, score, type, breakdown }, best first
+ */
+function findPhraseRhymes(tables, phrase, maxResults, options = {}) {
+  const text = tokenizeLine(phrase).join(" ");
+  const lexicon = options.lexicon || null;
+  const types = options.types || null;
+
+  // Phoneme tails first, when the lexicon knows the whole phrase
+  const modes = [phraseSounds(text, null)];
+  if (lexicon) {
+    const lexicalSounds = phraseSounds(text, lexicon);
+    if (lexicalSounds.lexical) {
+      modes.unshift(lexicalSounds);
+    }
+  }
+
+  const found = new Map();
+  const cache = new Map();
+  for (let m = 0; m < modes.length; m++) {
+    const input = modes[m];
+    if (input.units.length === 0) {
+      continue;
+    }
+    const candidates = searchHash(
+      tables.phraseTable,
+      unitsKey(
+        input.units.slice(input.tailStart),
+        input.stress.slice(input.tailStart),
+        input.lexical,
+      ),
+    );
+    for (let i = 0; i < candidates.length; i++) {
+      const candidate = candidates[i];
+      if (
+        candidate === text ||
+        input.words.includes(candidate) ||
+        found.has(candidate) ||
+        !entryPasses(candidate, options)
+      ) {
+        continue;
+      }
+      const sounds = phraseSounds(
+        candidate,
+        input.lexical ? lexicon : null,
+        cache,
+      );
+      const { score, breakdown, shared } = scorePhraseRhyme(
+        input,
+        sounds,
+        text,
+        candidate,
+      );
+      const type = phraseRhymeType(input, sounds, shared);
+      if (score > 0 && (types === null || types.includes(type))) {
+        found.set(candidate, { word: candidate, score, type, breakdown });
+      }
+    }
+  }
+
+  const frequencies = options.frequencies || null;
+  return Array.from(found.values())
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        entryFrequency(frequencies, b.word) -
+          entryFrequency(frequencies, a.word),
+    )
+    .slice(0, maxResults);
+}
+
+/**
+ * Single words whose rhyme tail has one of the given keys, best first:
+ * common words, then short words, with words starting the tail with the
+ * wanted onset moved ahead among the leading few. At most PHRASE_PART_LIMIT
+ * are kept.
+ * @param {HashTable} phraseTable - Table from buildPoetryAssistant
+ * @param {Array<string>} keys - Tail keys to look up
+ * @param {Object} options - Filters (see entryPasses) and { lexicon }
+ * @param {Set<string>} exclude - Words not to use (those of the input)
+ * @param {Map} cache - Word units cache (see phraseSounds)
+ * @param {Array<string>} [onset=[]] - Sound units wanted just before the tail
+ * @returns {Array<string>} The words
+ */
+function phraseParts(phraseTable, keys, options, exclude, cache, onset = []) {
+  const lexicon = options.lexicon || null;
+  const frequencies = options.frequencies || null;
+  const parts = [];
+  for (let k = 0; k < keys.length; k++) {
+    const words = searchHash(phraseTable, keys[k]);
+    for (let i = 0; i < words.length; i++) {
+      if (
+        !words[i].includes(" ") &&
+        !exclude.has(words[i]) &&
+        !parts.includes(words[i]) &&
+        entryPasses(words[i], options)
+      ) {
+        parts.push(words[i]);
+      }
+    }
+  }
+
+  parts.sort(
+    (a, b) =>
+      entryFrequency(frequencies, b) - entryFrequency(frequencies, a) ||
+      a.length - b.length ||
+      (a < b ? -1 : a > b ? 1 : 0),
+  );
+  if (onset.length === 0) {
+    return parts.slice(0, PHRASE_PART_LIMIT);
+  }
+
+  // Only the leading words are sounded out, to keep common tails ("-ing") cheap
+  const leading = parts.slice(0, PHRASE_PART_LIMIT * 10);
+  const onsetMatches = new Set();
+  for (let i = 0; i < leading.length; i++) {
+    const { units, tailStart } = phraseSounds(leading[i], lexicon, cache);
+    const before = units.slice(0, tailStart);
+    if (
+      before.length >= onset.length &&
+      before.slice(before.length - onset.length).join(" ") === onset.join(" ")
+    ) {
+      onsetMatches.add(leading[i]);
+    }
+  }
+  return leading
+    .filter((word) => onsetMatches.has(word))
+    .concat(leading.filter((word) => !onsetMatches.has(word)))
+    .slice(0, PHRASE_PART_LIMIT);
+}
+
+/**
+ * Finds two-word phrases that rhyme with a word or phrase: the rhyme tail is
+ * split in two, the first word must end with the first part (from its
+ * stressed vowel on) and the second word must sound like the rest, with any
+ * onset ("orange" -> "door hinge", "door range"). An unstressed vowel of the
+ * rest may be any vowel in the second word, which stresses it.
+ * Needs the lexicon to know every word of the input: spoken keys write a
+ * vowel group as its first letter, so without pronunciations the split
+ * tails only match consonant skeletons ("nation" -> "chaui shine").
+ * Candidates are ranked by scorePhraseRhyme against the input, preferring
+ * pairs that do not repeat a word already listed.
+ *
+ * Time Complexity: O(t · (c + p² · n)) where t = tail length, c = candidates per
+ * part, p = PHRASE_PART_LIMIT, n = phrase length
+ *
+ * @param {Object} tables - Poetry assistant from buildPoetryAssistant (needs phraseTable)
+ * @param {string} input - Word or phrase to rhyme
+ * @param {number} maxResults - Maximum number of results to return
+ * @param {Object} [options] - Optional settings, as for findPhraseRhymes
+ * @returns {Array<Object>} Phrases as { phrase, words, score, type, breakdown },
+ *   best first; empty without lexicon pronunciations for the input
+ */
+function findTwoWordRhymes(tables, input, maxResults, options = {}) {
+  const text = tokenizeLine(input).join(" ");
+  const lexicon = options.lexicon || null;
+  const types = options.types || null;
+  const sounds = lexicon ? phraseSounds(text, lexicon) : null;
+  if (sounds === null || !sounds.lexical) {
+    return [];
+  }
+  const partOptions = { ...options, lexicon };
+  const exclude = new Set(sounds.words);
+  const cache = new Map();
+
+  const tail = sounds.units.slice(sounds.tailStart);
+  const tailStress = sounds.stress.slice(sounds.tailStart);
+  const found = new Map();
+
+  for (let split = 1; split < tail.length; split++) {
+    // The second word needs a vowel of its own
+    let vowel = split;
+    while (vowel < tail.length && tailStress[vowel] === "") {
+      vowel++;
+    }
+    if (vowel === tail.length) {
+      break;
+    }
+
+    const firstWords = phraseParts(
+      tables.phraseTable,
+      [
+        unitsKey(
+          tail.slice(0, split),
+          tailStress.slice(0, split),
+          sounds.lexical,
+        ),
+      ],
+      partOptions,
+      exclude,
+      cache,
+    );
+    if (firstWords.length === 0) {
+      continue;
+    }
+
+    // An unstressed vowel is usually a schwa, so any vowel can stand in
+    const rest = tail.slice(vowel + 1);
+    const restStress = ["1", ...tailStress.slice(vowel + 1)];
+    const vowels = tailStress[vowel] === "0" ? ARPABET_VOWELS : [tail[vowel]];
+    const secondWords = phraseParts(
+      tables.phraseTable,
+      vowels.map((v) => unitsKey([v, ...rest], restStress, sounds.lexical)),
+      partOptions,
+      exclude,
+      cache,
+      tail.slice(split, vowel),
+    );
+
+    for (let a = 0; a < firstWords.length; a++) {
+      for (let b = 0; b < secondWords.length; b++) {
+        const phrase = `${firstWords[a]} ${secondWords[b]}`;
+        if (firstWords[a] === secondWords[b] || found.has(phrase)) {
+          continue;
+        }
+        const candidate = phraseSounds(phrase, lexicon, cache);
+        const { score, breakdown, shared } = scorePhraseRhyme(
+          sounds,
+          candidate,
+          text,
+          phrase,
+        );
+        const type = phraseRhymeType(sounds, candidate, shared);
+        if (score > 0 && (types === null || types.includes(type))) {
+          found.set(phrase, {
+            phrase,
+            words: [firstWords[a], secondWords[b]],
+            score,
+            type,
+            breakdown,
+          });
+        }
+      }
+    }
+  }
+
+  const frequencies = options.frequencies || null;
+  const ranked = Array.from(found.values()).sort(
+    (a, b) =>
+      b.score - a.score ||
+      entryFrequency(frequencies, b.phrase) -
+        entryFrequency(frequencies, a.phrase) ||
+      a.phrase.length - b.phrase.length,
+  );
+
+  // Vary the results: a word is reused only once the fresh pairs run out
+  const results = [];
+  const used = new Set();
+  for (let i = 0; i < ranked.length && results.length < maxResults; i++) {
+    const [first, second] = ranked[i].words;
+    if (!used.has(first) && !used.has(second)) {
+      results.push(ranked[i]);
+      used.add(first);
+      used.add(second);
+    }
+  }
+  for (let i = 0; i < ranked.length && results.length < maxResults; i++) {
+    if (!results.includes(ranked[i])) {
+      results.push(ranked[i]);
+    }
+  }
+  return results.sort((a, b) => ranked.indexOf(a) - ranked.indexOf(b));
+}
+
+// Export for Node.js (CommonJS); in the browser these remain globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    phraseSounds,
+    phraseTailKeys,
+    scorePhraseRhyme,
+    findPhraseRhymes,
+    findTwoWordRhymes,
+  };
+}
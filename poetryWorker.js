@@ -0,0 +1,198 @@
+/*
+ * poetryWorker.js
+ * Web Worker that builds the Poetry Assistant and answers its queries off
+ * the main thread, so the page stays responsive while 224k words are indexed
+ * Started and driven by PoetryWorker (see workerClient.js)
+ */
+
+importScripts(
+  "hashTable.js",
+  "utils.js",
+  "pronunciation.js",
+  "frequency.js",
+  "semantics.js",
+  "syllables.js",
+  "allliteration.js",
+  "trie.js",
+  "scansion.js",
+  "rhymeScorer.js",
+  "phraseRhymes.js",
+  "rhymeScheme.js",
+  "formValidator.js",
+  "couplet.js",
+  "buildAssistant.js",
+  "snapshot.js",
+  "dictionaries.js",
+  "index.js",
+);
+
+/** The built poetry assistant, once a "build" request has finished. */
+let tables = null;
+let suffixLength = 3;
+
+/**
+ * Requests waiting to run, in arrival order. They run one at a time, each
+ * in its own task, so "cancel" messages that arrive meanwhile are handled
+ * first and cancelled requests are dropped before they start.
+ */
+const pending = [];
+let running = false;
+
+/**
+ * Operations the main thread can call once the assistant is built. Each
+ * takes the same arguments as the library function, without the tables
+ * and suffix length; addWordList takes the list's text. The operations that
+ * change the dictionary also return the updated stats.
+ */
+const WORKER_OPERATIONS = {
+  query: (word, options) => query(tables, word, suffixLength, options),
+  searchPrefix: (prefix, limit) =>
+    searchPrefix(tables.prefixTrie, prefix, limit),
+  scanPoem: (text) => scanPoem(text, tables.lexicon),
+  detectRhymeScheme: (text) => detectRhymeScheme(text, tables),
+  validateForm: (text, form) => validateForm(text, form, tables),
+  completeCouplet: (firstLine, partialLine, options) =>
+    completeCouplet(tables, firstLine, partialLine, suffixLength, options),
+  addWordList: (text, label) => ({
+    list: addWordList(tables, parseWordList(text), label, suffixLength),
+    stats: tables.stats,
+  }),
+  blockWords: (words) => ({
+    blocked: blockWords(tables, words, suffixLength),
+    stats: tables.stats,
+  }),
+  unblockWord: (word) => ({
+    unblocked: unblockWord(tables, word, suffixLength),
+    stats: tables.stats,
+  }),
+};
+
+/**
+ * Loads one optional data file, noting in the console when it is missing
+ * or broken; the assistant then works without it.
+ * @param {Function} load - Loader taking the URL, e.g. loadLexiconFromFile
+ * @param {string} [url] - URL of the file, if the page asked for it
+ * @param {string} description - What the file holds, for the console
+ * @returns {Promise<*>} The loaded data, or null
+ */
+async function loadOptionalFile(load, url, description) {
+  if (!url) {
+    return null;
+  }
+  try {
+    const data = await load(url);
+    if (!data) {
+      console.log(`No ${description} at ${url}`);
+    }
+    return data;
+  } catch (error) {
+    console.log(`Could not load ${description}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Loads the optional data files and builds (or restores) the assistant,
+ * posting build progress for the request as it goes.
+ * @param {number} id - Request id
+ * @param {string} wordlistUrl - URL of the word list
+ * @param {number} length - Suffix length to build with
+ * @param {Object} [files] - URLs of the optional { lexicon, frequencies, posTags, wordGraph } files
+ * @returns {Promise<Object>} { stats, source, lexicon, frequencies, posTags,
+ *   wordGraph } where the last four say which optional data was loaded
+ */
+async function buildAssistant(id, wordlistUrl, length, files = {}) {
+  const lexicon = await loadOptionalFile(
+    loadLexiconFromFile,
+    files.lexicon,
+    "pronunciation lexicon",
+  );
+  const frequencies = await loadOptionalFile(
+    loadFrequenciesFromFile,
+    files.frequencies,
+    "word frequencies",
+  );
+  const posTags = await loadOptionalFile(
+    loadPosTagsFromFile,
+    files.posTags,
+    "part-of-speech tags",
+  );
+  const wordGraph = await loadOptionalFile(
+    loadWordGraphFromFile,
+    files.wordGraph,
+    "related-word graph",
+  );
+
+  tables = await buildPoetryAssistantCached(wordlistUrl, length, {
+    lexicon,
+    frequencies,
+    posTags,
+    wordGraph,
+    onProgress: (fraction) => self.postMessage({ id, progress: fraction }),
+  });
+  if (!tables) {
+    throw new Error(`Could not load word list ${wordlistUrl}`);
+  }
+  suffixLength = length;
+
+  return {
+    stats: tables.stats,
+    source: tables.source,
+    lexicon: tables.lexicon !== null,
+    frequencies: tables.frequencies !== null,
+    posTags: tables.posTags !== null,
+    wordGraph: tables.wordGraph !== null,
+  };
+}
+
+/**
+ * Runs one request and posts its result (or error) back.
+ * @param {Object} message - { id, type, args }
+ * @returns {Promise<void>} Resolves once the reply is posted
+ */
+async function runRequest(message) {
+  const { id, type, args } = message;
+  try {
+    let result;
+    if (type === "build") {
+      result = await buildAssistant(id, ...args);
+    } else if (!Object.prototype.hasOwnProperty.call(WORKER_OPERATIONS, type)) {
+      throw new Error(`Unknown worker operation: ${type}`);
+    } else if (!tables) {
+      throw new Error("Poetry assistant is not built yet");
+    } else {
+      result = WORKER_OPERATIONS[type](...args);
+    }
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+}
+
+/**
+ * Runs the pending requests one per task until the queue is empty.
+ */
+async function drainPending() {
+  if (running || pending.length === 0) {
+    return;
+  }
+  running = true;
+  await runRequest(pending.shift());
+  running = false;
+  // Yield so queued "cancel" messages are handled before the next request
+  setTimeout(drainPending, 0);
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+  if (message.type === "cancel") {
+    // A request already running finishes; the client ignores its reply
+    const index = pending.findIndex((request) => request.id === message.id);
+    if (index !== -1) {
+      pending.splice(index, 1);
+    }
+    return;
+  }
+  pending.push(message);
+  setTimeout(drainPending, 0);
+};
@@ -0,0 +1,183 @@
+/*
+ * pronunciation.js
+ * Optional pronunciation lexicon backend (CMU Pronouncing Dictionary format)
+ * Keys the phonetic table on true rhymes: the last stressed vowel onward
+ */
+
+// Node.js: load dependencies (in the browser they are globals from earlier <script> tags)
+if (typeof module !== "undefined" && module.exports) {
+  var {
+    extractSuffix,
+    computePhoneticKey,
+    isAlphabetic,
+  } = require("./utils.js");
+}
+
+/**
+ * Parses a pronunciation lexicon in CMUdict format into a lookup map.
+ * Accepted line format (both the classic and the newer cmudict.dict layout):
+ *   WORD  W ER1 D
+ *   word(2) w er0 d   # optional comment
+ * Lines starting with ";;;" are comments. Alternate pronunciations ("(2)")
+ * are collected under the same word. Entries that are not purely alphabetic
+ * (e.g. "a.m.", "abbott's") are skipped since the word list never contains them.
+ *
+ * Time Complexity: Θ(n) where n = length of the lexicon text
+ *
+ * @param {string} lexiconText - The complete text of the lexicon file
+ * @returns {Map<string, Array<Array<string>>>} Lowercase word -> list of pronunciations,
+ *   each an array of ARPAbet phonemes with stress digits (e.g. ["K", "AE1", "T"])
+ */
+function parseCmuDict(lexiconText) {
+  const lexicon = new Map();
+  const lines = lexiconText.split("\n");
+
+  for (let i = 0; i < lines.length; i++) {
+    let line = lines[i];
+
+    // Skip comment lines and strip trailing comments
+    if (line.startsWith(";;;")) {
+      continue;
+    }
+    const commentStart = line.indexOf("#");
+    if (commentStart !== -1) {
+      line = line.slice(0, commentStart);
+    }
+
+    const tokens = line.trim().split(/\s+/);
+    if (tokens.length < 2) {
+      continue;
+    }
+
+    // Drop the variant marker: "word(2)" -> "word"
+    const word = tokens[0].replace(/\(\d+\)$/, "").toLowerCase();
+    if (!isAlphabetic(word)) {
+      continue;
+    }
+
+    const phonemes = tokens.slice(1).map((phoneme) => phoneme.toUpperCase());
+    if (!lexicon.has(word)) {
+      lexicon.set(word, []);
+    }
+    lexicon.get(word).push(phonemes);
+  }
+
+  return lexicon;
+}
+
+/**
+ * Checks whether an ARPAbet phoneme is a vowel (vowels carry a stress digit).
+ * @param {string} phoneme - ARPAbet phoneme, e.g. "AE1" or "T"
+ * @returns {boolean} True if the phoneme is a vowel
+ */
+function isVowelPhoneme(phoneme) {
+  return /[012]$/.test(phoneme);
+}
+
+/**
+ * Extracts the rhyming part of a pronunciation: the last primary-stressed
+ * vowel and every phoneme after it. Falls back to the last secondary-stressed
+ * vowel, then the last vowel, for words without primary stress.
+ * Stress digits are removed so keys compare phonemes only.
+ *
+ * Examples: K AE1 T -> "AE T", N EY1 SH AH0 N -> "EY SH AH N"
+ *
+ * @param {Array<string>} phonemes - ARPAbet phonemes with stress digits
+ * @returns {string} Space-separated rhyming phonemes (empty if no vowel)
+ */
+function rhymingPart(phonemes) {
+  let start = -1;
+  for (const stress of ["1", "2", ""]) {
+    for (let i = phonemes.length - 1; i >= 0; i--) {
+      if (isVowelPhoneme(phonemes[i]) && phonemes[i].endsWith(stress)) {
+        start = i;
+        break;
+      }
+    }
+    if (start !== -1) {
+      break;
+    }
+  }
+
+  if (start === -1) {
+    return "";
+  }
+  return phonemes
+    .slice(start)
+    .map((phoneme) => phoneme.replace(/[012]$/, ""))
+    .join(" ");
+}
+
+/**
+ * Returns the phonetic table keys for a word. Words found in the lexicon are
+ * keyed on the rhyming part of each pronunciation, wrapped in slashes
+ * ("/AE T/") so they can never collide with heuristic keys. Other words fall
+ * back to the suffix of computePhoneticKey.
+ *
+ * @param {string} word - The word to key
+ * @param {number} suffixLength - Suffix length for the heuristic fallback
+ * @param {Map|null} [lexicon] - Lexicon from parseCmuDict, if loaded
+ * @returns {Array<string>} Distinct phonetic keys for the word
+ */
+function phoneticKeysFor(word, suffixLength, lexicon) {
+  const pronunciations = lexicon ? lexicon.get(word.toLowerCase()) : undefined;
+
+  if (pronunciations) {
+    const keys = [];
+    for (let i = 0; i < pronunciations.length; i++) {
+      const rhyme = rhymingPart(pronunciations[i]);
+      const key = `/${rhyme}/`;
+      if (rhyme && !keys.includes(key)) {
+        keys.push(key);
+      }
+    }
+    if (keys.length > 0) {
+      return keys;
+    }
+  }
+
+  // Not in the lexicon - use the spelling heuristic
+  return [extractSuffix(computePhoneticKey(word), suffixLength)];
+}
+
+/**
+ * Helper function to load a lexicon from a file URL (for use in browser).
+ * The lexicon is optional, so a missing file gives null; the caller decides
+ * whether to mention it.
+ *
+ * @param {string} lexiconUrl - URL or path to the CMUdict-format file
+ * @returns {Promise<Map|null>} Promise that resolves to the lexicon, or null if
+ *   there is no file at the URL
+ * @throws {TypeError} If the file cannot be fetched
+ */
+async function loadLexiconFromFile(lexiconUrl) {
+  const response = await fetch(lexiconUrl);
+  if (!response.ok) {
+    return null;
+  }
+  return parseCmuDict(await response.text());
+}
+
+/**
+ * Helper function to load a lexicon from disk (for use in Node.js).
+ *
+ * @param {string} lexiconPath - Filesystem path to the CMUdict-format file
+ * @returns {Promise<Map>} Promise that resolves to the lexicon
+ */
+async function loadLexiconFromPath(lexiconPath) {
+  // Required lazily so this file still loads as a browser <script>
+  const fs = require("fs");
+  return parseCmuDict(await fs.promises.readFile(lexiconPath, "utf8"));
+}
+
+// Export for Node.js (CommonJS); in the browser these remain globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    parseCmuDict,
+    isVowelPhoneme,
+    rhymingPart,
+    phoneticKeysFor,
+    loadLexiconFromFile,
+    loadLexiconFromPath,
+  };
+}
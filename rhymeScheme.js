@@ -0,0 +1,254 @@
+/*
+ * rhymeScheme.js
+ * Rhyme-scheme detection for whole poems
+ * Groups lines by their rhyming last words and recognises named forms
+ */
+
+// Node.js: load dependencies (in the browser they are globals from earlier <script> tags)
+if (typeof module !== "undefined" && module.exports) {
+  var { extractSuffix } = require("./utils.js");
+  var { phoneticKeysFor } = require("./pronunciation.js");
+  var { tokenizeLine } = require("./scansion.js");
+  var { scoreRhyme, spellingRime, classifyRhyme } = require("./rhymeScorer.js");
+}
+
+/**
+ * Returns the scheme label for the n-th rhyme group (0-based):
+ * A-Z, then A2-Z2, A3-Z3 and so on for very long poems.
+ * @param {number} n - Group index
+ * @returns {string} Label
+ */
+function schemeLabel(n) {
+  const letter = String.fromCharCode(65 + (n % 26));
+  const round = Math.floor(n / 26);
+  return round === 0 ? letter : letter + (round + 1);
+}
+
+/**
+ * Splits a scheme string into its labels, dropping stanza spaces.
+ * Example: "ABAB CDCD" -> ["A", "B", "A", "B", "C", "D", "C", "D"]
+ * @param {string} scheme - Scheme written with schemeLabel labels
+ * @returns {Array<string>} Labels in order
+ */
+function parseScheme(scheme) {
+  return scheme.match(/[A-Z]\d*/g) || [];
+}
+
+/**
+ * Builds terza rima schemes (ABA BCB CDC ...) for the given numbers of
+ * tercets, each closed by a single line or a couplet on the next rhyme.
+ * @param {number} minTercets - Fewest tercets
+ * @param {number} maxTercets - Most tercets
+ * @returns {Array<string>} Scheme strings
+ */
+function terzaRimaSchemes(minTercets, maxTercets) {
+  const schemes = [];
+  for (let n = minTercets; n <= maxTercets; n++) {
+    const tercets = [];
+    for (let k = 0; k < n; k++) {
+      tercets.push(schemeLabel(k) + schemeLabel(k + 1) + schemeLabel(k));
+    }
+    const body = tercets.join(" ");
+    schemes.push(`${body} ${schemeLabel(n)}`);
+    schemes.push(`${body} ${schemeLabel(n)}${schemeLabel(n)}`);
+  }
+  return schemes;
+}
+
+/**
+ * Named forms recognised by detectRhymeScheme. A poem matches a form when
+ * its labels equal one of the form's schemes (spaces only mark stanzas).
+ * Add entries here to recognise more forms.
+ */
+var RHYME_SCHEME_FORMS = [
+  { name: "Shakespearean sonnet", schemes: ["ABAB CDCD EFEF GG"] },
+  {
+    name: "Petrarchan sonnet",
+    schemes: [
+      "ABBAABBA CDECDE",
+      "ABBAABBA CDCDCD",
+      "ABBAABBA CDEDCE",
+      "ABBAABBA CDDCEE",
+      "ABBAABBA CDECED",
+    ],
+  },
+  { name: "Spenserian sonnet", schemes: ["ABAB BCBC CDCD EE"] },
+  { name: "villanelle", schemes: ["ABA ABA ABA ABA ABA ABAA"] },
+  { name: "limerick", schemes: ["AABBA"] },
+  { name: "terza rima", schemes: terzaRimaSchemes(2, 40) },
+];
+
+/**
+ * Estimates how confidently two line-ending words rhyme, from 0 to 1.
+ * - The same word repeated (a refrain) counts as a full rhyme
+ * - With a lexicon that knows both words: perfect, multisyllabic and
+ *   identical rhymes score 1, eye rhymes 0.6, anything else at most 0.4
+ * - Otherwise spelling evidence is combined: the same rhyme-table suffix,
+ *   the same phonetic-table key (computePhoneticKey) and the same written
+ *   rime each raise the base confidence, which is blended with scoreRhyme
+ *
+ * @param {string} word1 - First word (lowercase)
+ * @param {string} word2 - Second word (lowercase)
+ * @param {Object|null} [tables] - Assistant tables; only tables.lexicon is used
+ * @param {number} [suffixLength] - Suffix length the tables are keyed on
+ * @returns {number} Confidence between 0 and 1
+ */
+function rhymeConfidence(word1, word2, tables = null, suffixLength = 3) {
+  if (word1 === word2) {
+    return 1;
+  }
+
+  const lexicon = tables ? tables.lexicon || null : null;
+
+  // Count the independent spelling signals that the words rhyme
+  let signals = 0;
+  if (
+    extractSuffix(word1, suffixLength) === extractSuffix(word2, suffixLength)
+  ) {
+    signals++;
+  }
+  const keys2 = phoneticKeysFor(word2, suffixLength, lexicon);
+  if (
+    phoneticKeysFor(word1, suffixLength, lexicon).some((key) =>
+      keys2.includes(key),
+    )
+  ) {
+    signals++;
+  }
+  if (spellingRime(word1) === spellingRime(word2)) {
+    signals++;
+  }
+
+  let confidence = 0;
+  if (signals > 0) {
+    const base = 0.5 + 0.15 * signals;
+    confidence = base * 0.8 + (scoreRhyme(word1, word2) / 100) * 0.2;
+  }
+
+  // A lexicon that knows both words has the final say
+  if (lexicon && lexicon.has(word1) && lexicon.has(word2)) {
+    const type = classifyRhyme(word1, word2, lexicon);
+    if (type === "eye") {
+      confidence = 0.6;
+    } else if (type === "slant") {
+      confidence = Math.min(confidence, 0.4);
+    } else {
+      confidence = 1;
+    }
+  }
+
+  return Number(confidence.toFixed(2));
+}
+
+/**
+ * Detects the rhyme scheme of a poem from the last word of each line.
+ * Each line joins the earlier rhyme group it rhymes with most confidently
+ * (at least options.threshold), or starts a new group with the next label.
+ * Blank lines separate stanzas, which are separated by spaces in the scheme;
+ * when a named form is recognised its own stanza layout is used instead.
+ *
+ * Time Complexity: O(l²) rhyme comparisons where l = number of lines
+ *
+ * @param {string} poemText - Multi-line text
+ * @param {Object|null} [tables] - Assistant tables (for tables.lexicon)
+ * @param {Object} [options] - Optional settings
+ * @param {number} [options.suffixLength] - Suffix length (default: 3)
+ * @param {number} [options.threshold] - Minimum confidence to rhyme (default: 0.5)
+ * @returns {Object} { scheme, form, lines, pairs }
+ *   - scheme: labels such as "ABAB CDCD EFEF GG"
+ *   - form: name of the matching RHYME_SCHEME_FORMS entry, or null
+ *   - lines: [{ text, word, label }] for every non-blank line
+ *   - pairs: [{ lines, words, confidence }] linking each line to the earlier
+ *     line of its group it rhymes with best (indexes into lines)
+ */
+function detectRhymeScheme(poemText, tables = null, options = {}) {
+  const suffixLength = options.suffixLength || 3;
+  const threshold = options.threshold !== undefined ? options.threshold : 0.5;
+
+  const lines = [];
+  const pairs = [];
+  const groups = []; // Line indexes per rhyme group
+  const stanzas = [];
+  let stanza = [];
+
+  const rawLines = poemText.split(/\r?\n/);
+  for (let r = 0; r < rawLines.length; r++) {
+    const words = tokenizeLine(rawLines[r]);
+    if (words.length === 0) {
+      // Blank line - close the current stanza
+      if (stanza.length > 0) {
+        stanzas.push(stanza);
+        stanza = [];
+      }
+      continue;
+    }
+
+    const word = words[words.length - 1];
+    const index = lines.length;
+
+    // Find the group whose best-matching member rhymes most confidently
+    let best = null;
+    for (let g = 0; g < groups.length; g++) {
+      for (let m = 0; m < groups[g].length; m++) {
+        const other = lines[groups[g][m]];
+        const confidence = rhymeConfidence(
+          other.word,
+          word,
+          tables,
+          suffixLength,
+        );
+        if (best === null || confidence > best.confidence) {
+          best = { group: g, line: groups[g][m], confidence };
+        }
+      }
+    }
+
+    let group;
+    if (best !== null && best.confidence >= threshold) {
+      group = best.group;
+      pairs.push({
+        lines: [best.line, index],
+        words: [lines[best.line].word, word],
+        confidence: best.confidence,
+      });
+    } else {
+      group = groups.length;
+      groups.push([]);
+    }
+    groups[group].push(index);
+    lines.push({ text: rawLines[r], word, label: schemeLabel(group) });
+    stanza.push(index);
+  }
+  if (stanza.length > 0) {
+    stanzas.push(stanza);
+  }
+
+  // Compare against the named forms
+  const labels = lines.map((line) => line.label);
+  let form = null;
+  let scheme = stanzas
+    .map((indexes) => indexes.map((i) => labels[i]).join(""))
+    .join(" ");
+  for (let f = 0; f < RHYME_SCHEME_FORMS.length && form === null; f++) {
+    const match = RHYME_SCHEME_FORMS[f].schemes.find(
+      (candidate) => parseScheme(candidate).join(",") === labels.join(","),
+    );
+    if (match) {
+      form = RHYME_SCHEME_FORMS[f].name;
+      scheme = match;
+    }
+  }
+
+  return { scheme, form, lines, pairs };
+}
+
+// Export for Node.js (CommonJS); in the browser these remain globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    RHYME_SCHEME_FORMS,
+    schemeLabel,
+    parseScheme,
+    rhymeConfidence,
+    detectRhymeScheme,
+  };
+}
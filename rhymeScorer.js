@@ -1,10 +1,44 @@
 /*
  * rhymeScorer.js
- * Implements rhyme quality scoring and rhyme finding algorithms
+ * Implements rhyme quality scoring, rhyme type classification and rhyme finding algorithms
  * Based on ALGORITHM 5 (SCORE-RHYME), ALGORITHM 6 (FIND-RHYMES),
- * and ALGORITHM 11 (PHONETIC-SEARCH) from pseudocode
+ * and ALGORITHM 11 (PHONETIC-SEARCH) from pseudocode, plus longest-suffix
+ * rhyme finding over a suffix trie and configurable scoring profiles
  */
 
+// Node.js: load dependencies (in the browser they are globals from earlier <script> tags)
+if (typeof module !== "undefined" && module.exports) {
+  var {
+    extractSuffix,
+    countSyllables,
+    computePhoneticKey,
+  } = require("./utils.js");
+  var { searchHash } = require("./hashTable.js");
+  var {
+    phoneticKeysFor,
+    rhymingPart,
+    isVowelPhoneme,
+  } = require("./pronunciation.js");
+  var { syllabify } = require("./syllables.js");
+  var { wordFrequency, meetsMinFrequency } = require("./frequency.js");
+  var { hasPos, relatedWords } = require("./semantics.js");
+  var {
+    findTrieNode,
+    reverseWord,
+    findLongestSuffixMatches,
+  } = require("./trie.js");
+}
+
+/**
+ * Rhyme types reported by classifyRhyme, in display order:
+ * - perfect       - same sound from the stressed vowel on, different onset (cat/hat)
+ * - multisyllabic - perfect rhyme spanning two or more syllables, i.e. feminine (nation/station)
+ * - identical     - same sound including the onset consonant (night/knight, leave/believe)
+ * - slant         - near rhyme sharing only the vowel or only the final consonants (shape/late)
+ * - eye           - spelled alike but pronounced differently (love/move), needs a lexicon
+ */
+var RHYME_TYPES = ["perfect", "multisyllabic", "identical", "slant", "eye"];
+
 /**
  * Scores the quality of a rhyme between two words using multi-factor analysis.
  * Maximum possible score is 100 points:
@@ -67,63 +101,569 @@ function scoreRhyme(word1, word2) {
 }
 
 /**
- * Finds and ranks rhyming words based on suffix matching and rhyme quality scoring.
+ * Returns the written rime of a word: its last vowel group and everything after.
+ * Silent final 'e' is skipped over ("love" -> "ove", "cat" -> "at").
+ * @param {string} word - The word (lowercase)
+ * @returns {string} The spelled rime (the whole word if it has no vowel)
+ */
+function spellingRime(word) {
+  const vowels = "aeiouy";
+  let i = word.length - 1;
+
+  // Step over consonants and a silent final 'e' to reach the last sounded vowel
+  if (word.length >= 3 && word[i] === "e" && !vowels.includes(word[i - 1])) {
+    i--;
+  }
+  while (i > 0 && !vowels.includes(word[i])) {
+    i--;
+  }
+  // Include the whole vowel group ("ough", "ea")
+  while (i > 0 && vowels.includes(word[i - 1])) {
+    i--;
+  }
+  return word.slice(i);
+}
+
+/**
+ * Returns the written rhyming part of a word: the spelled rime (see
+ * spellingRime) stepped back over each syllable after the stressed one (see
+ * syllabify), with the consonant sound before it as its onset
+ * ("station" -> "t" + "ation", "knight" -> "n" + "ight").
+ * @param {string} word - The word (lowercase)
+ * @returns {Object} { onset, part } as spelled; onset is "" after a vowel or
+ *   at the start of the word
+ */
+function spellingRhyme(word) {
+  const { stress } = syllabify(word);
+  let part = spellingRime(word);
+  for (let i = stress.lastIndexOf("1") + 1; i < stress.length; i++) {
+    const rest = word.slice(0, word.length - part.length);
+    if (!/[aeiouy]/.test(rest)) {
+      break;
+    }
+    part = spellingRime(rest) + part;
+  }
+  // One consonant sound, a digraph such as "th" counting as one
+  const onset = word
+    .slice(0, word.length - part.length)
+    .match(/(?:[cgpstw]h|[^aeiouy])$/);
+  return { onset: onset ? onset[0] : "", part };
+}
+
+/**
+ * Classifies a rhyme from two pronunciations (see RHYME_TYPES).
+ * @param {string} word1 - First word (lowercase)
+ * @param {string} word2 - Second word (lowercase)
+ * @param {Array<string>} phonemes1 - ARPAbet pronunciation of word1
+ * @param {Array<string>} phonemes2 - ARPAbet pronunciation of word2
+ * @returns {string} One of RHYME_TYPES
+ */
+function classifyByPronunciation(word1, word2, phonemes1, phonemes2) {
+  const plain1 = phonemes1.map((phoneme) => phoneme.replace(/[012]$/, ""));
+  const plain2 = phonemes2.map((phoneme) => phoneme.replace(/[012]$/, ""));
+
+  // Use the shorter rhyming part, so a word rhyming on a secondary-stressed
+  // syllable still matches (cat / bobcat)
+  const rhyme1 = rhymingPart(phonemes1).split(" ");
+  const rhyme2 = rhymingPart(phonemes2).split(" ");
+  const rhyme = rhyme1.length <= rhyme2.length ? rhyme1 : rhyme2;
+  const n = rhyme.length;
+
+  const endsWithRhyme = (plain) =>
+    plain.length >= n &&
+    plain.slice(plain.length - n).join(" ") === rhyme.join(" ");
+
+  if (endsWithRhyme(plain1) && endsWithRhyme(plain2)) {
+    // Compare the consonant just before the stressed vowel
+    const onset1 = phonemes1[phonemes1.length - n - 1] || "";
+    const onset2 = phonemes2[phonemes2.length - n - 1] || "";
+    if (onset1 === onset2 && !isVowelPhoneme(onset1)) {
+      return "identical";
+    }
+    const vowelCount = phonemes1
+      .slice(phonemes1.length - n)
+      .filter(isVowelPhoneme).length;
+    return vowelCount >= 2 ? "multisyllabic" : "perfect";
+  }
+
+  if (spellingRime(word1) === spellingRime(word2)) {
+    return "eye";
+  }
+
+  return "slant";
+}
+
+/**
+ * Classifies the kind of rhyme two words make (see RHYME_TYPES).
+ * When both words are in the pronunciation lexicon the decision is made on
+ * their phonemes; otherwise spelling heuristics are used, which cannot
+ * detect eye rhymes (they look like perfect rhymes on paper).
  *
- * Algorithm from pseudocode FIND-RHYMES (lines 1-21)
- * Time Complexity: O(k) for scoring + O(k log k) for sorting where k = number of candidates
- * Space Complexity: Θ(k)
+ * Heuristic rules:
+ * - identical: the same spelling from the stressed vowel on, after the same
+ *   consonant sound by phonetic key (see spellingRhyme: "night" / "knight",
+ *   not "cat" / "ducat")
+ * - perfect / multisyllabic: spelled rimes match; multisyllabic when the shared
+ *   ending has two or more syllables
+ * - slant: anything else
  *
- * @param {HashTable} rhymeTable - The rhyme hash table containing suffix-indexed words
- * @param {string} inputWord - Word to find rhymes for
- * @param {number} suffixLength - Number of characters to use for suffix matching
- * @param {number} maxResults - Maximum number of results to return
- * @returns {Array<string>} Array of rhyming words ranked by quality (best first)
+ * @param {string} word1 - First word
+ * @param {string} word2 - Second word
+ * @param {Map|null} [lexicon] - Pronunciation lexicon (see parseCmuDict)
+ * @returns {string} One of RHYME_TYPES
  */
-function findRhymes(rhymeTable, inputWord, suffixLength, maxResults) {
-  // Extract suffix from input word (pseudocode line 1)
-  const suffix = extractSuffix(inputWord, suffixLength);
+function classifyRhyme(word1, word2, lexicon = null) {
+  word1 = word1.toLowerCase();
+  word2 = word2.toLowerCase();
 
-  // Search hash table for words with matching suffix (pseudocode line 2)
-  const candidates = searchHash(rhymeTable, suffix);
+  if (lexicon && lexicon.has(word1) && lexicon.has(word2)) {
+    return classifyByPronunciation(
+      word1,
+      word2,
+      lexicon.get(word1)[0],
+      lexicon.get(word2)[0],
+    );
+  }
 
-  // Create array to store scored rhymes (pseudocode lines 3-5)
-  const scoredRhymes = [];
+  // The onset is compared by sound in front of the rhyming part ("cell" / "sell")
+  const rhyme1 = spellingRhyme(word1);
+  const rhyme2 = spellingRhyme(word2);
+  if (
+    rhyme1.part === rhyme2.part &&
+    computePhoneticKey(rhyme1.onset + rhyme1.part).toLowerCase() ===
+      computePhoneticKey(rhyme2.onset + rhyme2.part).toLowerCase()
+  ) {
+    return "identical";
+  }
 
-  // Score each candidate rhyme (pseudocode lines 6-14)
-  for (let i = 0; i < candidates.length; i++) {
-    const candidateWord = candidates[i];
+  if (spellingRime(word1) === spellingRime(word2)) {
+    // Measure the shared written ending
+    let shared = 0;
+    while (
+      shared < word1.length &&
+      shared < word2.length &&
+      word1[word1.length - 1 - shared] === word2[word2.length - 1 - shared]
+    ) {
+      shared++;
+    }
+    return countSyllables(word1.slice(word1.length - shared)) >= 2
+      ? "multisyllabic"
+      : "perfect";
+  }
 
-    // Calculate rhyme quality score (pseudocode line 9)
-    const score = scoreRhyme(inputWord, candidateWord);
+  return "slant";
+}
+
+/**
+ * Factors a scoring profile can weigh. Each scorer compares the input word
+ * (word1) with a candidate (word2) and returns a value from 0 (no match) to
+ * 1 (full match), or null when it has no data to judge by, in which case its
+ * weight is left out of the total:
+ * - suffix       - matching letters at the end, up to 4 (as in scoreRhyme)
+ * - phonetic     - lexicon rhyme type when both words are known (perfect,
+ *                  multisyllabic, identical = 1, slant = 0.5, eye = 0),
+ *                  else matching ending of the phonetic keys, up to 3
+ * - syllables    - same syllable count = 1, one apart = 0.5
+ * - stress       - same stress from the last primary stress on = 1,
+ *                  same final-syllable stress = 0.5
+ * - frequency    - relative frequency of the candidate (see wordFrequency)
+ *                  from context.frequencies; null without frequency data
+ * - alliteration - 1 if the first letters differ (the alliteration penalty)
+ * - length       - similar length: 1, 0.75, 0.5, 0.25 for 0, 1, 2, 3-4 letters apart
+ */
+var RHYME_FACTORS = {
+  suffix(word1, word2) {
+    let shared = 0;
+    while (
+      shared < 4 &&
+      shared < word1.length &&
+      shared < word2.length &&
+      word1[word1.length - 1 - shared] === word2[word2.length - 1 - shared]
+    ) {
+      shared++;
+    }
+    return shared / 4;
+  },
+  phonetic(word1, word2, context) {
+    const lexicon = context.lexicon;
+    if (lexicon && lexicon.has(word1) && lexicon.has(word2)) {
+      const type = classifyRhyme(word1, word2, lexicon);
+      return type === "slant" ? 0.5 : type === "eye" ? 0 : 1;
+    }
+    const key1 = computePhoneticKey(word1);
+    const key2 = computePhoneticKey(word2);
+    let shared = 0;
+    while (
+      shared < 3 &&
+      shared < key1.length &&
+      shared < key2.length &&
+      key1[key1.length - 1 - shared] === key2[key2.length - 1 - shared]
+    ) {
+      shared++;
+    }
+    return shared / 3;
+  },
+  syllables(word1, word2, context) {
+    const diff = Math.abs(
+      wordSounds(word1, context).syllables -
+        wordSounds(word2, context).syllables,
+    );
+    return diff === 0 ? 1 : diff === 1 ? 0.5 : 0;
+  },
+  stress(word1, word2, context) {
+    const stress1 = wordSounds(word1, context).stress;
+    const stress2 = wordSounds(word2, context).stress;
+    const tail1 = stress1.slice(Math.max(0, stress1.lastIndexOf("1")));
+    const tail2 = stress2.slice(Math.max(0, stress2.lastIndexOf("1")));
+    if (tail1 === tail2) {
+      return 1;
+    }
+    return (tail1.slice(-1) === "1") === (tail2.slice(-1) === "1") ? 0.5 : 0;
+  },
+  frequency(word1, word2, context) {
+    if (!context.frequencies) {
+      return null;
+    }
+    return wordFrequency(context.frequencies, word2);
+  },
+  alliteration(word1, word2) {
+    return word1[0] !== word2[0] ? 1 : 0;
+  },
+  length(word1, word2) {
+    const diff = Math.abs(word1.length - word2.length);
+    return diff === 0
+      ? 1
+      : diff === 1
+        ? 0.75
+        : diff === 2
+          ? 0.5
+          : diff <= 4
+            ? 0.25
+            : 0;
+  },
+};
+
+/**
+ * Named scoring profiles: factor weights out of 100 (see RHYME_FACTORS).
+ * "classic" reproduces scoreRhyme exactly and is used when no profile is given.
+ * A custom profile has the same shape; a factor may also be given as
+ * { weight, score(word1, word2, context) } to plug in a new scorer.
+ */
+var SCORING_PROFILES = {
+  classic: {
+    label: "classic",
+    factors: { suffix: 60, alliteration: 20, length: 20 },
+  },
+  strict: {
+    label: "strict",
+    factors: {
+      phonetic: 35,
+      suffix: 25,
+      stress: 20,
+      syllables: 10,
+      alliteration: 10,
+    },
+  },
+  loose: {
+    label: "loose",
+    factors: {
+      phonetic: 50,
+      suffix: 20,
+      syllables: 10,
+      length: 10,
+      alliteration: 10,
+    },
+  },
+  children: {
+    label: "children's verse",
+    factors: {
+      phonetic: 30,
+      suffix: 20,
+      syllables: 20,
+      frequency: 20,
+      alliteration: 10,
+    },
+  },
+};
+
+/**
+ * Returns the syllable count and stress pattern of a word, remembered in
+ * context.cache so every candidate does not re-syllabify the input word.
+ * @param {string} word - Lowercase word
+ * @param {Object} context - { lexicon, cache }
+ * @returns {Object} { syllables, stress } (see syllabify)
+ */
+function wordSounds(word, context) {
+  let sounds = context.cache ? context.cache.get(word) : undefined;
+  if (sounds === undefined) {
+    sounds = syllabify(word, context.lexicon || null);
+    if (context.cache) {
+      context.cache.set(word, sounds);
+    }
+  }
+  return sounds;
+}
+
+/**
+ * Resolves a profile name or object into a list of weighted scorers.
+ * @param {string|Object} [profile="classic"] - SCORING_PROFILES name or profile object
+ * @returns {Array<Object>} Factors as { name, weight, score }
+ * @throws {RangeError} If the profile or one of its factors is unknown, or a weight is not positive
+ */
+function resolveProfile(profile = "classic") {
+  if (typeof profile === "string") {
+    if (!Object.prototype.hasOwnProperty.call(SCORING_PROFILES, profile)) {
+      throw new RangeError(
+        `Unknown scoring profile "${profile}"; expected one of ${Object.keys(SCORING_PROFILES).join(", ")}`,
+      );
+    }
+    profile = SCORING_PROFILES[profile];
+  }
 
-    // Exclude the input word itself (score = 0) (pseudocode line 10-13)
+  const factors = [];
+  const names = Object.keys(profile.factors || {});
+  for (let i = 0; i < names.length; i++) {
+    const entry = profile.factors[names[i]];
+    const weight = typeof entry === "number" ? entry : entry.weight;
+    const score =
+      typeof entry === "object" && entry.score
+        ? entry.score
+        : RHYME_FACTORS[names[i]];
+    if (typeof score !== "function") {
+      throw new RangeError(
+        `Unknown scoring factor "${names[i]}"; expected one of ${Object.keys(RHYME_FACTORS).join(", ")} or a { weight, score } entry`,
+      );
+    }
+    if (!(weight > 0)) {
+      throw new RangeError(`Weight of factor "${names[i]}" must be positive`);
+    }
+    factors.push({ name: names[i], weight, score });
+  }
+  return factors;
+}
+
+/**
+ * Scores a rhyme with a scoring profile. Each factor's value (0-1) is
+ * multiplied by its weight; factors without data (value null) are dropped
+ * and the remaining weights rescaled, so scores stay out of 100.
+ * With the "classic" profile the score equals scoreRhyme(word1, word2).
+ *
+ * @param {string} word1 - The word being rhymed
+ * @param {string} word2 - Candidate rhyme
+ * @param {string|Object|Array<Object>} [profile="classic"] - Profile name, profile
+ *   object or the result of resolveProfile
+ * @param {Object} [context] - { lexicon, frequencies, cache } passed to the scorers
+ * @returns {Object} { score, breakdown } where breakdown maps each factor to
+ *   { weight, value, points } and the points add up to the score (before rounding)
+ */
+function scoreWithProfile(word1, word2, profile = "classic", context = {}) {
+  const factors = Array.isArray(profile) ? profile : resolveProfile(profile);
+  const breakdown = {};
+
+  // Same word is not a valid rhyme
+  if (word1 === word2) {
+    for (let f = 0; f < factors.length; f++) {
+      breakdown[factors[f].name] = {
+        weight: factors[f].weight,
+        value: 0,
+        points: 0,
+      };
+    }
+    return { score: 0, breakdown };
+  }
+
+  const values = [];
+  let totalWeight = 0;
+  let usedWeight = 0;
+  for (let f = 0; f < factors.length; f++) {
+    const value = factors[f].score(word1, word2, context);
+    values.push(value);
+    totalWeight += factors[f].weight;
+    if (value !== null) {
+      usedWeight += factors[f].weight;
+    }
+  }
+
+  let score = 0;
+  const scale = usedWeight > 0 ? 100 / usedWeight : 0;
+  for (let f = 0; f < factors.length; f++) {
+    const value = values[f];
+    const points = value === null ? 0 : value * factors[f].weight * scale;
+    breakdown[factors[f].name] = {
+      weight: Number(((factors[f].weight / totalWeight) * 100).toFixed(1)),
+      value: value === null ? null : Number(value.toFixed(2)),
+      points: Number(points.toFixed(1)),
+    };
+    score += points;
+  }
+
+  return { score: Math.round(score), breakdown };
+}
+
+/**
+ * Scores every candidate against the input word with the profile in
+ * options.profile, for findRhymes, phoneticSearch and findRhymesBySuffix.
+ * The input word itself, zero scores, words rarer than options.minFrequency
+ * and words without one of the options.pos tags are left out. With a topic,
+ * words related to it get their topicDistance (see relatedWords).
+ * @param {Array<string>} candidates - Candidate words
+ * @param {string} inputWord - The word being rhymed
+ * @param {Object} options - Search options (see findRhymes)
+ * @returns {Array<Object>} Candidates as { word, score, breakdown, topicDistance? }
+ */
+function scoreCandidates(candidates, inputWord, options) {
+  const factors = resolveProfile(options.profile);
+  const context = {
+    lexicon: options.lexicon || null,
+    frequencies: options.frequencies || null,
+    cache: new Map(),
+  };
+  const related =
+    options.topic && options.wordGraph
+      ? relatedWords(options.wordGraph, options.topic, options.topicDepth)
+      : null;
+
+  const scoredRhymes = [];
+  for (let i = 0; i < candidates.length; i++) {
+    if (
+      !meetsMinFrequency(
+        context.frequencies,
+        candidates[i],
+        options.minFrequency,
+      ) ||
+      !hasPos(options.posTags || null, candidates[i], options.pos) ||
+      (related !== null && options.topicOnly && !related.has(candidates[i]))
+    ) {
+      continue;
+    }
+    const { score, breakdown } = scoreWithProfile(
+      inputWord,
+      candidates[i],
+      factors,
+      context,
+    );
     if (score > 0) {
-      scoredRhymes.push({
-        word: candidateWord,
-        score: score,
-      });
+      const scored = { word: candidates[i], score, breakdown };
+      if (related !== null && related.has(candidates[i])) {
+        scored.topicDistance = related.get(candidates[i]);
+      }
+      scoredRhymes.push(scored);
     }
   }
+  return scoredRhymes;
+}
 
-  // Sort by score in descending order (best rhymes first) (pseudocode line 16)
+/**
+ * Turns scored candidates into the ranked result list shared by findRhymes,
+ * phoneticSearch and findRhymesBySuffix: sorts (by score unless another
+ * order is given), classifies, applies the type filter and keeps the top
+ * maxResults. Words related to the topic come first, closest first; with
+ * frequency data, ties go to the more common word.
+ * Extra candidate fields such as suffixLength are kept.
+ * @param {Array<Object>} scoredRhymes - Candidates as { word, score }
+ * @param {string} inputWord - The word being rhymed
+ * @param {number} maxResults - Maximum number of results to return
+ * @param {Object} options - { types, lexicon, frequencies } (see findRhymes)
+ * @param {Function} [compare] - Sort comparator (default: score, highest first)
+ * @returns {Array<Object>} Results as { word, score, type, ...other candidate fields }, best first
+ */
+function rankRhymes(
+  scoredRhymes,
+  inputWord,
+  maxResults,
+  options,
+  compare = (a, b) => b.score - a.score,
+) {
+  // Sort in descending order (best rhymes first): topic-related words, then
+  // by the comparator, then common words first on ties
   // JavaScript's sort is typically implemented as merge sort or quicksort
-  scoredRhymes.sort((a, b) => b.score - a.score);
+  const frequencies = options.frequencies || null;
+  const distance = (rhyme) =>
+    rhyme.topicDistance === undefined ? Infinity : rhyme.topicDistance;
+  scoredRhymes.sort(
+    (a, b) =>
+      (distance(a) === distance(b) ? 0 : distance(a) - distance(b)) ||
+      compare(a, b) ||
+      (frequencies
+        ? wordFrequency(frequencies, b.word) -
+          wordFrequency(frequencies, a.word)
+        : 0),
+  );
 
-  // Return top N results (pseudocode lines 17-21)
-  const limit = Math.min(maxResults, scoredRhymes.length);
+  const types = options.types || null;
   const results = [];
 
-  for (let i = 0; i < limit; i++) {
-    results.push(scoredRhymes[i].word);
+  // Classify in ranked order; without a filter only the top N need classifying
+  for (let i = 0; i < scoredRhymes.length && results.length < maxResults; i++) {
+    const type = classifyRhyme(
+      inputWord,
+      scoredRhymes[i].word,
+      options.lexicon,
+    );
+    if (types === null || types.includes(type)) {
+      const { word, score, ...details } = scoredRhymes[i];
+      results.push({ word, score, type, ...details });
+    }
   }
 
   return results;
 }
 
+/**
+ * Finds and ranks rhyming words based on suffix matching and rhyme quality scoring.
+ *
+ * Algorithm from pseudocode FIND-RHYMES (lines 1-21)
+ * Time Complexity: O(k) for scoring + O(k log k) for sorting where k = number of candidates
+ * Space Complexity: Θ(k)
+ *
+ * @param {HashTable} rhymeTable - The rhyme hash table containing suffix-indexed words
+ * @param {string} inputWord - Word to find rhymes for
+ * @param {number} suffixLength - Number of characters to use for suffix matching
+ * @param {number} maxResults - Maximum number of results to return
+ * @param {Object} [options] - Optional settings
+ * @param {Array<string>} [options.types] - Only return these RHYME_TYPES (default: all)
+ * @param {Map|null} [options.lexicon] - Pronunciation lexicon used to classify rhymes
+ * @param {string|Object} [options.profile="classic"] - Scoring profile (see SCORING_PROFILES)
+ * @param {FrequencyTable|null} [options.frequencies] - Word frequencies, for the frequency
+ *   factor and to rank common words first on ties (see parseFrequencyList)
+ * @param {number|string} [options.minFrequency] - Leave out words rarer than this count,
+ *   or "common" for common words only (see meetsMinFrequency)
+ * @param {Map|null} [options.posTags] - Part-of-speech tags (see parsePosTags)
+ * @param {string|Array<string>} [options.pos] - Only return words with this part of speech
+ * @param {Map|null} [options.wordGraph] - Related-word graph (see parseWordGraph)
+ * @param {string} [options.topic] - Rank words related to this topic first
+ * @param {number} [options.topicDepth=2] - How many graph steps count as related
+ * @param {boolean} [options.topicOnly=false] - Only return words related to the topic
+ * @returns {Array<Object>} Rhymes as { word, score, type, breakdown, topicDistance? },
+ *   ranked by quality (best first)
+ */
+function findRhymes(
+  rhymeTable,
+  inputWord,
+  suffixLength,
+  maxResults,
+  options = {},
+) {
+  // Extract suffix from input word (pseudocode line 1)
+  const suffix = extractSuffix(inputWord, suffixLength);
+
+  // Search hash table for words with matching suffix (pseudocode line 2)
+  const candidates = searchHash(rhymeTable, suffix);
+
+  // Score each candidate rhyme with the scoring profile (pseudocode lines 3-14)
+  // The input word itself scores 0 and is excluded
+  const scoredRhymes = scoreCandidates(candidates, inputWord, options);
+
+  // Sort, classify and return top N results (pseudocode lines 16-21)
+  return rankRhymes(scoredRhymes, inputWord, maxResults, options);
+}
+
 /**
  * Searches for rhymes using phonetic matching to handle pronunciation-based rhymes.
  * This function finds words that rhyme based on how they sound, not just spelling.
  * Useful for finding rhymes like "through" and "blue" despite different spellings.
+ * When a pronunciation lexicon is supplied and knows the word, the lookup uses
+ * its true-rhyme keys (last stressed vowel onward) instead of the heuristic key.
  *
  * Algorithm from pseudocode PHONETIC-SEARCH (lines 1-26)
  * Time Complexity: O(k log k) where k = number of candidates
@@ -133,48 +673,187 @@ function findRhymes(rhymeTable, inputWord, suffixLength, maxResults) {
  * @param {string} inputWord - Word to find phonetic rhymes for
  * @param {number} suffixLength - Number of characters to use for phonetic suffix matching
  * @param {number} maxResults - Maximum number of results to return
- * @returns {Array<string>} Array of phonetically rhyming words ranked by quality (best first)
+ * @param {Object} [options] - Optional settings
+ * @param {Array<string>} [options.types] - Only return these RHYME_TYPES (default: all)
+ * @param {Map|null} [options.lexicon] - Pronunciation lexicon the table was built with (see parseCmuDict)
+ * @param {string|Object} [options.profile="classic"] - Scoring profile (see SCORING_PROFILES)
+ * @param {FrequencyTable|null} [options.frequencies] - Word frequencies, for the frequency
+ *   factor and to rank common words first on ties (see parseFrequencyList)
+ * @param {number|string} [options.minFrequency] - Leave out words rarer than this count,
+ *   or "common" for common words only (see meetsMinFrequency)
+ * @param {Map|null} [options.posTags] - Part-of-speech tags (see parsePosTags)
+ * @param {string|Array<string>} [options.pos] - Only return words with this part of speech
+ * @param {Map|null} [options.wordGraph] - Related-word graph (see parseWordGraph)
+ * @param {string} [options.topic] - Rank words related to this topic first
+ * @param {number} [options.topicDepth=2] - How many graph steps count as related
+ * @param {boolean} [options.topicOnly=false] - Only return words related to the topic
+ * @returns {Array<Object>} Rhymes as { word, score, type, breakdown, topicDistance? },
+ *   ranked by quality (best first)
  */
-function phoneticSearch(phoneticTable, inputWord, suffixLength, maxResults) {
-  // Compute phonetic key for input word (pseudocode line 2)
-  const phoneticKey = computePhoneticKey(inputWord);
-
-  // Extract suffix from the phonetic key (pseudocode line 4)
-  const phoneticSuffix = extractSuffix(phoneticKey, suffixLength);
+function phoneticSearch(
+  phoneticTable,
+  inputWord,
+  suffixLength,
+  maxResults,
+  options = {},
+) {
+  // Compute phonetic key(s) for input word and extract the suffix (pseudocode lines 2-4)
+  // Without a lexicon this is extractSuffix(computePhoneticKey(word), suffixLength)
+  const phoneticKeys = phoneticKeysFor(
+    inputWord,
+    suffixLength,
+    options.lexicon || null,
+  );
 
   // Search the phonetic hash table (NOT the regular rhyme table) (pseudocode line 6)
-  const candidates = searchHash(phoneticTable, phoneticSuffix);
-
-  // Create array to store scored rhymes (pseudocode lines 8-10)
-  const scoredRhymes = [];
+  // Words with several pronunciations gather candidates from every key
+  const candidateSet = new Set();
+  for (let k = 0; k < phoneticKeys.length; k++) {
+    const words = searchHash(phoneticTable, phoneticKeys[k]);
+    for (let i = 0; i < words.length; i++) {
+      candidateSet.add(words[i]);
+    }
+  }
+  const candidates = Array.from(candidateSet);
 
-  // Score each candidate rhyme (pseudocode lines 11-19)
+  // Score each candidate rhyme with the scoring profile (pseudocode lines 8-19)
   // Note: Score based on original words, not phonetic keys
-  for (let i = 0; i < candidates.length; i++) {
-    const candidateWord = candidates[i];
+  const scoredRhymes = scoreCandidates(candidates, inputWord, options);
 
-    // Calculate rhyme quality score using original words (pseudocode line 14)
-    const score = scoreRhyme(inputWord, candidateWord);
+  // Sort, classify and return top N results (pseudocode lines 21-26)
+  return rankRhymes(scoredRhymes, inputWord, maxResults, options);
+}
 
-    // Exclude the input word itself (score = 0) (pseudocode line 15-18)
-    if (score > 0) {
-      scoredRhymes.push({
-        word: candidateWord,
-        score: score,
-      });
+/** Most candidates findRhymesBySuffix gathers while widening for a type filter. */
+const MAX_SUFFIX_CANDIDATES = 20000;
+
+/**
+ * Finds rhymes by their longest common suffix, using a suffix trie of
+ * reversed words (see findLongestSuffixMatches) instead of a table keyed on
+ * one fixed suffix length. Words sharing a longer ending always rank above
+ * words sharing a shorter one ("nation": carnation before station before
+ * ration), and shorter endings are only consulted when longer ones give too
+ * few candidates, so short words such as "go" still find rhymes.
+ *
+ * Time Complexity: O(m · σ + k · L · σ) to collect + O(k log k) to rank
+ * where k = number of candidates
+ *
+ * @param {Trie} suffixTrie - Suffix trie of reversed words (tables.suffixTrie)
+ * @param {string} inputWord - Word to find rhymes for
+ * @param {number} maxResults - Maximum number of results to return
+ * @param {Object} [options] - Optional settings
+ * @param {Array<string>} [options.types] - Only return these RHYME_TYPES (default: all)
+ * @param {Map|null} [options.lexicon] - Pronunciation lexicon used to classify rhymes
+ * @param {string|Object} [options.profile="classic"] - Scoring profile (see SCORING_PROFILES)
+ * @param {FrequencyTable|null} [options.frequencies] - Word frequencies, for the frequency
+ *   factor and to rank common words first on ties (see parseFrequencyList)
+ * @param {number|string} [options.minFrequency] - Leave out words rarer than this count,
+ *   or "common" for common words only (see meetsMinFrequency)
+ * @param {Map|null} [options.posTags] - Part-of-speech tags (see parsePosTags)
+ * @param {string|Array<string>} [options.pos] - Only return words with this part of speech
+ * @param {Map|null} [options.wordGraph] - Related-word graph (see parseWordGraph)
+ * @param {string} [options.topic] - Rank words related to this topic first
+ * @param {number} [options.topicDepth=2] - How many graph steps count as related
+ * @param {boolean} [options.topicOnly=false] - Only return words related to the topic
+ * @param {number} [options.minSuffix=2] - Shortest shared suffix to fall back to
+ * @returns {Array<Object>} Rhymes as { word, score, type, breakdown, suffixLength, topicDistance? },
+ *   longest shared suffix first, then by quality
+ */
+function findRhymesBySuffix(suffixTrie, inputWord, maxResults, options = {}) {
+  // Words related to the topic are few, so every one that shares at least
+  // minSuffix letters is a candidate, even below the suffix levels gathered
+  const topicCandidates = [];
+  if (options.topic && options.wordGraph) {
+    const word = inputWord.toLowerCase();
+    const minSuffix = options.minSuffix || 2;
+    const related = relatedWords(
+      options.wordGraph,
+      options.topic,
+      options.topicDepth,
+    );
+    for (const candidate of related.keys()) {
+      let shared = 0;
+      while (
+        shared < word.length &&
+        shared < candidate.length &&
+        word[word.length - 1 - shared] ===
+          candidate[candidate.length - 1 - shared]
+      ) {
+        shared++;
+      }
+      const node = findTrieNode(suffixTrie, reverseWord(candidate));
+      if (
+        candidate !== word &&
+        shared >= minSuffix &&
+        node !== -1 &&
+        suffixTrie.isWord[node] === 1
+      ) {
+        topicCandidates.push({ word: candidate, suffixLength: shared });
+      }
     }
   }
 
-  // Sort by score in descending order (best rhymes first) (pseudocode line 21)
-  scoredRhymes.sort((a, b) => b.score - a.score);
+  // A type filter can discard a whole suffix level ("nation" finds only
+  // identical rhymes in "...nation"), so widen until enough results survive
+  let wanted = maxResults;
+  for (;;) {
+    const candidates = findLongestSuffixMatches(suffixTrie, inputWord, wanted, {
+      minSuffix: options.minSuffix,
+      maxCandidates: Math.max(1000, wanted),
+    });
 
-  // Return top N results (pseudocode lines 23-26)
-  const limit = Math.min(maxResults, scoredRhymes.length);
-  const results = [];
+    const suffixLengths = new Map(
+      candidates.map((candidate) => [candidate.word, candidate.suffixLength]),
+    );
+    for (let i = 0; i < topicCandidates.length; i++) {
+      if (!suffixLengths.has(topicCandidates[i].word)) {
+        suffixLengths.set(
+          topicCandidates[i].word,
+          topicCandidates[i].suffixLength,
+        );
+      }
+    }
+    const scoredRhymes = scoreCandidates(
+      Array.from(suffixLengths.keys()),
+      inputWord,
+      options,
+    );
+    for (let i = 0; i < scoredRhymes.length; i++) {
+      scoredRhymes[i].suffixLength = suffixLengths.get(scoredRhymes[i].word);
+    }
 
-  for (let i = 0; i < limit; i++) {
-    results.push(scoredRhymes[i].word);
+    const results = rankRhymes(
+      scoredRhymes,
+      inputWord,
+      maxResults,
+      options,
+      (a, b) => b.suffixLength - a.suffixLength || b.score - a.score,
+    );
+    // Fewer candidates than asked for means every suffix level was used
+    if (
+      results.length >= maxResults ||
+      candidates.length < wanted ||
+      wanted >= MAX_SUFFIX_CANDIDATES
+    ) {
+      return results;
+    }
+    wanted = Math.min(wanted * 4, MAX_SUFFIX_CANDIDATES);
   }
+}
 
-  return results;
+// Export for Node.js (CommonJS); in the browser these remain globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    RHYME_TYPES,
+    RHYME_FACTORS,
+    SCORING_PROFILES,
+    scoreRhyme,
+    resolveProfile,
+    scoreWithProfile,
+    spellingRime,
+    classifyRhyme,
+    findRhymes,
+    phoneticSearch,
+    findRhymesBySuffix,
+  };
 }
@@ -0,0 +1,340 @@
+/*
+ * scansion.js
+ * Meter and scansion analysis for whole lines and poems
+ * Builds a stress pattern per line and finds the best-fitting metrical template
+ */
+
+// Node.js: load dependencies (in the browser they are globals from earlier <script> tags)
+if (typeof module !== "undefined" && module.exports) {
+  var { syllabify } = require("./syllables.js");
+}
+
+/**
+ * Metrical feet, as stress patterns (1 = stressed, 0 = unstressed).
+ * Listed from most to least common in English verse; ties go to the earlier foot.
+ */
+var METRICAL_FEET = {
+  iambic: "01",
+  trochaic: "10",
+  anapestic: "001",
+  dactylic: "100",
+  amphibrachic: "010",
+};
+
+/** Line length names, indexed by number of feet. */
+const LINE_LENGTHS = [
+  null,
+  "monometer",
+  "dimeter",
+  "trimeter",
+  "tetrameter",
+  "pentameter",
+  "hexameter",
+  "heptameter",
+  "octameter",
+];
+
+/**
+ * Monosyllables that are normally unstressed in running verse
+ * (articles, prepositions, pronouns, auxiliaries, conjunctions).
+ */
+const FUNCTION_WORDS = new Set(
+  (
+    "a an the and but or nor for so yet of to in on at by with from as " +
+    "is am are was were be been it its i my your his her our their me him " +
+    "them us we you he she they that this than then if when do does did " +
+    "has have had can shall will would should could may might must thy thine"
+  ).split(" "),
+);
+
+/**
+ * Splits a line of verse into lowercase words.
+ * Apostrophes inside words are dropped ("o'er" -> "oer"); other punctuation is ignored.
+ * @param {string} line - One line of text
+ * @returns {Array<string>} Words in order
+ */
+function tokenizeLine(line) {
+  const matches = line.toLowerCase().match(/[a-z]+(?:['’][a-z]+)*/g);
+  return matches ? matches.map((word) => word.replace(/['’]/g, "")) : [];
+}
+
+/**
+ * Returns the scansion stress of each syllable of a word.
+ * Polysyllables use their lexical stress; monosyllables are "0" for function
+ * words and "1" otherwise, and are marked flexible since verse often
+ * promotes or demotes them.
+ * @param {string} word - Lowercase word
+ * @param {Map|null} lexicon - Pronunciation lexicon (see parseCmuDict)
+ * @returns {Object} { syllables, stress, flexible }
+ */
+function wordStress(word, lexicon) {
+  const { syllables, stress } = syllabify(word, lexicon);
+  if (syllables <= 1) {
+    return {
+      syllables: 1,
+      stress: FUNCTION_WORDS.has(word) ? "0" : "1",
+      flexible: true,
+    };
+  }
+  return { syllables, stress, flexible: false };
+}
+
+/**
+ * Cost of reading a syllable against the expected metrical beat.
+ * Secondary stress fits either beat; flexible monosyllables cost half.
+ * @param {string} actual - "0", "1" or "2"
+ * @param {string} expected - "0" or "1"
+ * @param {boolean} flexible - Whether the syllable is a monosyllable
+ * @returns {number} 0 for a match, 0.5 or 1 for a mismatch
+ */
+function beatCost(actual, expected, flexible) {
+  if (actual === "2" || actual === expected) {
+    return 0;
+  }
+  return flexible ? 0.5 : 1;
+}
+
+/**
+ * Lists the metrical templates with exactly the given number of syllables,
+ * including common variations:
+ * - feminine ending: one extra unstressed syllable at the end
+ * - catalectic: trailing unstressed syllables of the last foot dropped
+ * - headless: the leading unstressed syllable of the first foot dropped
+ * @param {number} length - Number of syllables in the line
+ * @returns {Array<Object>} Templates as { foot, feet, variant, pattern, penalty }
+ */
+function meterTemplates(length) {
+  const templates = [];
+
+  for (const foot of Object.keys(METRICAL_FEET)) {
+    const unit = METRICAL_FEET[foot];
+    for (let feet = 1; feet < LINE_LENGTHS.length; feet++) {
+      const base = unit.repeat(feet);
+      const variants = [
+        { variant: null, pattern: base, penalty: 0 },
+        { variant: "feminine ending", pattern: base + "0", penalty: 0.5 },
+        {
+          variant: "catalectic",
+          pattern: base.replace(/0+$/, ""),
+          penalty: 0.5,
+        },
+        { variant: "headless", pattern: base.replace(/^0/, ""), penalty: 0.5 },
+      ];
+      for (const candidate of variants) {
+        if (
+          candidate.pattern.length === length &&
+          (candidate.variant === null || candidate.pattern !== base)
+        ) {
+          templates.push({ foot, feet, ...candidate });
+        }
+      }
+    }
+  }
+
+  return templates;
+}
+
+/**
+ * Scans one line of verse.
+ * Each word is syllabified, the syllables are compared against every metrical
+ * template of the same length, and the cheapest template is chosen. The
+ * deviation score is the mismatch cost per syllable (0 = perfectly regular).
+ *
+ * Time Complexity: O(s · t) where s = syllables, t = number of templates
+ *
+ * @param {string} line - One line of text
+ * @param {Map|null} [lexicon] - Pronunciation lexicon (see parseCmuDict)
+ * @returns {Object} { text, words, syllables, stress, meter, feet }
+ *   - words: [{ word, syllables, stress }]
+ *   - meter: { name, foot, feet, variant, pattern, deviation } or null for an
+ *     empty line or one longer than any template (over 25 syllables)
+ *   - feet: [{ expected, actual, words, regular }] where words are indexes into words
+ */
+function scanLine(line, lexicon = null) {
+  const tokens = tokenizeLine(line);
+  const words = [];
+  const beats = []; // One entry per syllable: { stress, flexible, wordIndex }
+
+  for (let i = 0; i < tokens.length; i++) {
+    const info = wordStress(tokens[i], lexicon);
+    words.push({
+      word: tokens[i],
+      syllables: info.syllables,
+      stress: info.stress,
+    });
+    for (let k = 0; k < info.stress.length; k++) {
+      beats.push({
+        stress: info.stress[k],
+        flexible: info.flexible,
+        wordIndex: i,
+      });
+    }
+  }
+
+  const stress = beats.map((beat) => beat.stress).join("");
+  if (beats.length === 0) {
+    return { text: line, words, syllables: 0, stress, meter: null, feet: [] };
+  }
+
+  // Pick the template with the lowest total cost
+  let best = null;
+  const templates = meterTemplates(beats.length);
+  for (let t = 0; t < templates.length; t++) {
+    let cost = templates[t].penalty;
+    for (let k = 0; k < beats.length; k++) {
+      cost += beatCost(
+        beats[k].stress,
+        templates[t].pattern[k],
+        beats[k].flexible,
+      );
+    }
+    if (best === null || cost < best.cost) {
+      best = { template: templates[t], cost };
+    }
+  }
+
+  // Prose-length lines have no template
+  if (best === null) {
+    return {
+      text: line,
+      words,
+      syllables: beats.length,
+      stress,
+      meter: null,
+      feet: [],
+    };
+  }
+
+  const { template } = best;
+  return {
+    text: line,
+    words,
+    syllables: beats.length,
+    stress,
+    meter: {
+      name: `${template.foot} ${LINE_LENGTHS[template.feet]}`,
+      foot: template.foot,
+      feet: template.feet,
+      variant: template.variant,
+      pattern: template.pattern,
+      deviation: Number((best.cost / beats.length).toFixed(3)),
+    },
+    feet: splitFeet(beats, template),
+  };
+}
+
+/**
+ * Divides a line's syllables into the chosen template's feet and flags the
+ * feet whose stresses do not fit (flexible monosyllables are tolerated).
+ * @param {Array<Object>} beats - Syllables as { stress, flexible, wordIndex }
+ * @param {Object} template - Template from meterTemplates
+ * @returns {Array<Object>} Feet as { expected, actual, words, regular }
+ */
+function splitFeet(beats, template) {
+  const unit = METRICAL_FEET[template.foot];
+  const feet = [];
+
+  // A headless line is missing the first syllable of its first foot
+  let position = 0;
+  let footLength =
+    template.variant === "headless" ? unit.length - 1 : unit.length;
+
+  while (position < beats.length) {
+    // A feminine ending's extra syllable joins the last foot
+    if (
+      beats.length - position - footLength === 1 &&
+      template.variant === "feminine ending"
+    ) {
+      footLength++;
+    }
+    const slice = beats.slice(position, position + footLength);
+    const expected = template.pattern.slice(position, position + footLength);
+    feet.push({
+      expected,
+      actual: slice.map((beat) => beat.stress).join(""),
+      words: [...new Set(slice.map((beat) => beat.wordIndex))],
+      regular: slice.every(
+        (beat, k) =>
+          beat.flexible || beatCost(beat.stress, expected[k], false) === 0,
+      ),
+    });
+    position += footLength;
+    footLength = unit.length;
+  }
+
+  return feet;
+}
+
+/**
+ * Scans a whole poem line by line. Blank lines separate stanzas.
+ * The poem's meter is the meter shared by the most lines.
+ *
+ * @param {string} poemText - Multi-line text
+ * @param {Map|null} [lexicon] - Pronunciation lexicon (see parseCmuDict)
+ * @returns {Object} { lines, stanzas, meter, deviation }
+ *   - lines: scanLine results for every non-blank line
+ *   - stanzas: arrays of indexes into lines
+ *   - meter: most common meter name (null for an empty poem, or when no
+ *     line has a meter)
+ *   - deviation: average deviation over the lines with a meter
+ */
+function scanPoem(poemText, lexicon = null) {
+  const lines = [];
+  const stanzas = [];
+  let stanza = [];
+
+  const rawLines = poemText.split(/\r?\n/);
+  for (let i = 0; i < rawLines.length; i++) {
+    const scanned = scanLine(rawLines[i], lexicon);
+    if (scanned.syllables === 0) {
+      // Blank line - close the current stanza
+      if (stanza.length > 0) {
+        stanzas.push(stanza);
+        stanza = [];
+      }
+      continue;
+    }
+    stanza.push(lines.length);
+    lines.push(scanned);
+  }
+  if (stanza.length > 0) {
+    stanzas.push(stanza);
+  }
+
+  // Tally meters to find the dominant one
+  const tally = {};
+  let meter = null;
+  let totalDeviation = 0;
+  let metered = 0;
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].meter === null) {
+      continue;
+    }
+    metered++;
+    const name = lines[i].meter.name;
+    tally[name] = (tally[name] || 0) + 1;
+    if (meter === null || tally[name] > tally[meter]) {
+      meter = name;
+    }
+    totalDeviation += lines[i].meter.deviation;
+  }
+
+  return {
+    lines,
+    stanzas,
+    meter,
+    deviation: metered > 0 ? Number((totalDeviation / metered).toFixed(3)) : 0,
+  };
+}
+
+// Export for Node.js (CommonJS); in the browser these remain globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    METRICAL_FEET,
+    tokenizeLine,
+    wordStress,
+    meterTemplates,
+    scanLine,
+    scanPoem,
+  };
+}
@@ -0,0 +1,260 @@
+/*
+ * semantics.js
+ * Optional part-of-speech tags and related-word graph
+ * Filters rhymes by part of speech and ranks rhymes related to a topic first
+ */
+
+// Node.js: load dependencies (in the browser they are globals from earlier <script> tags)
+if (typeof module !== "undefined" && module.exports) {
+  var { isAlphabetic } = require("./utils.js");
+}
+
+/**
+ * Standard part-of-speech tags. WordNet-style short codes are mapped onto
+ * them (n, v, a/s, r); any other tag in a file is kept as written.
+ */
+var POS_TAGS = ["noun", "verb", "adjective", "adverb"];
+
+/** Short and alternative spellings of the POS_TAGS. */
+const POS_ALIASES = {
+  n: "noun",
+  v: "verb",
+  a: "adjective",
+  s: "adjective",
+  adj: "adjective",
+  r: "adverb",
+  adv: "adverb",
+};
+
+/**
+ * Normalises a part-of-speech tag ("N", "adj" -> "noun", "adjective").
+ * @param {string} tag - Tag as written
+ * @returns {string} Lowercase tag, with aliases resolved
+ */
+function normalizePos(tag) {
+  tag = tag.trim().toLowerCase();
+  return POS_ALIASES[tag] || tag;
+}
+
+/**
+ * Parses part-of-speech tags into a lookup map.
+ * Accepted line format: a word, a tab (or other whitespace) and its tags,
+ * separated by commas:
+ *   light	noun,verb,adjective
+ *   sea	n
+ * Lines starting with "#" are comments; a word listed twice collects the
+ * tags of both lines. Entries that are not purely alphabetic are skipped.
+ *
+ * Time Complexity: Θ(n) where n = length of the text
+ *
+ * @param {string} posText - The complete text of the tag file
+ * @returns {Map<string, Array<string>>} Lowercase word -> its tags (see normalizePos)
+ */
+function parsePosTags(posText) {
+  const posTags = new Map();
+  const lines = posText.split("\n");
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith("#")) {
+      continue;
+    }
+
+    const [word, tagList] = line.split(/\s+/, 2);
+    if (!tagList || !isAlphabetic(word)) {
+      continue;
+    }
+
+    const key = word.toLowerCase();
+    const tags = posTags.get(key) || [];
+    const parsed = tagList.split(",").map(normalizePos);
+    for (let t = 0; t < parsed.length; t++) {
+      if (parsed[t] && !tags.includes(parsed[t])) {
+        tags.push(parsed[t]);
+      }
+    }
+    posTags.set(key, tags);
+  }
+
+  return posTags;
+}
+
+/**
+ * Checks whether a word has one of the wanted parts of speech. Without tag
+ * data or a filter every word passes; with both, untagged words fail.
+ * @param {Map|null} posTags - Tags from parsePosTags
+ * @param {string} word - Lowercase word
+ * @param {string|Array<string>} [pos] - Wanted tag, or tags
+ * @returns {boolean} True if the word has a wanted tag
+ */
+function hasPos(posTags, word, pos) {
+  if (!posTags || !pos || pos.length === 0) {
+    return true;
+  }
+  const wanted = (Array.isArray(pos) ? pos : [pos]).map(normalizePos);
+  const tags = posTags.get(word);
+  return tags !== undefined && tags.some((tag) => wanted.includes(tag));
+}
+
+/**
+ * Parses a related-word list into an undirected graph stored as adjacency
+ * lists, e.g. synonyms and related words from a WordNet-style export.
+ * Accepted line format: a word, a tab (or other whitespace) and the words
+ * related to it, separated by commas:
+ *   sea	ocean,wave,tide,shore
+ * Every relation is added in both directions. Lines starting with "#" are
+ * comments; entries that are not purely alphabetic are skipped.
+ *
+ * Time Complexity: Θ(n) where n = length of the text
+ *
+ * @param {string} graphText - The complete text of the related-word file
+ * @returns {Map<string, Set<string>>} Lowercase word -> set of related words
+ */
+function parseWordGraph(graphText) {
+  const graph = new Map();
+  const addEdge = (from, to) => {
+    if (!graph.has(from)) {
+      graph.set(from, new Set());
+    }
+    graph.get(from).add(to);
+  };
+
+  const lines = graphText.split("\n");
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith("#")) {
+      continue;
+    }
+
+    const [word, relatedList] = line.split(/\s+/, 2);
+    if (!relatedList || !isAlphabetic(word)) {
+      continue;
+    }
+
+    const from = word.toLowerCase();
+    const related = relatedList.split(",");
+    for (let r = 0; r < related.length; r++) {
+      const to = related[r].trim().toLowerCase();
+      if (to && to !== from && isAlphabetic(to)) {
+        addEdge(from, to);
+        addEdge(to, from);
+      }
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Finds the words related to a topic: a breadth-first search of the word
+ * graph out to maxDepth steps. Direct neighbours ("sea" -> "ocean") are at
+ * distance 1, their neighbours ("ocean" -> "tide") at distance 2, and so on.
+ *
+ * Time Complexity: O(V + E) over the part of the graph within maxDepth
+ *
+ * @param {Map<string, Set<string>>} graph - Graph from parseWordGraph
+ * @param {string} topic - The topic word
+ * @param {number} [maxDepth=2] - Furthest distance to follow
+ * @returns {Map<string, number>} Related word -> distance from the topic
+ *   (the topic itself is at distance 0)
+ */
+function relatedWords(graph, topic, maxDepth = 2) {
+  topic = topic.toLowerCase();
+  const distances = new Map([[topic, 0]]);
+  let frontier = [topic];
+
+  for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+    const next = [];
+    for (let i = 0; i < frontier.length; i++) {
+      const neighbours = graph.get(frontier[i]);
+      if (!neighbours) {
+        continue;
+      }
+      for (const neighbour of neighbours) {
+        if (!distances.has(neighbour)) {
+          distances.set(neighbour, depth);
+          next.push(neighbour);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return distances;
+}
+
+/**
+ * Helper function to load part-of-speech tags from a file URL (for use in browser).
+ * The tags are optional, so a missing file gives null; the caller decides
+ * whether to mention it.
+ *
+ * @param {string} posUrl - URL or path to the word<TAB>tags file
+ * @returns {Promise<Map|null>} Promise that resolves to the tags, or null if
+ *   there is no file at the URL
+ * @throws {TypeError} If the file cannot be fetched
+ */
+async function loadPosTagsFromFile(posUrl) {
+  const response = await fetch(posUrl);
+  if (!response.ok) {
+    return null;
+  }
+  return parsePosTags(await response.text());
+}
+
+/**
+ * Helper function to load part-of-speech tags from disk (for use in Node.js).
+ *
+ * @param {string} posPath - Filesystem path to the word<TAB>tags file
+ * @returns {Promise<Map>} Promise that resolves to the tags
+ */
+async function loadPosTagsFromPath(posPath) {
+  // Required lazily so this file still loads as a browser <script>
+  const fs = require("fs");
+  return parsePosTags(await fs.promises.readFile(posPath, "utf8"));
+}
+
+/**
+ * Helper function to load a related-word graph from a file URL (for use in browser).
+ * The graph is optional, so a missing file gives null; the caller decides
+ * whether to mention it.
+ *
+ * @param {string} graphUrl - URL or path to the word<TAB>related file
+ * @returns {Promise<Map|null>} Promise that resolves to the graph, or null if
+ *   there is no file at the URL
+ * @throws {TypeError} If the file cannot be fetched
+ */
+async function loadWordGraphFromFile(graphUrl) {
+  const response = await fetch(graphUrl);
+  if (!response.ok) {
+    return null;
+  }
+  return parseWordGraph(await response.text());
+}
+
+/**
+ * Helper function to load a related-word graph from disk (for use in Node.js).
+ *
+ * @param {string} graphPath - Filesystem path to the word<TAB>related file
+ * @returns {Promise<Map>} Promise that resolves to the graph
+ */
+async function loadWordGraphFromPath(graphPath) {
+  // Required lazily so this file still loads as a browser <script>
+  const fs = require("fs");
+  return parseWordGraph(await fs.promises.readFile(graphPath, "utf8"));
+}
+
+// Export for Node.js (CommonJS); in the browser these remain globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    POS_TAGS,
+    normalizePos,
+    parsePosTags,
+    hasPos,
+    parseWordGraph,
+    relatedWords,
+    loadPosTagsFromFile,
+    loadPosTagsFromPath,
+    loadWordGraphFromFile,
+    loadWordGraphFromPath,
+  };
+}
@@ -0,0 +1,692 @@
+/*
+ * server.js
+ * HTTP JSON API for the Poetry Assistant
+ * Answers rhyme, phonetic, syllable, sound, scansion, prefix and statistics
+ * requests from a poetry assistant built once at startup, with a batch
+ * endpoint and a cache of recent responses
+ */
+
+// Node.js: load dependencies
+if (typeof module !== "undefined" && module.exports) {
+  var { isAlphabetic, cacheGet, cacheSet } = require("./utils.js");
+  var { syllabify } = require("./syllables.js");
+  var { findSoundMatches } = require("./allliteration.js");
+  var {
+    findOnsetAlliteration,
+    searchPrefix,
+    countPrefix,
+  } = require("./trie.js");
+  var { scanPoem } = require("./scansion.js");
+  var {
+    RHYME_TYPES,
+    SCORING_PROFILES,
+    phoneticSearch,
+  } = require("./rhymeScorer.js");
+  var { wordSources } = require("./dictionaries.js");
+  var { completeCouplet } = require("./couplet.js");
+  var { query } = require("./index.js");
+}
+
+/** Most requests a single /batch call may hold. */
+const MAX_BATCH_REQUESTS = 100;
+
+/** Largest request body accepted, in bytes. */
+const MAX_BODY_BYTES = 1048576;
+
+/** Largest `limit` a request may ask for. */
+const MAX_LIMIT = 100;
+
+/**
+ * Handles one API request. Every endpoint takes its parameters as strings,
+ * as they arrive in a query string.
+ *
+ * - /rhymes?word=&limit=&suffix=&types=&profile=&minFrequency=&pos=&topic=&topicOnly=&explain=
+ *   Rhymes for a word or phrase (see query); suffix is the shortest shared
+ *   ending to fall back to, and explain=true adds where each rhyme came from
+ * - /phonetic?word=&limit=&types=&profile=&minFrequency=  Phonetic rhymes (see phoneticSearch)
+ * - /syllables?word=  Syllables and stress of one or more words
+ * - /alliteration, /assonance, /consonance?word=&limit=&order=&syllables=&minFrequency=
+ *   Sound matches (see findSoundMatches); /alliteration also takes onset=true
+ * - /couplet?first=&second=&limit=&suffix=&types=&profile=&minFrequency=&pos=&topic=&topicOnly=
+ *   End words for the second line of a couplet (see completeCouplet)
+ * - /scan?text=  Scansion of a poem, one line per line of text (see scanPoem)
+ * - /prefix?letters=&limit=  Words starting with the letters
+ * - /stats  Dictionary and hash table statistics
+ *
+ * @param {Object} tables - Poetry assistant from buildPoetryAssistant
+ * @param {number} suffixLength - The suffix length the tables were built with
+ * @param {string} pathname - Endpoint path, e.g. "/rhymes"
+ * @param {Object} params - Parameter name -> string value
+ * @returns {Object} { status, body } with an HTTP status and the JSON body;
+ *   invalid parameters give 400 and unknown paths 404, with body { error }
+ */
+function handleApiRequest(tables, suffixLength, pathname, params) {
+  if (!Object.prototype.hasOwnProperty.call(API_ENDPOINTS, pathname)) {
+    return { status: 404, body: { error: `Unknown endpoint: ${pathname}` } };
+  }
+  try {
+    return {
+      status: 200,
+      body: API_ENDPOINTS[pathname](tables, suffixLength, params),
+    };
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return { status: 400, body: { error: error.message } };
+    }
+    throw error;
+  }
+}
+
+/** Endpoint handlers by path: (tables, suffixLength, params) -> JSON body. */
+const API_ENDPOINTS = {
+  "/rhymes": (tables, suffixLength, params) => {
+    const word = phraseParam(params, "word");
+    const { topic, topicOnly } = topicParams(tables, params);
+    const result = query(tables, word, suffixLength, {
+      ...rhymeParams(tables, params),
+      minSuffix: intParam(params, "suffix", 2),
+      pos: posParam(tables, params),
+      topic,
+      topicOnly,
+      explain: booleanParam(params, "explain"),
+      maxResults: intParam(params, "limit", 10),
+    });
+    return { word, ...result };
+  },
+
+  "/phonetic": (tables, suffixLength, params) => {
+    const word = wordParam(params, "word");
+    const rhymes = phoneticSearch(
+      tables.phoneticTable,
+      word,
+      suffixLength,
+      intParam(params, "limit", 10),
+      {
+        ...rhymeParams(tables, params),
+        lexicon: tables.lexicon,
+        frequencies: tables.frequencies || null,
+      },
+    );
+    return {
+      word,
+      rhymes,
+      sources: resultSources(
+        tables,
+        rhymes.map((rhyme) => rhyme.word),
+      ),
+    };
+  },
+
+  "/syllables": (tables, suffixLength, params) => ({
+    words: requireParam(params, "word")
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      .map((word) => {
+        word = validateWord(word);
+        return { word, ...syllabify(word, tables.lexicon) };
+      }),
+  }),
+
+  "/alliteration": (tables, suffixLength, params) =>
+    soundMatches(tables, params, "alliteration"),
+  "/assonance": (tables, suffixLength, params) =>
+    soundMatches(tables, params, "assonance"),
+  "/consonance": (tables, suffixLength, params) =>
+    soundMatches(tables, params, "consonance"),
+
+  "/couplet": (tables, suffixLength, params) => {
+    const { topic, topicOnly } = topicParams(tables, params);
+    return completeCouplet(
+      tables,
+      requireParam(params, "first"),
+      params.second === undefined ? "" : String(params.second),
+      suffixLength,
+      {
+        ...rhymeParams(tables, params),
+        maxResults: intParam(params, "limit", 10),
+        minSuffix: intParam(params, "suffix", 2),
+        pos: posParam(tables, params),
+        topic,
+        topicOnly,
+      },
+    );
+  },
+
+  "/scan": (tables, suffixLength, params) => {
+    const text = requireParam(params, "text");
+    return scanPoem(text, tables.lexicon);
+  },
+
+  "/prefix": (tables, suffixLength, params) => {
+    const prefix = wordParam(params, "letters");
+    return {
+      prefix,
+      total: countPrefix(tables.prefixTrie, prefix),
+      words: searchPrefix(
+        tables.prefixTrie,
+        prefix,
+        intParam(params, "limit", 10),
+      ),
+    };
+  },
+
+  "/stats": (tables) => tables.stats,
+};
+
+/**
+ * Runs a sound lookup for the /alliteration, /assonance and /consonance
+ * endpoints.
+ * @param {Object} tables - Poetry assistant
+ * @param {Object} params - Request parameters
+ * @param {string} device - One of SOUND_DEVICES
+ * @returns {Object} { word, device, matches, sources }
+ */
+function soundMatches(tables, params, device) {
+  const word = wordParam(params, "word");
+  const limit = intParam(params, "limit", 10);
+  const order = params.order || "ranked";
+  if (order !== "ranked" && order !== "random") {
+    throw new RangeError('"order" must be ranked or random');
+  }
+
+  const matches =
+    device === "alliteration" && booleanParam(params, "onset")
+      ? findOnsetAlliteration(tables.prefixTrie, word, limit)
+      : findSoundMatches(tables, word, device, limit, {
+          order,
+          syllables: syllablesParam(params),
+          minFrequency: minFrequencyParam(tables, params),
+        });
+  return { word, device, matches, sources: resultSources(tables, matches) };
+}
+
+/**
+ * Collects the rhyme options shared by /rhymes and /phonetic.
+ * @param {Object} tables - Poetry assistant
+ * @param {Object} params - Request parameters
+ * @returns {Object} { types, profile, minFrequency }
+ */
+function rhymeParams(tables, params) {
+  const types = params.types ? params.types.split(",") : undefined;
+  if (types) {
+    const unknown = types.filter((type) => !RHYME_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new RangeError(
+        `Unknown rhyme type ${unknown.join(", ")} (expected ${RHYME_TYPES.join(", ")})`,
+      );
+    }
+  }
+  const profile = params.profile || "classic";
+  if (!Object.prototype.hasOwnProperty.call(SCORING_PROFILES, profile)) {
+    throw new RangeError(
+      `"profile" must be one of ${Object.keys(SCORING_PROFILES).join(", ")}`,
+    );
+  }
+  return { types, profile, minFrequency: minFrequencyParam(tables, params) };
+}
+
+/**
+ * Returns the optional pos parameter of /rhymes and /couplet.
+ * @param {Object} tables - Poetry assistant
+ * @param {Object} params - Request parameters
+ * @returns {string|undefined} The part of speech, or undefined if missing
+ */
+function posParam(tables, params) {
+  return optionalParam(params, "pos", tables.posTags, "a part-of-speech list");
+}
+
+/**
+ * Returns the optional topic and topicOnly parameters of /rhymes and
+ * /couplet.
+ * @param {Object} tables - Poetry assistant
+ * @param {Object} params - Request parameters
+ * @returns {Object} { topic, topicOnly }
+ * @throws {RangeError} If topicOnly is given without a topic
+ */
+function topicParams(tables, params) {
+  const topic = optionalParam(
+    params,
+    "topic",
+    tables.wordGraph,
+    "a word graph",
+  );
+  const topicOnly = booleanParam(params, "topicOnly");
+  if (topicOnly && topic === undefined) {
+    throw new RangeError('"topicOnly" needs "topic"');
+  }
+  return { topic, topicOnly };
+}
+
+/**
+ * Maps result words to the word lists they came from (see wordSources).
+ * @param {Object} tables - Poetry assistant
+ * @param {Array<string>} words - Result words
+ * @returns {Object} Word -> source labels
+ */
+function resultSources(tables, words) {
+  const sources = {};
+  words.forEach((word) => {
+    sources[word] = wordSources(tables, word);
+  });
+  return sources;
+}
+
+/**
+ * Returns a required parameter.
+ * @param {Object} params - Request parameters
+ * @param {string} name - Parameter name
+ * @returns {string} The value, trimmed
+ * @throws {RangeError} If the parameter is missing or blank
+ */
+function requireParam(params, name) {
+  const value = params[name] === undefined ? "" : String(params[name]).trim();
+  if (!value) {
+    throw new RangeError(`Missing "${name}" parameter`);
+  }
+  return value;
+}
+
+/**
+ * Lowercases a word and checks that it is alphabetic.
+ * @param {string} word - Raw word
+ * @returns {string} The lowercase word
+ * @throws {RangeError} If the word has anything but letters a-z
+ */
+function validateWord(word) {
+  word = word.toLowerCase();
+  if (!isAlphabetic(word)) {
+    throw new RangeError(`Not a valid word: "${word}" (letters a-z only)`);
+  }
+  return word;
+}
+
+/**
+ * Returns a required single-word parameter.
+ * @param {Object} params - Request parameters
+ * @param {string} name - Parameter name
+ * @returns {string} The lowercase word
+ */
+function wordParam(params, name) {
+  return validateWord(requireParam(params, name));
+}
+
+/**
+ * Returns a required word-or-phrase parameter.
+ * @param {Object} params - Request parameters
+ * @param {string} name - Parameter name
+ * @returns {string} The lowercase words, single-spaced
+ */
+function phraseParam(params, name) {
+  return requireParam(params, name).split(/\s+/).map(validateWord).join(" ");
+}
+
+/**
+ * Returns an optional positive integer parameter, at most MAX_LIMIT.
+ * @param {Object} params - Request parameters
+ * @param {string} name - Parameter name
+ * @param {number} defaultValue - Value when the parameter is missing
+ * @returns {number} The integer
+ * @throws {RangeError} If the value is not an integer from 1 to MAX_LIMIT
+ */
+function intParam(params, name, defaultValue) {
+  if (params[name] === undefined || params[name] === "") {
+    return defaultValue;
+  }
+  const n = Number(params[name]);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_LIMIT) {
+    throw new RangeError(`"${name}" must be an integer from 1 to ${MAX_LIMIT}`);
+  }
+  return n;
+}
+
+/**
+ * Returns an optional true/false parameter.
+ * @param {Object} params - Request parameters
+ * @param {string} name - Parameter name
+ * @returns {boolean} True for "true" or "1"
+ * @throws {RangeError} If the value is not true, false, 1 or 0
+ */
+function booleanParam(params, name) {
+  const value = params[name] === undefined ? "" : String(params[name]);
+  if (value === "" || value === "false" || value === "0") {
+    return false;
+  }
+  if (value === "true" || value === "1") {
+    return true;
+  }
+  throw new RangeError(`"${name}" must be true or false`);
+}
+
+/**
+ * Returns an optional parameter that needs data the server may not have
+ * loaded.
+ * @param {Object} params - Request parameters
+ * @param {string} name - Parameter name
+ * @param {*} data - The data the parameter needs, or null when not loaded
+ * @param {string} description - What the data is (for the error message)
+ * @returns {string|undefined} The lowercase value, or undefined if missing
+ * @throws {RangeError} If the parameter is given without the data
+ */
+function optionalParam(params, name, data, description) {
+  if (!params[name]) {
+    return undefined;
+  }
+  if (!data) {
+    throw new RangeError(`"${name}" needs ${description}, which is not loaded`);
+  }
+  return String(params[name]).trim().toLowerCase();
+}
+
+/**
+ * Returns the optional minFrequency parameter: a count or "common".
+ * @param {Object} tables - Poetry assistant
+ * @param {Object} params - Request parameters
+ * @returns {number|string|undefined} The minimum, or undefined if missing
+ */
+function minFrequencyParam(tables, params) {
+  const value = optionalParam(
+    params,
+    "minFrequency",
+    tables.frequencies,
+    "a frequency list",
+  );
+  if (value === undefined || value === "common") {
+    return value;
+  }
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) {
+    throw new RangeError('"minFrequency" must be a positive integer or common');
+  }
+  return n;
+}
+
+/**
+ * Returns the optional syllables parameter: a count ("2") or an inclusive
+ * range ("1-3").
+ * @param {Object} params - Request parameters
+ * @returns {Array<number>|undefined} [min, max], or undefined if missing
+ */
+function syllablesParam(params) {
+  if (!params.syllables) {
+    return undefined;
+  }
+  const match = /^(\d+)(?:-(\d+))?$/.exec(String(params.syllables));
+  const min = match ? Number(match[1]) : 0;
+  const max = match && match[2] !== undefined ? Number(match[2]) : min;
+  if (min < 1 || max < min) {
+    throw new RangeError('"syllables" must be a count or a range such as 1-3');
+  }
+  return [min, max];
+}
+
+/**
+ * Least recently used cache of API responses, keyed by endpoint and
+ * parameters.
+ *
+ * `var` matches the other modules' exported classes.
+ */
+var ResponseCache = class ResponseCache {
+  /**
+   * Creates an empty cache.
+   * @param {number} [maxEntries=1000] - Responses kept before the least
+   *   recently used is dropped (0 disables caching)
+   */
+  constructor(maxEntries = 1000) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // Key -> { status, body }, oldest first
+    this.hits = 0;
+    this.misses = 0;
+  }
+};
+
+/**
+ * The cache key of a request: its path and parameters in name order.
+ * @param {string} pathname - Endpoint path
+ * @param {Object} params - Request parameters
+ * @returns {string} Key such as "/rhymes?limit=5&word=cat"
+ */
+function cacheKey(pathname, params) {
+  const names = Object.keys(params).sort();
+  return `${pathname}?${names
+    .map((name) => `${name}=${encodeURIComponent(params[name])}`)
+    .join("&")}`;
+}
+
+/**
+ * Answers a request from the cache, or handles it and caches the response.
+ * Errors are not cached, nor are results in random order.
+ *
+ * Time Complexity: O(1) for a cached response
+ *
+ * @param {ResponseCache} cache - The response cache
+ * @param {Object} tables - Poetry assistant
+ * @param {number} suffixLength - The suffix length the tables were built with
+ * @param {string} pathname - Endpoint path
+ * @param {Object} params - Request parameters
+ * @returns {Object} { status, body, cached } as for handleApiRequest, with
+ *   cached true when the response came from the cache
+ */
+function cachedApiRequest(cache, tables, suffixLength, pathname, params) {
+  const key = cacheKey(pathname, params);
+  const hit = cacheGet(cache.entries, key);
+  if (hit) {
+    cache.hits++;
+    return { ...hit, cached: true };
+  }
+
+  cache.misses++;
+  const response = handleApiRequest(tables, suffixLength, pathname, params);
+  if (response.status === 200 && params.order !== "random") {
+    cacheSet(cache.entries, key, response, cache.maxEntries);
+  }
+  return { ...response, cached: false };
+}
+
+/**
+ * Handles a /batch request: a list of { path, params } requests, answered
+ * in order as { status, body }. A failed request does not fail the others.
+ * @param {ResponseCache} cache - The response cache
+ * @param {Object} tables - Poetry assistant
+ * @param {number} suffixLength - The suffix length the tables were built with
+ * @param {*} payload - Parsed request body, { requests: [...] }
+ * @returns {Object} { results }
+ * @throws {RangeError} If the payload is not a list of at most
+ *   MAX_BATCH_REQUESTS requests
+ */
+function handleBatchRequest(cache, tables, suffixLength, payload) {
+  const requests = payload && payload.requests;
+  if (!Array.isArray(requests)) {
+    throw new RangeError('A batch needs a "requests" array');
+  }
+  if (requests.length > MAX_BATCH_REQUESTS) {
+    throw new RangeError(
+      `A batch holds at most ${MAX_BATCH_REQUESTS} requests`,
+    );
+  }
+
+  const results = requests.map((request) => {
+    if (!request || typeof request.path !== "string") {
+      return { status: 400, body: { error: 'Each request needs a "path"' } };
+    }
+    const params = {};
+    Object.keys(request.params || {}).forEach((name) => {
+      params[name] = String(request.params[name]);
+    });
+    try {
+      const { status, body } = cachedApiRequest(
+        cache,
+        tables,
+        suffixLength,
+        request.path,
+        params,
+      );
+      return { status, body };
+    } catch (error) {
+      // Only this request fails; handleApiRequest has answered invalid
+      // input with 400 already
+      console.error(error);
+      return { status: 500, body: { error: "Internal server error" } };
+    }
+  });
+  return { results };
+}
+
+/**
+ * Reads a request body as text.
+ * @param {http.IncomingMessage} request - The request
+ * @returns {Promise<string>} The body
+ * @throws {RangeError} If the body is larger than MAX_BODY_BYTES, with
+ *   status 413
+ */
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let bytes = 0;
+    request.on("data", (chunk) => {
+      bytes += chunk.length;
+      if (bytes > MAX_BODY_BYTES) {
+        const error = new RangeError("Request body is too large");
+        error.status = 413;
+        // Discard the rest of the body so the error response can be sent
+        request.removeAllListeners("data");
+        request.resume();
+        reject(error);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    request.on("error", reject);
+  });
+}
+
+/**
+ * Reads a request body as JSON.
+ * @param {http.IncomingMessage} request - The request
+ * @returns {Promise<*>} The parsed body
+ * @throws {RangeError} If the body is not valid JSON or is too large
+ */
+async function readJsonBody(request) {
+  const body = await readBody(request);
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    throw new RangeError(`Invalid JSON body: ${error.message}`);
+  }
+}
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} response - The response
+ * @param {number} status - HTTP status
+ * @param {*} body - Value to send as JSON
+ * @param {Object} [headers] - Extra headers
+ */
+function sendJson(response, status, body, headers = {}) {
+  response.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    ...headers,
+  });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Creates an HTTP server answering the API from a built poetry assistant.
+ * Every endpoint answers GET with query-string parameters; /scan also takes
+ * the poem as a POST body (plain text, or JSON { text }), and /batch takes a
+ * POST body of JSON { requests: [{ path, params }] }. Responses are JSON;
+ * errors are { error } with status 400 (invalid parameters), 404 (unknown
+ * endpoint), 405 (wrong method), 413 (body too large) or 500. Cached
+ * responses carry "X-Cache: HIT", others "X-Cache: MISS".
+ *
+ * @param {Object} tables - Poetry assistant from buildPoetryAssistant
+ * @param {number} suffixLength - The suffix length the tables were built with
+ * @param {Object} [options] - Optional settings
+ * @param {number} [options.cacheSize=1000] - Responses to cache (0 disables caching)
+ * @returns {http.Server} The server, not yet listening
+ */
+function createPoetryServer(tables, suffixLength, options = {}) {
+  // Required lazily so this file still loads without Node's http module
+  const http = require("http");
+  const cache = new ResponseCache(
+    options.cacheSize === undefined ? 1000 : options.cacheSize,
+  );
+
+  return http.createServer(async (request, response) => {
+    const url = new URL(request.url, "http://localhost");
+    const pathname = url.pathname.replace(/\/+$/, "") || "/";
+    const params = Object.fromEntries(url.searchParams);
+
+    try {
+      if (pathname === "/batch") {
+        if (request.method !== "POST") {
+          sendJson(
+            response,
+            405,
+            { error: "/batch expects POST" },
+            {
+              Allow: "POST",
+            },
+          );
+          return;
+        }
+        const payload = await readJsonBody(request);
+        sendJson(
+          response,
+          200,
+          handleBatchRequest(cache, tables, suffixLength, payload),
+        );
+        return;
+      }
+
+      if (request.method === "POST" && pathname === "/scan") {
+        params.text = /json/.test(request.headers["content-type"] || "")
+          ? ((await readJsonBody(request)) || {}).text
+          : await readBody(request);
+      } else if (request.method !== "GET" && request.method !== "HEAD") {
+        sendJson(
+          response,
+          405,
+          { error: `${pathname} expects GET` },
+          {
+            Allow: pathname === "/scan" ? "GET, POST" : "GET",
+          },
+        );
+        return;
+      }
+
+      const { status, body, cached } = cachedApiRequest(
+        cache,
+        tables,
+        suffixLength,
+        pathname,
+        params,
+      );
+      sendJson(response, status, body, { "X-Cache": cached ? "HIT" : "MISS" });
+    } catch (error) {
+      if (error instanceof RangeError) {
+        sendJson(
+          response,
+          error.status || 400,
+          { error: error.message },
+          // Close the connection rather than read a body that was cut short
+          error.status === 413 ? { Connection: "close" } : {},
+        );
+      } else {
+        console.error(error);
+        sendJson(response, 500, { error: "Internal server error" });
+      }
+    }
+  });
+}
+
+// Export for Node.js (CommonJS)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    MAX_BATCH_REQUESTS,
+    ResponseCache,
+    handleApiRequest,
+    cachedApiRequest,
+    createPoetryServer,
+  };
+}
@@ -0,0 +1,642 @@
+/*
+ * snapshot.js
+ * Versioned snapshots of a built Poetry Assistant
+ * Saves the hash tables, alliteration table, tries and word sounds so a page
+ * load or CLI run can restore them instead of rebuilding from the word list
+ */
+
+// Node.js: load dependencies (in the browser they are globals from earlier <script> tags)
+if (typeof module !== "undefined" && module.exports) {
+  var { HashTable, DELETED, computeFnv1aHash } = require("./hashTable.js");
+  var { Trie } = require("./trie.js");
+  var { buildPoetryAssistant, collectStats } = require("./buildAssistant.js");
+}
+
+/** Format tag written into every snapshot. */
+var SNAPSHOT_FORMAT = "poetry-assistant-snapshot";
+
+/**
+ * Snapshot layout version. Bump it whenever the tables or their keys change
+ * shape, so stale snapshots are rebuilt instead of restored.
+ */
+var SNAPSHOT_VERSION = 3;
+
+/** Hash tables saved in a snapshot, by their name in the assistant. */
+const SNAPSHOT_HASH_TABLES = [
+  "rhymeTable",
+  "phoneticTable",
+  "soundTable",
+  "assonanceTable",
+  "consonanceTable",
+  "phraseTable",
+];
+
+/** Tries saved in a snapshot. */
+const SNAPSHOT_TRIES = ["prefixTrie", "suffixTrie"];
+
+/** Node arrays of a Trie, saved trimmed to its node count. */
+const TRIE_ARRAYS = [
+  "letter",
+  "firstChild",
+  "nextSibling",
+  "isWord",
+  "subtreeWords",
+];
+
+/** IndexedDB database and object store that cache snapshots in the browser. */
+const SNAPSHOT_DB = "poetry-assistant";
+const SNAPSHOT_STORE = "snapshots";
+
+/**
+ * Checksum of a text: its length and 32-bit FNV-1a hash, e.g. "2510432:9f3a01c2".
+ * Time Complexity: Θ(n) where n = length of the text
+ * @param {string} text - The text to checksum
+ * @returns {string} The checksum
+ */
+function checksumText(text) {
+  const hash = computeFnv1aHash(text, 0x100000000);
+  return `${text.length}:${hash.toString(16).padStart(8, "0")}`;
+}
+
+/**
+ * Checksum of a pronunciation lexicon, since lexicon words are keyed on
+ * their phonemes rather than their spelling.
+ * @param {Map} lexicon - Lexicon from parseCmuDict
+ * @returns {string} The checksum
+ */
+function lexiconChecksum(lexicon) {
+  const lines = [];
+  for (const [word, pronunciations] of lexicon) {
+    lines.push(`${word} ${pronunciations.map((p) => p.join(" ")).join(",")}`);
+  }
+  return checksumText(lines.join("\n"));
+}
+
+/**
+ * Everything a built assistant depends on: the word list (by checksum) and
+ * the build settings, with buildPoetryAssistant's defaults filled in.
+ * A snapshot is only restored when its parameters match exactly.
+ *
+ * @param {string} wordlistText - The complete text content of the word list
+ * @param {number} suffixLength - Number of characters to use for suffix matching
+ * @param {Object} [options] - Build settings (see buildPoetryAssistant)
+ * @returns {Object} { wordlistChecksum, suffixLength, tableSize, maxLoadFactor,
+ *   strategy, hashFunction, lexiconChecksum }
+ */
+function snapshotParams(wordlistText, suffixLength, options = {}) {
+  return {
+    wordlistChecksum: checksumText(wordlistText),
+    suffixLength: suffixLength,
+    tableSize: options.tableSize || 6577,
+    maxLoadFactor:
+      options.maxLoadFactor === undefined ? 0.7 : options.maxLoadFactor,
+    strategy: options.strategy || "linear",
+    hashFunction: options.hashFunction || "polynomial",
+    lexiconChecksum: options.lexicon ? lexiconChecksum(options.lexicon) : null,
+  };
+}
+
+/**
+ * Copies a hash table slot by slot, so it restores without rehashing.
+ * Open addressing slots become null, 0 (DELETED) or [suffix, words];
+ * chained slots become null or a list of [suffix, words].
+ * @param {HashTable} T - The hash table
+ * @returns {Object} Plain-object copy of the table
+ */
+function serializeHashTable(T) {
+  const entry = (slot) => [slot.suffix, slot.words.slice()];
+  const slots = T.table.map((slot) => {
+    if (slot === null) {
+      return null;
+    }
+    if (slot === DELETED) {
+      return 0;
+    }
+    return T.strategy === "chaining" ? slot.map(entry) : entry(slot);
+  });
+  return {
+    size: T.size,
+    count: T.count,
+    probeSteps: T.probeSteps,
+    maxLoadFactor: T.maxLoadFactor,
+    resizeCount: T.resizeCount,
+    deletedCount: T.deletedCount,
+    strategy: T.strategy,
+    hashFunction: T.hashFunction,
+    slots: slots,
+  };
+}
+
+/**
+ * Rebuilds a hash table from serializeHashTable's copy.
+ * @param {Object} saved - Saved table
+ * @returns {HashTable} The restored table
+ */
+function restoreHashTable(saved) {
+  const T = new HashTable(saved.size, {
+    maxLoadFactor: saved.maxLoadFactor,
+    strategy: saved.strategy,
+    hashFunction: saved.hashFunction,
+  });
+  const entry = ([suffix, words]) => ({ suffix, words });
+  T.table = saved.slots.map((slot) => {
+    if (slot === null) {
+      return null;
+    }
+    if (slot === 0) {
+      return DELETED;
+    }
+    return T.strategy === "chaining" ? slot.map(entry) : entry(slot);
+  });
+  T.count = saved.count;
+  T.probeSteps = saved.probeSteps;
+  T.resizeCount = saved.resizeCount;
+  T.deletedCount = saved.deletedCount;
+  return T;
+}
+
+/**
+ * Copies a trie's node arrays, trimmed to the nodes in use.
+ * @param {Trie} T - The trie
+ * @returns {Object} { nodeCount, wordCount, letter, firstChild, nextSibling,
+ *   isWord, subtreeWords }
+ */
+function serializeTrie(T) {
+  const saved = { nodeCount: T.nodeCount, wordCount: T.wordCount };
+  for (let i = 0; i < TRIE_ARRAYS.length; i++) {
+    saved[TRIE_ARRAYS[i]] = T[TRIE_ARRAYS[i]].slice(0, T.nodeCount);
+  }
+  return saved;
+}
+
+/**
+ * Rebuilds a trie from serializeTrie's copy. It is full to capacity, so the
+ * next insert grows it as usual.
+ * @param {Object} saved - Saved trie
+ * @returns {Trie} The restored trie
+ */
+function restoreTrie(saved) {
+  const T = new Trie(saved.nodeCount);
+  T.nodeCount = saved.nodeCount;
+  T.wordCount = saved.wordCount;
+  for (let i = 0; i < TRIE_ARRAYS.length; i++) {
+    T[TRIE_ARRAYS[i]].set(saved[TRIE_ARRAYS[i]]);
+  }
+  return T;
+}
+
+/**
+ * Copies a map of words to source labels (tables.sources, tables.blocklist)
+ * as a list of [word, labels] pairs.
+ * @param {Map|undefined} map - The map, if the assistant has one
+ * @returns {Array|null} The pairs, or null without a map
+ */
+function serializeLabelMap(map) {
+  return map ? [...map].map(([word, labels]) => [word, labels.slice()]) : null;
+}
+
+/**
+ * Rebuilds a map of words to source labels from serializeLabelMap's copy.
+ * @param {Array} saved - Saved pairs
+ * @returns {Map} The map
+ */
+function restoreLabelMap(saved) {
+  return new Map(saved.map(([word, labels]) => [word, labels.slice()]));
+}
+
+/**
+ * Copies tables.wordSounds as parallel lists of words, syllable counts,
+ * phonetic keys and stressed vowels.
+ * @param {Map} wordSounds - Each word's sounds
+ * @returns {Object} Plain-object copy of the map
+ */
+function serializeWordSounds(wordSounds) {
+  const words = [...wordSounds.keys()];
+  const syllables = new Uint8Array(words.length);
+  const keys = new Array(words.length);
+  const vowels = new Array(words.length);
+  for (let i = 0; i < words.length; i++) {
+    const sounds = wordSounds.get(words[i]);
+    syllables[i] = sounds.syllables;
+    keys[i] = sounds.key;
+    vowels[i] = sounds.vowel;
+  }
+  return { words, syllables, keys, vowels };
+}
+
+/**
+ * Rebuilds tables.wordSounds from serializeWordSounds's copy.
+ * @param {Object} saved - Saved lists
+ * @returns {Map} Each word's sounds
+ */
+function restoreWordSounds(saved) {
+  const wordSounds = new Map();
+  for (let i = 0; i < saved.words.length; i++) {
+    wordSounds.set(saved.words[i], {
+      syllables: saved.syllables[i],
+      key: saved.keys[i],
+      vowel: saved.vowels[i],
+    });
+  }
+  return wordSounds;
+}
+
+/**
+ * Takes a snapshot of a built poetry assistant: every structure built from
+ * the word list, tagged with SNAPSHOT_FORMAT, SNAPSHOT_VERSION and the
+ * parameters it was built with. The optional lexicon, frequencies,
+ * part-of-speech tags and word graph are not included; they are passed
+ * again to restoreSnapshot. The sources of words from added word lists,
+ * the lists' summaries and the blocklist are saved with the tables, so
+ * words added or blocked before the snapshot restore with their labels.
+ * The snapshot is a plain object with typed arrays, so it can be stored in
+ * IndexedDB as is; snapshotToJSON turns it into text for a file.
+ * Its parameters only describe the word list it was built from, not words
+ * added or blocked later, so snapshotMismatch cannot tell such a snapshot
+ * from a fresh build's.
+ *
+ * Time Complexity: Θ(w · m + s) where s = total hash table and trie size
+ *
+ * @param {Object} tables - Poetry assistant from buildPoetryAssistant
+ * @param {Object} params - Build parameters from snapshotParams
+ * @returns {Object} The snapshot
+ */
+function createSnapshot(tables, params) {
+  const hashTables = {};
+  for (let i = 0; i < SNAPSHOT_HASH_TABLES.length; i++) {
+    const name = SNAPSHOT_HASH_TABLES[i];
+    hashTables[name] = serializeHashTable(tables[name]);
+  }
+  const tries = {};
+  for (let i = 0; i < SNAPSHOT_TRIES.length; i++) {
+    tries[SNAPSHOT_TRIES[i]] = serializeTrie(tables[SNAPSHOT_TRIES[i]]);
+  }
+
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    params: params,
+    createdAt: new Date().toISOString(),
+    wordCount: tables.stats.wordCount,
+    phraseCount: tables.stats.phraseCount,
+    hashTables: hashTables,
+    alliterationTable: tables.alliterationTable.map((words) => words.slice()),
+    tries: tries,
+    wordSounds: serializeWordSounds(tables.wordSounds),
+    sources: serializeLabelMap(tables.sources),
+    wordLists: tables.wordLists
+      ? tables.wordLists.map((summary) => ({ ...summary }))
+      : null,
+    blocklist: serializeLabelMap(tables.blocklist),
+  };
+}
+
+/**
+ * Checks whether a snapshot can be restored for the given parameters.
+ * @param {Object} snapshot - Snapshot from createSnapshot
+ * @param {Object} params - Expected build parameters from snapshotParams
+ * @returns {string|null} Why the snapshot is unusable, or null if it matches
+ */
+function snapshotMismatch(snapshot, params) {
+  if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+    return "not a poetry assistant snapshot";
+  }
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    return `snapshot version ${snapshot.version}, expected ${SNAPSHOT_VERSION}`;
+  }
+  const names = Object.keys(params);
+  for (let i = 0; i < names.length; i++) {
+    if (snapshot.params[names[i]] !== params[names[i]]) {
+      return `${names[i]} differs (snapshot ${snapshot.params[names[i]]}, expected ${params[names[i]]})`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Restores a poetry assistant from a snapshot, without touching the word
+ * list. The result has the same shape as buildPoetryAssistant's, with the
+ * word sources, word list summaries and blocklist of the snapshotted
+ * assistant (see addWordList, blockWords); its stats.buildTimeMs is the
+ * time the restore took.
+ * Check the snapshot with snapshotMismatch first: a snapshot restored with
+ * a different word list or lexicon than it was built from gives wrong results.
+ *
+ * Time Complexity: Θ(w · m + s) where s = total hash table and trie size
+ *
+ * @param {Object} snapshot - Snapshot from createSnapshot (or snapshotFromJSON)
+ * @param {Object} [options] - The optional data that is not in the snapshot
+ * @param {Map} [options.lexicon] - Pronunciation lexicon the snapshot was built with
+ * @param {FrequencyTable} [options.frequencies] - Word frequencies
+ * @param {Map} [options.posTags] - Part-of-speech tags
+ * @param {Map} [options.wordGraph] - Related-word graph
+ * @param {string} [options.source="main"] - Label of the word list
+ * @returns {Object} The poetry assistant data structures
+ * @throws {Error} If the snapshot has the wrong format or version
+ */
+function restoreSnapshot(snapshot, options = {}) {
+  const restoreStart = performance.now();
+  if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+    throw new Error("Not a poetry assistant snapshot");
+  }
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(
+      `Unsupported snapshot version ${snapshot.version} (expected ${SNAPSHOT_VERSION})`,
+    );
+  }
+
+  const tables = {};
+  for (let i = 0; i < SNAPSHOT_HASH_TABLES.length; i++) {
+    const name = SNAPSHOT_HASH_TABLES[i];
+    tables[name] = restoreHashTable(snapshot.hashTables[name]);
+  }
+  tables.alliterationTable = snapshot.alliterationTable.map((words) =>
+    words.slice(),
+  );
+  for (let i = 0; i < SNAPSHOT_TRIES.length; i++) {
+    tables[SNAPSHOT_TRIES[i]] = restoreTrie(snapshot.tries[SNAPSHOT_TRIES[i]]);
+  }
+  tables.wordSounds = restoreWordSounds(snapshot.wordSounds);
+  tables.lexicon = options.lexicon || null;
+  tables.frequencies = options.frequencies || null;
+  tables.posTags = options.posTags || null;
+  tables.wordGraph = options.wordGraph || null;
+  tables.source = options.source || "main";
+  if (snapshot.sources) {
+    tables.sources = restoreLabelMap(snapshot.sources);
+  }
+  if (snapshot.wordLists) {
+    tables.wordLists = snapshot.wordLists.map((summary) => ({ ...summary }));
+  }
+  if (snapshot.blocklist) {
+    tables.blocklist = restoreLabelMap(snapshot.blocklist);
+  }
+
+  tables.stats = collectStats(tables, snapshot.wordCount, {
+    buildTimeMs: performance.now() - restoreStart,
+    trieBuildTimeMs: 0,
+    phraseCount: snapshot.phraseCount,
+  });
+  return tables;
+}
+
+/**
+ * Converts a snapshot to JSON text, for saving to a file. Typed arrays are
+ * written as base64 (in the platform's byte order, little-endian on
+ * practically every machine).
+ * @param {Object} snapshot - Snapshot from createSnapshot
+ * @returns {string} JSON text
+ */
+function snapshotToJSON(snapshot) {
+  return JSON.stringify(snapshot, (key, value) => {
+    if (!ArrayBuffer.isView(value)) {
+      return value;
+    }
+    const bytes = new Uint8Array(
+      value.buffer,
+      value.byteOffset,
+      value.byteLength,
+    );
+    let base64;
+    if (typeof Buffer !== "undefined") {
+      base64 = Buffer.from(bytes).toString("base64");
+    } else {
+      // btoa takes a binary string; build it in chunks to stay within call limits
+      let binary = "";
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(
+          null,
+          bytes.subarray(i, i + 0x8000),
+        );
+      }
+      base64 = btoa(binary);
+    }
+    return { typedArray: value.constructor.name, base64 };
+  });
+}
+
+/**
+ * Parses a snapshot written by snapshotToJSON.
+ * @param {string} json - JSON text
+ * @returns {Object} The snapshot, with its typed arrays restored
+ * @throws {SyntaxError} If the text is not valid JSON
+ */
+function snapshotFromJSON(json) {
+  const typedArrays = { Uint8Array, Int32Array };
+  return JSON.parse(json, (key, value) => {
+    if (
+      value === null ||
+      typeof value !== "object" ||
+      !Object.prototype.hasOwnProperty.call(typedArrays, value.typedArray)
+    ) {
+      return value;
+    }
+    let bytes;
+    if (typeof Buffer !== "undefined") {
+      // Copied so the typed array starts on an aligned, unshared buffer
+      bytes = new Uint8Array(Buffer.from(value.base64, "base64"));
+    } else {
+      const binary = atob(value.base64);
+      bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+    }
+    return new typedArrays[value.typedArray](bytes.buffer);
+  });
+}
+
+/**
+ * Helper function to write a snapshot to disk (for use in Node.js).
+ * @param {Object} snapshot - Snapshot from createSnapshot
+ * @param {string} snapshotPath - Filesystem path to write
+ * @returns {Promise<void>} Resolves once the file is written
+ */
+async function writeSnapshotToPath(snapshot, snapshotPath) {
+  // Required lazily so this file still loads as a browser <script>
+  const fs = require("fs");
+  await fs.promises.writeFile(snapshotPath, snapshotToJSON(snapshot), "utf8");
+}
+
+/**
+ * Helper function to read a snapshot from disk (for use in Node.js).
+ * @param {string} snapshotPath - Filesystem path of a snapshotToJSON file
+ * @returns {Promise<Object|null>} The snapshot, or null if the file does not exist
+ */
+async function loadSnapshotFromPath(snapshotPath) {
+  // Required lazily so this file still loads as a browser <script>
+  const fs = require("fs");
+  try {
+    return snapshotFromJSON(await fs.promises.readFile(snapshotPath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Builds the poetry assistant from a word list on disk, restoring it from a
+ * snapshot file instead when one matches the word list and settings, and
+ * writing a fresh snapshot when it does not (for use in Node.js).
+ *
+ * @param {string} wordlistPath - Filesystem path to the word list file
+ * @param {string} snapshotPath - Filesystem path of the snapshot file
+ * @param {number} suffixLength - Number of characters to use for suffix matching
+ * @param {Object} [options] - Optional build settings (see buildPoetryAssistant)
+ * @returns {Promise<Object>} Promise that resolves to the poetry assistant data structures,
+ *   or null if the word list does not exist
+ */
+async function buildPoetryAssistantWithSnapshot(
+  wordlistPath,
+  snapshotPath,
+  suffixLength,
+  options = {},
+) {
+  // Required lazily so this file still loads as a browser <script>
+  const fs = require("fs");
+  let wordlistText;
+  try {
+    wordlistText = await fs.promises.readFile(wordlistPath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+  const params = snapshotParams(wordlistText, suffixLength, options);
+
+  let snapshot;
+  try {
+    snapshot = await loadSnapshotFromPath(snapshotPath);
+  } catch (error) {
+    // An unreadable snapshot is rebuilt like a stale one
+    snapshot = null;
+  }
+  if (snapshot && snapshotMismatch(snapshot, params) === null) {
+    return restoreSnapshot(snapshot, options);
+  }
+
+  const tables = buildPoetryAssistant(wordlistText, suffixLength, options);
+  await writeSnapshotToPath(createSnapshot(tables, params), snapshotPath);
+  return tables;
+}
+
+/**
+ * Opens the IndexedDB database that caches snapshots (for use in browser).
+ * @returns {Promise<IDBDatabase|null>} The database, or null without
+ *   IndexedDB or if it cannot be opened
+ */
+function openSnapshotCache() {
+  if (typeof indexedDB === "undefined") {
+    return Promise.resolve(null);
+  }
+  return new Promise((resolve) => {
+    const request = indexedDB.open(SNAPSHOT_DB, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(SNAPSHOT_STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => resolve(null);
+  });
+}
+
+/**
+ * Reads a cached snapshot from IndexedDB (for use in browser).
+ * @param {string} key - Cache key, e.g. the word list URL
+ * @returns {Promise<Object|null>} The snapshot, or null if none is cached
+ */
+async function readCachedSnapshot(key) {
+  const db = await openSnapshotCache();
+  if (!db) {
+    return null;
+  }
+  return new Promise((resolve) => {
+    const request = db
+      .transaction(SNAPSHOT_STORE, "readonly")
+      .objectStore(SNAPSHOT_STORE)
+      .get(key);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => resolve(null);
+  });
+}
+
+/**
+ * Stores a snapshot in IndexedDB (for use in browser). The snapshot is
+ * stored as is; IndexedDB keeps its typed arrays natively.
+ * @param {string} key - Cache key, e.g. the word list URL
+ * @param {Object} snapshot - Snapshot from createSnapshot
+ * @returns {Promise<boolean>} True if the snapshot was stored
+ */
+async function writeCachedSnapshot(key, snapshot) {
+  const db = await openSnapshotCache();
+  if (!db) {
+    return false;
+  }
+  return new Promise((resolve) => {
+    const transaction = db.transaction(SNAPSHOT_STORE, "readwrite");
+    transaction.objectStore(SNAPSHOT_STORE).put(snapshot, key);
+    transaction.oncomplete = () => resolve(true);
+    transaction.onerror = () => resolve(false);
+  });
+}
+
+/**
+ * Helper function to load the poetry assistant from a file URL (for use in
+ * browser), restoring it from the IndexedDB snapshot cache when the cached
+ * snapshot matches the word list and settings. Otherwise the assistant is
+ * built as by buildPoetryAssistantFromFile and its snapshot cached for the
+ * next page load.
+ *
+ * @param {string} wordlistUrl - URL or path to the word list file
+ * @param {number} suffixLength - Number of characters to use for suffix matching
+ * @param {Object} [options] - Optional build settings (see buildPoetryAssistant)
+ * @returns {Promise<Object>} Promise that resolves to the poetry assistant data structures,
+ *   or null if there is no word list at the URL
+ * @throws {TypeError} If the word list cannot be fetched
+ */
+async function buildPoetryAssistantCached(
+  wordlistUrl,
+  suffixLength,
+  options = {},
+) {
+  // The word list is still fetched (usually from the HTTP cache) to checksum it
+  const response = await fetch(wordlistUrl);
+  if (!response.ok) {
+    return null;
+  }
+
+  const wordlistText = await response.text();
+  const params = snapshotParams(wordlistText, suffixLength, options);
+
+  const snapshot = await readCachedSnapshot(wordlistUrl);
+  if (snapshot && snapshotMismatch(snapshot, params) === null) {
+    return restoreSnapshot(snapshot, options);
+  }
+
+  const tables = buildPoetryAssistant(wordlistText, suffixLength, options);
+  await writeCachedSnapshot(wordlistUrl, createSnapshot(tables, params));
+  return tables;
+}
+
+// Export for Node.js (CommonJS); in the browser these remain globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    SNAPSHOT_FORMAT,
+    SNAPSHOT_VERSION,
+    checksumText,
+    snapshotParams,
+    createSnapshot,
+    snapshotMismatch,
+    restoreSnapshot,
+    snapshotToJSON,
+    snapshotFromJSON,
+    writeSnapshotToPath,
+    loadSnapshotFromPath,
+    buildPoetryAssistantWithSnapshot,
+    readCachedSnapshot,
+    writeCachedSnapshot,
+    buildPoetryAssistantCached,
+  };
+}
@@ -0,0 +1,127 @@
+/*
+ * syllables.js
+ * Syllabification: syllable counts and stress patterns
+ * Checks the pronunciation lexicon first, then falls back to rule-based estimates
+ */
+
+// Node.js: load dependencies (in the browser they are globals from earlier <script> tags)
+if (typeof module !== "undefined" && module.exports) {
+  var { countSyllables } = require("./utils.js");
+  var { isVowelPhoneme } = require("./pronunciation.js");
+}
+
+/**
+ * Suffixes that fix where primary stress falls, counted in syllables from
+ * the end of the word (1 = last syllable). Checked in order, first match wins.
+ */
+const STRESS_SUFFIXES = [
+  // Final stress: employee, engineer, cassette, balloon, unique, Chinese
+  { pattern: /(?:ee|eer|ette|oon|ique|esque|ese)$/, fromEnd: 1 },
+  // Stress just before the suffix: nation, musician, special, delicious, music
+  {
+    pattern: /(?:tion|sion|cian|cial|tial|cious|tious|ious|eous|ic|ics)$/,
+    fromEnd: 2,
+  },
+  // Stress two syllables before the end: ability, biology, memorial, librarian
+  { pattern: /(?:ity|ety|ical|ify|ogy|phy|ial|ian|ular)$/, fromEnd: 3 },
+];
+
+/**
+ * Unstressed prefixes that push stress onto the second syllable of
+ * two-syllable words: about, become, decide, return, prefer, explain;
+ * "com"/"con" verbs ending in a silent "e" (compare, compose, convince,
+ * but not comfort or concert); and "re" or "cre" before a vowel of its
+ * own: react, create (not reach, creature).
+ */
+const UNSTRESSED_PREFIX =
+  /^(?:(?:a|be|de|re|pre|ex)[^aeiouy][aeiouy]|co[mn][^aeiouy].*[aeiouy][^aeiouy]+e$|re(?=en|ex|em|ac(?!h)|af)|creat(?!u))/;
+
+/**
+ * Builds a stress pattern string from a CMUdict pronunciation.
+ * Each vowel phoneme contributes its stress digit:
+ * 1 = primary, 2 = secondary, 0 = unstressed.
+ *
+ * Example: AH0 B AW1 T ("about") -> "01"
+ *
+ * @param {Array<string>} phonemes - ARPAbet phonemes with stress digits
+ * @returns {string} Stress pattern, one digit per syllable
+ */
+function stressFromPhonemes(phonemes) {
+  return phonemes
+    .filter(isVowelPhoneme)
+    .map((phoneme) => phoneme[phoneme.length - 1])
+    .join("");
+}
+
+/**
+ * Estimates a stress pattern for a word that is not in the lexicon.
+ * Rules applied:
+ * - One syllable: "1"
+ * - Known suffixes place primary stress (see STRESS_SUFFIXES)
+ * - Two-syllable words with an unstressed prefix are stressed on the second syllable
+ * - Otherwise the first syllable is stressed
+ * - Words of 4+ syllables get secondary stress two syllables before the primary
+ *
+ * Time Complexity: O(m) where m = word length
+ *
+ * @param {string} word - The word (lowercase)
+ * @param {number} syllables - Syllable count for the word
+ * @returns {string} Stress pattern, one digit per syllable
+ */
+function guessStress(word, syllables) {
+  if (syllables <= 1) {
+    return "1";
+  }
+
+  let primary = 0; // Index of the stressed syllable
+  const suffixRule = STRESS_SUFFIXES.find((rule) => rule.pattern.test(word));
+  if (suffixRule) {
+    primary = Math.max(0, syllables - suffixRule.fromEnd);
+  } else if (syllables === 2 && UNSTRESSED_PREFIX.test(word)) {
+    primary = 1;
+  }
+
+  const pattern = Array(syllables).fill("0");
+  pattern[primary] = "1";
+  if (syllables >= 4 && primary >= 2) {
+    pattern[primary - 2] = "2";
+  }
+  return pattern.join("");
+}
+
+/**
+ * Splits a word into syllable count and stress pattern.
+ * Uses the first pronunciation in the lexicon when the word is listed,
+ * otherwise countSyllables and guessStress.
+ *
+ * @param {string} word - The word to analyse
+ * @param {Map|null} [lexicon] - Pronunciation lexicon (see parseCmuDict)
+ * @returns {Object} { syllables, stress, source } where source is "lexicon" or "rules"
+ */
+function syllabify(word, lexicon = null) {
+  word = word.toLowerCase();
+
+  const pronunciations = lexicon ? lexicon.get(word) : undefined;
+  if (pronunciations) {
+    const stress = stressFromPhonemes(pronunciations[0]);
+    if (stress.length > 0) {
+      return { syllables: stress.length, stress, source: "lexicon" };
+    }
+  }
+
+  const syllables = countSyllables(word);
+  return {
+    syllables,
+    stress: syllables > 0 ? guessStress(word, syllables) : "",
+    source: "rules",
+  };
+}
+
+// Export for Node.js (CommonJS); in the browser these remain globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    stressFromPhonemes,
+    guessStress,
+    syllabify,
+  };
+}
@@ -0,0 +1,407 @@
+/*
+ * trie.js
+ * Prefix index (trie) over the word list
+ * Supports prefix search, onset-cluster alliteration and autocomplete, and
+ * longest-suffix matching when built over reversed words
+ */
+
+/**
+ * Trie stored in typed arrays using the left-child right-sibling layout:
+ * node i has the letter on the edge into it, its first child and its next
+ * sibling. Siblings are kept in alphabetical order, so a depth-first walk
+ * yields words alphabetically. Node 0 is the root.
+ *
+ * Typed arrays keep the memory cost small and exact (see trieMemory); they
+ * double in size when full, like a dynamic array.
+ *
+ * Bound with var rather than a class declaration so the Node.js require blocks
+ * in the other files can re-declare it without clashing in the browser.
+ */
+var Trie = class Trie {
+  /**
+   * Creates an empty trie.
+   * @param {number} [capacity=1024] - Initial number of node slots
+   */
+  constructor(capacity = 1024) {
+    this.capacity = capacity;
+    this.nodeCount = 1; // The root
+    this.wordCount = 0; // Number of words stored
+    this.letter = new Uint8Array(capacity); // Char code on the edge into each node
+    this.firstChild = new Int32Array(capacity).fill(-1);
+    this.nextSibling = new Int32Array(capacity).fill(-1);
+    this.isWord = new Uint8Array(capacity); // 1 if a word ends at the node
+    this.subtreeWords = new Int32Array(capacity); // Words ending at or below the node
+  }
+};
+
+/**
+ * Doubles the capacity of a trie's node arrays.
+ * Time Complexity: Θ(capacity)
+ * @param {Trie} T - The trie to grow
+ */
+function growTrie(T) {
+  const capacity = T.capacity * 2;
+  const grow = (array, fill) => {
+    const bigger = new array.constructor(capacity);
+    if (fill !== 0) {
+      bigger.fill(fill, array.length);
+    }
+    bigger.set(array);
+    return bigger;
+  };
+  T.letter = grow(T.letter, 0);
+  T.firstChild = grow(T.firstChild, -1);
+  T.nextSibling = grow(T.nextSibling, -1);
+  T.isWord = grow(T.isWord, 0);
+  T.subtreeWords = grow(T.subtreeWords, 0);
+  T.capacity = capacity;
+}
+
+/**
+ * Finds the child of a node along the given letter.
+ * @param {Trie} T - The trie
+ * @param {number} node - Parent node index
+ * @param {number} code - Char code of the letter
+ * @returns {number} Child node index, or -1 if absent
+ */
+function findChild(T, node, code) {
+  let child = T.firstChild[node];
+  // Siblings are sorted, so stop once past the letter
+  while (child !== -1 && T.letter[child] < code) {
+    child = T.nextSibling[child];
+  }
+  return child !== -1 && T.letter[child] === code ? child : -1;
+}
+
+/**
+ * Inserts a word into the trie. Words are stored lowercase.
+ * Time Complexity: O(m · σ) where m = word length, σ = alphabet size (26)
+ * @param {Trie} T - The trie
+ * @param {string} word - The word to insert
+ * @returns {boolean} True if the word was added, false if it was already present
+ */
+function insertTrie(T, word) {
+  word = word.toLowerCase();
+  const existing = findTrieNode(T, word);
+  if (existing !== -1 && T.isWord[existing]) {
+    return false;
+  }
+
+  let node = 0;
+  T.subtreeWords[0]++;
+  for (let i = 0; i < word.length; i++) {
+    const code = word.charCodeAt(i);
+
+    // Walk the sorted sibling list to the letter or its insertion point
+    let previous = -1;
+    let child = T.firstChild[node];
+    while (child !== -1 && T.letter[child] < code) {
+      previous = child;
+      child = T.nextSibling[child];
+    }
+
+    if (child === -1 || T.letter[child] !== code) {
+      // New node, linked in between previous and child
+      if (T.nodeCount === T.capacity) {
+        growTrie(T);
+      }
+      const created = T.nodeCount++;
+      T.letter[created] = code;
+      T.nextSibling[created] = child;
+      if (previous === -1) {
+        T.firstChild[node] = created;
+      } else {
+        T.nextSibling[previous] = created;
+      }
+      child = created;
+    }
+
+    node = child;
+    T.subtreeWords[node]++;
+  }
+
+  T.isWord[node] = 1;
+  T.wordCount++;
+  return true;
+}
+
+/**
+ * Finds the node reached by following a prefix from the root.
+ * Time Complexity: O(m · σ) where m = prefix length
+ * @param {Trie} T - The trie
+ * @param {string} prefix - The prefix (lowercase)
+ * @returns {number} Node index, or -1 if no word starts with the prefix
+ */
+function findTrieNode(T, prefix) {
+  let node = 0;
+  for (let i = 0; i < prefix.length && node !== -1; i++) {
+    node = findChild(T, node, prefix.charCodeAt(i));
+  }
+  return node;
+}
+
+/**
+ * Removes a word from the trie. Nodes are left in place (like tombstones);
+ * only the word flag and the subtree counts change.
+ * Time Complexity: O(m · σ)
+ * @param {Trie} T - The trie
+ * @param {string} word - The word to remove
+ * @returns {boolean} True if the word was present
+ */
+function deleteTrie(T, word) {
+  word = word.toLowerCase();
+  const end = findTrieNode(T, word);
+  if (end === -1 || !T.isWord[end]) {
+    return false;
+  }
+
+  T.isWord[end] = 0;
+  T.wordCount--;
+  let node = 0;
+  T.subtreeWords[0]--;
+  for (let i = 0; i < word.length; i++) {
+    node = findChild(T, node, word.charCodeAt(i));
+    T.subtreeWords[node]--;
+  }
+  return true;
+}
+
+/**
+ * Counts the words that start with a prefix.
+ * Time Complexity: O(m · σ)
+ * @param {Trie} T - The trie
+ * @param {string} prefix - The prefix
+ * @returns {number} Number of words with the prefix
+ */
+function countPrefix(T, prefix) {
+  const node = findTrieNode(T, prefix.toLowerCase());
+  return node === -1 ? 0 : T.subtreeWords[node];
+}
+
+/**
+ * Returns words starting with a prefix, in alphabetical order.
+ * Walks the subtree depth-first with an explicit stack and stops as soon as
+ * maxResults words are found; subtrees without words (after deletions) are
+ * skipped.
+ *
+ * Time Complexity: O(m · σ + k · L · σ) where k = maxResults, L = longest word
+ *
+ * @param {Trie} T - The trie
+ * @param {string} prefix - The prefix (the empty string matches every word)
+ * @param {number} maxResults - Maximum number of words to return
+ * @returns {Array<string>} Matching words, alphabetically
+ */
+function searchPrefix(T, prefix, maxResults) {
+  prefix = prefix.toLowerCase();
+  const start = findTrieNode(T, prefix);
+  if (start === -1 || maxResults < 1) {
+    return [];
+  }
+  return collectWords(T, start, prefix, maxResults, -1);
+}
+
+/**
+ * Lists the words in a node's subtree, in alphabetical order, optionally
+ * leaving out one child subtree (used to step out level by level in
+ * findLongestSuffixMatches without repeating words).
+ *
+ * Time Complexity: O(k · L · σ) where k = maxResults, L = longest word
+ *
+ * @param {Trie} T - The trie
+ * @param {number} start - Node whose subtree is listed
+ * @param {string} prefix - The letters on the path to start
+ * @param {number} maxResults - Maximum number of words to return
+ * @param {number} skip - Node whose subtree is left out (-1 for none)
+ * @returns {Array<string>} Words, alphabetically
+ */
+function collectWords(T, start, prefix, maxResults, skip) {
+  const results = [];
+
+  // Stack of [node, word so far]; children are pushed in reverse order
+  // so they are popped alphabetically
+  const stack = [[start, prefix]];
+  while (stack.length > 0 && results.length < maxResults) {
+    const [node, word] = stack.pop();
+    if (T.isWord[node]) {
+      results.push(word);
+    }
+
+    const children = [];
+    for (let c = T.firstChild[node]; c !== -1; c = T.nextSibling[c]) {
+      if (T.subtreeWords[c] > 0 && c !== skip) {
+        children.push(c);
+      }
+    }
+    for (let i = children.length - 1; i >= 0; i--) {
+      stack.push([
+        children[i],
+        word + String.fromCharCode(T.letter[children[i]]),
+      ]);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Returns the onset of a word: the consonant cluster before its first vowel
+ * ("spring" -> "spr", "blue" -> "bl", "queen" -> "qu", "apple" -> "").
+ * A leading 'y' counts as a consonant.
+ * @param {string} word - The word (lowercase)
+ * @returns {string} The onset cluster
+ */
+function onsetCluster(word) {
+  word = word.toLowerCase();
+  if (word.startsWith("qu")) {
+    return "qu";
+  }
+  const match = word.match(/^y?[^aeiouy]*/);
+  return match[0];
+}
+
+/**
+ * Finds words with exactly the same onset cluster as the input word, so
+ * "spring" alliterates with "sprout" but not with "stream" or "sing".
+ * Only words whose next letter after the onset is a vowel are returned.
+ *
+ * Time Complexity: O(σ · k · L) where k = maxResults, L = longest word
+ *
+ * @param {Trie} T - The trie
+ * @param {string} word - A word, or the onset cluster itself (e.g. "bl")
+ * @param {number} maxResults - Maximum number of words to return
+ * @returns {Array<string>} Matching words (excluding the input), alphabetically
+ */
+function findOnsetAlliteration(T, word, maxResults) {
+  word = word.toLowerCase();
+  const onset = onsetCluster(word);
+  const results = [];
+  if (onset === "") {
+    return results;
+  }
+
+  // Continue the onset with each vowel in turn, keeping alphabetical order
+  const vowels = onset === "qu" ? "aeioy" : "aeiouy";
+  for (let v = 0; v < vowels.length && results.length < maxResults; v++) {
+    const words = searchPrefix(
+      T,
+      onset + vowels[v],
+      maxResults - results.length + 1,
+    );
+    for (let i = 0; i < words.length && results.length < maxResults; i++) {
+      if (words[i] !== word) {
+        results.push(words[i]);
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * Reverses a word, for storing words in a suffix trie: a trie of reversed
+ * words turns "ends with" questions into prefix searches.
+ * @param {string} word - The word
+ * @returns {string} The word spelled backwards
+ */
+function reverseWord(word) {
+  return word.split("").reverse().join("");
+}
+
+/**
+ * Finds words sharing the longest possible suffix with the input word, in a
+ * trie built from reversed words (see reverseWord). Starting from the
+ * deepest shared suffix, each step out adds the words that share exactly one
+ * letter less, until at least minCandidates words are found or the suffix
+ * would drop below options.minSuffix letters. Each suffix level is returned
+ * whole (up to options.maxCandidates), so callers can rank within it.
+ *
+ * Example: "nation" first finds "...nation" words (carnation), then
+ * "...ation" (station, ration), then "...tion" if still short.
+ *
+ * Time Complexity: O(m · σ + k · L · σ) where k = candidates returned
+ *
+ * @param {Trie} T - Suffix trie of reversed words
+ * @param {string} word - The word to match
+ * @param {number} minCandidates - Stop widening once this many words are found
+ * @param {Object} [options] - Optional settings
+ * @param {number} [options.minSuffix=2] - Shortest suffix to fall back to
+ * @param {number} [options.maxCandidates=1000] - Cap on the words returned
+ * @returns {Array<Object>} Candidates as { word, suffixLength }, longest shared suffix first
+ *   (the input word itself is excluded)
+ */
+function findLongestSuffixMatches(T, word, minCandidates, options = {}) {
+  const minSuffix = options.minSuffix || 2;
+  const maxCandidates = options.maxCandidates || 1000;
+  word = word.toLowerCase();
+  const reversed = reverseWord(word);
+
+  // Nodes along the reversed word: path[d] shares a suffix of length d
+  const path = [0];
+  for (let d = 0; d < reversed.length; d++) {
+    const child = findChild(T, path[d], reversed.charCodeAt(d));
+    if (child === -1) {
+      break;
+    }
+    path.push(child);
+  }
+
+  const results = [];
+  for (
+    let depth = path.length - 1;
+    depth >= minSuffix &&
+    results.length < minCandidates &&
+    results.length < maxCandidates;
+    depth--
+  ) {
+    // Words under path[depth] but not under path[depth + 1], which were
+    // already collected at the previous, longer suffix
+    const skip = depth + 1 < path.length ? path[depth + 1] : -1;
+    const words = collectWords(
+      T,
+      path[depth],
+      reversed.slice(0, depth),
+      maxCandidates - results.length + 1,
+      skip,
+    );
+    for (let i = 0; i < words.length && results.length < maxCandidates; i++) {
+      const candidate = reverseWord(words[i]);
+      if (candidate !== word) {
+        results.push({ word: candidate, suffixLength: depth });
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Returns the memory held by the trie's node arrays, in bytes.
+ * @param {Trie} T - The trie
+ * @returns {number} Bytes allocated
+ */
+function trieMemory(T) {
+  return (
+    T.letter.byteLength +
+    T.firstChild.byteLength +
+    T.nextSibling.byteLength +
+    T.isWord.byteLength +
+    T.subtreeWords.byteLength
+  );
+}
+
+// Export for Node.js (CommonJS); in the browser these remain globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    Trie,
+    insertTrie,
+    findTrieNode,
+    deleteTrie,
+    countPrefix,
+    searchPrefix,
+    collectWords,
+    onsetCluster,
+    findOnsetAlliteration,
+    reverseWord,
+    findLongestSuffixMatches,
+    trieMemory,
+  };
+}
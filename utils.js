@@ -22,12 +22,64 @@ function extractSuffix(word, length) {
   return word.slice(-length);
 }
 
+/**
+ * Vowel pairs that usually split into two syllables. Each match adds one
+ * syllable to the vowel-group count in countSyllables.
+ */
+const HIATUS_PATTERNS = [
+  /[^ctsxg]i[ao]/g, // lion, piano, via (not -tion, -sion, -cial, -gion)
+  /[^gc]eo(?![up])/g, // video, neon (not pigeon, ocean, people, gorgeous)
+  /oe(?!s?$)/g, // poem, poet (not toe, shoes)
+  /[^qg]ua/g, // dual, usual (not quality, language)
+  /[^qg]ue(?!s?$|d$)/g, // fluent, cruel (not blue, queen, guest)
+  /iu/g, // medium
+  /[^gq]ui(?=n(?!g))/g, // ruin, ruined, genuine (not penguin, sequin, bluing)
+  /[^q]uo/g, // duo (not quote)
+  /ie(?=t)/g, // diet, quiet
+  /[aeiouy][^aeiouy]+ie(?:r|st)$/g, // happier, earliest
+  /[aeiouy][^aeiouy]+ea$/g, // idea, area (not sea, plea)
+  // create, permeate; inflected forms of the usual -eate stems, since
+  // "heated" and "treated" cannot be told apart from "created" by spelling
+  // ("-eates" needs nothing: its "es" is already counted as a syllable)
+  /eate$|(?:cr|lin|nucl|perm|nause|id)eat(?=ed$|ing$|ions?$|ors?$|ive$)/g,
+  /[aeiou]ing/g, // being, going
+];
+
+/**
+ * Words whose "-ed" after a consonant is its own syllable ("na-ked",
+ * "wick-ed"), not a silent past-tense ending.
+ */
+const SYLLABIC_ED_WORDS = new Set([
+  "beloved",
+  "crooked",
+  "dogged",
+  "jagged",
+  "naked",
+  "ragged",
+  "rugged",
+  "wicked",
+  "wretched",
+]);
+
+/**
+ * Prefixes whose vowel is followed by the stem's vowel ("re-enter",
+ * "co-operate", "pre-empt"). Kept to stems that are reliably split so that
+ * words like "reach", "reason" and "coal" are not affected.
+ */
+const VOWEL_PREFIX_PATTERN =
+  /^(?:co(?=ope|opt|or|ali|ale|au|ex|er)|re(?=en|ex|em|op|oc|ur|un|us|ac(?!h)|af)|pre(?=em|ex|oc|op))/;
+
 /**
  * Estimates the number of syllables in a word using vowel counting heuristics.
  * Rules applied:
  * - Count vowel groups (consecutive vowels = 1 syllable)
  * - 'y' is considered a vowel when not at the start or after another vowel
- * - Silent 'e' at the end is not counted as a syllable
+ * - Vowel pairs pronounced separately (hiatus) add a syllable: "poem", "lion",
+ *   "piano", "create", "idea", "being" (but not "-tion", "-cial", "toe", "queen")
+ * - Prefixes ending in a vowel before another vowel add a syllable: "react", "cooperate"
+ * - Silent 'e' at the end is not counted as a syllable, except in
+ *   consonant + "le" ("table") and "-ire"/"-yre" ("fire")
+ * - Past tense "-ed" is silent unless it follows 't' or 'd' ("jumped" vs "wanted")
  * - Minimum syllable count is 1
  * @param {string} word - The word to count syllables in
  * @returns {number} Estimated number of syllables
@@ -62,13 +114,58 @@ function countSyllables(word) {
     }
     previousWasVowel = isVowel;
   }
+  // Vowel pairs inside a group that are pronounced as two syllables (hiatus)
+  for (let p = 0; p < HIATUS_PATTERNS.length; p++) {
+    const matches = word.match(HIATUS_PATTERNS[p]);
+    if (matches) {
+      syllables += matches.length;
+    }
+  }
+  // Prefix vowel followed by the stem's vowel ("re-act", "co-operate")
+  if (VOWEL_PREFIX_PATTERN.test(word)) {
+    syllables++;
+  }
   // Handle silent 'e' at the end of words (3+ letters)
   if (n >= 3 && word[n - 1] === "e") {
     let lastChar = word[n - 2];
-    if (!vowels.includes(lastChar) && lastChar !== "y") {
+    let isSyllabicLe =
+      lastChar === "l" && !vowels.includes(word[n - 3]) && word[n - 3] !== "y";
+    let isIre =
+      lastChar === "r" && (word[n - 3] === "i" || word[n - 3] === "y");
+    if (
+      !vowels.includes(lastChar) &&
+      lastChar !== "y" &&
+      !isSyllabicLe &&
+      !isIre
+    ) {
       syllables--; // Remove syllable for silent 'e'
     }
   }
+  // Handle silent past tense "-ed" ("jumped"), but not "-ted"/"-ded"
+  // ("wanted"), consonant + "red" ("hundred", "sacred"), consonant + "led"
+  // ("bottled", "troubled": the "e" belongs to a syllabic "-le") or the
+  // adjectives in SYLLABIC_ED_WORDS ("naked")
+  if (n > 3 && word.endsWith("ed") && !SYLLABIC_ED_WORDS.has(word)) {
+    let beforeEd = word[n - 3];
+    let isConsonantRed =
+      beforeEd === "r" && !vowels.includes(word[n - 4]) && word[n - 4] !== "r";
+    // Not "called", "curled", "howled", "styled", or "fled" with no vowel
+    // before it
+    let isConsonantLed =
+      beforeEd === "l" &&
+      !vowels.includes(word[n - 4]) &&
+      !"lrwy".includes(word[n - 4]) &&
+      /[aeiouy]/.test(word.slice(0, n - 4));
+    if (
+      !vowels.includes(beforeEd) &&
+      beforeEd !== "t" &&
+      beforeEd !== "d" &&
+      !isConsonantRed &&
+      !isConsonantLed
+    ) {
+      syllables--;
+    }
+  }
   // Ensure at least 1 syllable
   if (syllables < 1) {
     syllables = 1;
@@ -148,6 +245,49 @@ function isAlphabetic(word) {
   return /^[a-zA-Z]+$/.test(word);
 }
 
+/**
+ * Looks up a key in a Map used as a least-recently-used cache, and marks
+ * it as the most recently used.
+ *
+ * Time Complexity: O(1)
+ *
+ * @param {Map} cache - The cache, least recently used entry first
+ * @param {*} key - The key to look up
+ * @returns {*} The cached value, or undefined if missing
+ */
+function cacheGet(cache, key) {
+  if (!cache.has(key)) {
+    return undefined;
+  }
+  // Re-insert so the entry moves to the end of the Map's order
+  const value = cache.get(key);
+  cache.delete(key);
+  cache.set(key, value);
+  return value;
+}
+
+/**
+ * Stores a value in a Map used as a least-recently-used cache, dropping the
+ * least recently used entry once the cache holds more than maxEntries.
+ *
+ * Time Complexity: O(1)
+ *
+ * @param {Map} cache - The cache, least recently used entry first
+ * @param {*} key - The key
+ * @param {*} value - The value to store
+ * @param {number} maxEntries - Most entries to keep (0 stores nothing)
+ */
+function cacheSet(cache, key, value, maxEntries) {
+  cache.delete(key);
+  if (maxEntries < 1) {
+    return;
+  }
+  cache.set(key, value);
+  if (cache.size > maxEntries) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
 /**
  * Get length of a linked list or array
  * Helper function from pseudocode
@@ -168,3 +308,16 @@ function listLength(list) {
   }
   return count;
 }
+
+// Export for Node.js (CommonJS); in the browser these remain globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    extractSuffix,
+    countSyllables,
+    computePhoneticKey,
+    isAlphabetic,
+    cacheGet,
+    cacheSet,
+    listLength,
+  };
+}
@@ -0,0 +1,164 @@
+/*
+ * workerClient.js
+ * Promise-based client for the Poetry Assistant Web Worker (poetryWorker.js)
+ * Builds the assistant and runs queries in the worker, with build progress
+ * and cancellation of queries that are no longer wanted
+ */
+
+/**
+ * Handle on a running poetry worker and its unanswered requests.
+ *
+ * `var` keeps the class a global when this file is loaded as a browser <script>.
+ */
+var PoetryWorker = class PoetryWorker {
+  /**
+   * Starts the worker.
+   * @param {string} [workerUrl="poetryWorker.js"] - URL of the worker script
+   */
+  constructor(workerUrl = "poetryWorker.js") {
+    this.worker = new Worker(workerUrl);
+    this.nextId = 1;
+    this.requests = new Map(); // Request id -> { resolve, reject, onProgress }
+    this.worker.onmessage = (event) => settleWorkerRequest(this, event.data);
+    this.worker.onerror = (event) => {
+      rejectAllRequests(
+        this,
+        new Error(`Poetry worker failed: ${event.message}`),
+      );
+    };
+  }
+};
+
+/**
+ * The error cancelled requests reject with, as for an aborted fetch.
+ * @returns {DOMException} An "AbortError"
+ */
+function cancelledError() {
+  return new DOMException("Request cancelled", "AbortError");
+}
+
+/**
+ * Handles a message from the worker: progress for a request, or its reply.
+ * Replies to cancelled requests are ignored.
+ * @param {PoetryWorker} client - The worker handle
+ * @param {Object} message - { id, progress } or { id, result } or { id, error }
+ */
+function settleWorkerRequest(client, message) {
+  const request = client.requests.get(message.id);
+  if (!request) {
+    return;
+  }
+  if (message.progress !== undefined) {
+    if (request.onProgress) {
+      request.onProgress(message.progress);
+    }
+    return;
+  }
+  client.requests.delete(message.id);
+  if (message.error !== undefined) {
+    request.reject(new Error(message.error));
+  } else {
+    request.resolve(message.result);
+  }
+}
+
+/**
+ * Rejects every unanswered request, e.g. when the worker fails.
+ * @param {PoetryWorker} client - The worker handle
+ * @param {Error} error - The rejection reason
+ */
+function rejectAllRequests(client, error) {
+  for (const request of client.requests.values()) {
+    request.reject(error);
+  }
+  client.requests.clear();
+}
+
+/**
+ * Sends a request to the worker. Requests run one at a time in the order
+ * sent. Aborting the signal rejects the promise at once with an
+ * "AbortError"; a request that has not started yet is dropped, one that is
+ * running finishes in the worker and its result is thrown away.
+ *
+ * @param {PoetryWorker} client - The worker handle
+ * @param {string} type - "build", or an operation: "query", "searchPrefix",
+ *   "scanPoem", "detectRhymeScheme", "validateForm", "completeCouplet",
+ *   "addWordList", "blockWords" or "unblockWord"
+ * @param {Array} args - The operation's arguments, as for the library
+ *   function without its tables (e.g. [word, options] for query)
+ * @param {Object} [options] - Optional settings
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {Function} [options.onProgress] - Called with progress messages (0 to 1)
+ * @returns {Promise<*>} Resolves to the operation's result
+ */
+function callWorker(client, type, args, options = {}) {
+  const { signal, onProgress } = options;
+  if (signal && signal.aborted) {
+    return Promise.reject(cancelledError());
+  }
+
+  const id = client.nextId++;
+  return new Promise((resolve, reject) => {
+    client.requests.set(id, { resolve, reject, onProgress });
+    client.worker.postMessage({ id, type, args });
+
+    if (signal) {
+      signal.addEventListener(
+        "abort",
+        () => {
+          if (client.requests.delete(id)) {
+            client.worker.postMessage({ id, type: "cancel" });
+            reject(cancelledError());
+          }
+        },
+        { once: true },
+      );
+    }
+  });
+}
+
+/**
+ * Builds the poetry assistant in the worker (restored from the IndexedDB
+ * snapshot when possible, see buildPoetryAssistantCached). The worker
+ * fetches the word list and optional files itself.
+ *
+ * @param {PoetryWorker} client - The worker handle
+ * @param {string} wordlistUrl - URL or path to the word list file
+ * @param {number} suffixLength - Number of characters to use for suffix matching
+ * @param {Object} [files] - URLs of the optional { lexicon, frequencies, posTags,
+ *   wordGraph } files; missing files are skipped
+ * @param {Function} [onProgress] - Called with the fraction of the word list processed
+ * @returns {Promise<Object>} Resolves to { stats, source, lexicon, frequencies,
+ *   posTags, wordGraph } where source is the word list's label and the last
+ *   four say which optional data was loaded
+ */
+function buildInWorker(
+  client,
+  wordlistUrl,
+  suffixLength,
+  files = {},
+  onProgress,
+) {
+  return callWorker(client, "build", [wordlistUrl, suffixLength, files], {
+    onProgress,
+  });
+}
+
+/**
+ * Stops the worker, rejecting its unanswered requests.
+ * @param {PoetryWorker} client - The worker handle
+ */
+function terminateWorker(client) {
+  client.worker.terminate();
+  rejectAllRequests(client, cancelledError());
+}
+
+// Export for Node.js (CommonJS); in the browser these remain globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PoetryWorker,
+    callWorker,
+    buildInWorker,
+    terminateWorker,
+  };
+}